@@ -76,7 +76,7 @@ var Enemy = Actor.extend({
       this.lastLooked = App.Utils.anyIn(keys.right, this.lastLooked) ? keys.left : keys.right;
     }
   },
-});
+}, 'Enemy');
 
 /**
  * All our Bullets.
@@ -92,6 +92,8 @@ var Bullet = Actor.extend({
   GRAVITY: false, // Just keep going rather than falling down
   CONTINUOUS_MOVEMENT: true, // Keep going in the last specified direction
   STAY_IN_WORLD: false, // Let our bullets leave the world (we'll destroy them when they do)
+  CONTINUOUS_COLLISION: true, // Bullets are fast; don't let them pass through thin things
+  collisionShape: 'circle', // Bullets are round; see drawDefault()
   DEFAULT_WIDTH: 10,
   DEFAULT_HEIGHT: 10,
   /**
@@ -109,6 +111,22 @@ var Bullet = Actor.extend({
     // Store the direction we want the bullet to go. The CONTINUOUS_MOVEMENT
     // setting uses this property to keep going in the specified direction.
     this.lastLooked = direction;
+    // Shoot enemies, and stop when we hit something.
+    this.listen('collisionstart.bullet', function(e, bullet, other) {
+      if (other instanceof Enemy) {
+        enemies.remove(other);
+        other.destroy();
+      }
+      bullets.remove(this);
+      this.destroy();
+    });
+  },
+  /**
+   * Stop listening for collisions when the bullet is destroyed.
+   */
+  destroy: function() {
+    this._super.apply(this, arguments);
+    this.unlisten('.bullet');
   },
   /**
    * Draw a bullet when there isn't an image associated with it (src === null).
@@ -116,7 +134,7 @@ var Bullet = Actor.extend({
   drawDefault: function(ctx, x, y, w, h) {
     ctx.circle(x + w/2, y + w/2, (w + h) / 4, 'orange', 'black');
   },
-});
+}, 'Bullet');
 /**
  * The minimum number of milliseconds that must pass between firing bullets.
  *
@@ -127,12 +145,19 @@ Bullet.fireRate = 250;
 /**
  * Bind to the "shoot" key(s) and create a new bullet.
  *
- * Change keyup to keydown to be able to hold down the shoot key.
+ * This listens for released keys through App.Input so that shooting works
+ * during replays. Check App.Input.areKeysDown(keys.shoot) in update() instead
+ * to be able to hold down the shoot key.
  */
-jQuery(document).keyup(keys.shoot.join(' '), function() {
-  var now = Date.now();
+jQuery(document).on('inputrelease', function(e, released) {
+  if (!App.Utils.anyIn(keys.shoot, released)) {
+    return;
+  }
+  // Use simulated time so that firing is throttled the same way in replays.
+  var now = App.physicsTimeElapsed * 1000;
   // Throttle bullet firing.
-  if (now > (player._lastFired || 0) + Bullet.fireRate && isAnimating()) {
+  if ((player._lastFired === undefined || now > player._lastFired + Bullet.fireRate) &&
+      isAnimating()) {
     player._lastFired = now;
     // Shoot in the direction the player looked last (default to right).
     var direction = player.lastLooked.length ? player.lastLooked : keys.right;
@@ -156,8 +181,9 @@ jQuery(document).keyup(keys.shoot.join(' '), function() {
  *   the global App.physicsTimeElapsed.
  */
 function update(delta, timeElapsed) {
+  // Collisions with solids, enemies, and bullets are handled by App.Collisions
+  // after this function runs. See setup().
   player.update();
-  player.collideSolid(solid);
 
   enemies.forEach(function(enemy) {
     // Reverse if we get to the edge of a platform.
@@ -175,24 +201,13 @@ function update(delta, timeElapsed) {
         (enemy.x < 0 || enemy.x + enemy.width >= world.width)) {
       enemy.reverse();
     }
-    // The player dies if it touches an enemy.
-    if (enemy.collides(player)) {
-      player.destroy();
-      App.gameOver();
-    }
   });
 
   bullets.forEach(function(bullet) {
     bullet.update();
-    // Shoot enemies.
-    var enemy = bullet.collides(enemies);
-    if (enemy) {
-      enemies.remove(enemy);
-      enemy.destroy();
-    }
     // Returning true removes the bullet from the Collection and destroy()s it.
-    // This destroys the bullet if it hits a solid or goes out of the world.
-    return enemy || bullet.collides(solid) || !world.isInWorld(bullet, true);
+    // This destroys the bullet if it goes out of the world.
+    return !world.isInWorld(bullet, true);
   });
 }
 
@@ -240,9 +255,9 @@ function setup(again) {
   });
 
   // Add terrain.
-  var Grass = Box.extend({ src: 'images/grass.png', });
-  var Dirt = Box.extend({ src: 'images/dirt.png', });
-  var Rock = Box.extend({ src: 'images/rock.png', });
+  var Grass = Box.extend({ src: 'images/grass.png', }, 'Grass');
+  var Dirt = Box.extend({ src: 'images/dirt.png', }, 'Dirt');
+  var Rock = Box.extend({ src: 'images/rock.png', }, 'Rock');
   var grid =  "         D      GG        \n" +
               "              GGDDGG      \n" +
               "      GG    GGRRRRRRGG  GG";
@@ -257,6 +272,21 @@ function setup(again) {
   // Set up bullets.
   bullets = new Collection();
 
+  // Set up collisions. These are checked after each call to update().
+  // Keep the player from walking through solids.
+  App.Collisions.add(player, solid, {solid: true});
+  // The player dies if it touches an enemy.
+  App.Collisions.add(enemies, player);
+  player.listen('collisionstart', function(e, target, other) {
+    if (other instanceof Enemy) {
+      player.destroy();
+      App.gameOver();
+    }
+  });
+  // Bullets destroy themselves when they hit something. See Bullet#init().
+  App.Collisions.add(bullets, enemies);
+  App.Collisions.add(bullets, solid);
+
   // Set up the background layer.
   bkgd = new Layer({src: 'images/nature.jpg'});
   //bkgd.context.drawImage('images/nature.jpg', 0, world.height-Caches.images['images/nature.jpg'].height, world.width, Caches.images['images/nature.jpg'].height);
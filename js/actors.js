@@ -70,6 +70,74 @@ var Box = Class.extend({
    * The default height of a Box.
    */
   DEFAULT_HEIGHT: 80,
+  /**
+   * The collision layers this Box belongs to, as a bitfield.
+   *
+   * Boxes only collide with each other if each one's
+   * {@link Box#COLLISION_MASK COLLISION_MASK} includes a layer the other one
+   * belongs to. Use Box#setCollisionLayer() to set this using layer names.
+   * Defaults to the "default" layer.
+   */
+  COLLISION_CATEGORY: 1,
+  /**
+   * The collision layers this Box can collide with, as a bitfield.
+   *
+   * See {@link Box#COLLISION_CATEGORY COLLISION_CATEGORY}. Use
+   * Box#setCollisionMask() to set this using layer names. Defaults to all
+   * layers.
+   */
+  COLLISION_MASK: -1,
+  /**
+   * Whether this Box is a one-way platform.
+   *
+   * Actors only collide with one-way platforms when they land on them from
+   * above, so they can jump up through them from below and walk past them
+   * from the side. See Actor#collideSolid().
+   */
+  ONE_WAY: false,
+  /**
+   * The shape of the slope, if this Box is a slope.
+   *
+   * Slopes are described by a two-element Array holding the height of the
+   * surface at the Box's left and right edges as fractions of the Box's
+   * height. For example, `[0, 1]` is a 45° slope rising to the right in a
+   * square Box, and `[0, 0.5]` and `[0.5, 1]` are the lower and upper halves
+   * of a 22.5° slope spanning two square Boxes. Box.SLOPES contains these and
+   * other common shapes.
+   *
+   * Like one-way platforms, slopes are only solid from above: Actors with
+   * GRAVITY enabled walk along their surface (see Box#getSurfaceY()), but can
+   * pass through them from below or from the side. Put a solid Box next to
+   * the high side of a slope if Actors shouldn't be able to walk into it.
+   */
+  SLOPE: null,
+  /**
+   * How bouncy this Box is when {@link Actor#RIGID_BODY rigid bodies} hit it.
+   *
+   * 0 (zero) means rigid bodies stop moving toward the Box when they hit it,
+   * and 1 means they bounce back at the same speed. When two objects hit
+   * each other, the larger RESTITUTION of the two is used.
+   */
+  RESTITUTION: 0,
+  /**
+   * How much this Box slows down {@link Actor#RIGID_BODY rigid bodies} that
+   * slide along it.
+   *
+   * This ranges from 0 (zero, no friction) to 1. Rigid bodies standing on a
+   * Box lose this fraction of their speed relative to it every second, and
+   * rigid bodies that hit a Box at an angle lose sideways speed depending on
+   * how hard they hit it. When two objects touch, the square root of the
+   * product of their FRICTION values is used.
+   */
+  FRICTION: 0.5,
+  /**
+   * How much grip Actors have while standing on this Box.
+   *
+   * Actors that use {@link Actor#ACCELERATED_MOVEMENT accelerated movement}
+   * speed up and slow down this many times as quickly as usual while they
+   * stand on this Box. Values less than 1 make the Box slippery, like ice.
+   */
+  SURFACE_FRICTION: 1,
   /**
    * Something that can be drawn by {@link CanvasRenderingContext2D#drawImage}.
    *
@@ -80,6 +148,27 @@ var Box = Class.extend({
    * The angle (in radians) at which to draw the Box.
    */
   radians: 0,
+  /**
+   * The shape used to check for collisions with this Box.
+   *
+   * By default (null), Boxes collide as axis-aligned rectangles and their
+   * {@link Box#radians rotation} is ignored. This is the fastest option.
+   * Other shapes are checked using the separating axis theorem:
+   *
+   * - `'circle'`: A circle centered in the Box with a diameter equal to the
+   *   smaller of the Box's width and height.
+   * - `'rectangle'`: The Box's rectangle, rotated by Box#radians around the
+   *   Box's center.
+   * - An Array of `[x, y]` points: A convex polygon. The coordinates are
+   *   relative to the Box's top-left corner, and the polygon is rotated by
+   *   Box#radians around the Box's center.
+   *
+   * Collision shapes are used by Box#overlaps(), Box#collides(),
+   * Box#getMinimumTranslation(), Actor#moveOutside(), and App.Collisions.
+   * Finding nearby objects (for example with Collection#queryRect()) still
+   * uses each Box's rectangle, so shapes shouldn't extend far outside of it.
+   */
+  collisionShape: null,
   /**
    * Draw the Box.
    *
@@ -104,7 +193,8 @@ var Box = Class.extend({
     }
     ctx.save();
     ctx.fillStyle = this.fillStyle;
-    var x = this.x, y = this.y, w = this.width, h = this.height;
+    var pos = this.getDrawPosition(),
+        x = pos.x, y = pos.y, w = this.width, h = this.height;
     if (smooth) {
       x = Math.round(x);
       y = Math.round(y);
@@ -122,6 +212,21 @@ var Box = Class.extend({
     }
     ctx.restore();
   },
+  /**
+   * Get the position at which the Box should be {@link Box#draw drawn}.
+   *
+   * For Boxes this is just the current position. Classes that move during
+   * physics updates (like {@link Actor}) can override this to draw at a
+   * position interpolated between physics states when App.FIXED_TIMESTEP is
+   * enabled.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties representing the coordinates of
+   *   the top-left corner of the Box as it should be drawn.
+   */
+  getDrawPosition: function() {
+    return {x: this.x, y: this.y};
+  },
   /**
    * {@link Box#draw Draw} the default shape when no image has been applied.
    *
@@ -177,6 +282,27 @@ var Box = Class.extend({
   yC: function() {
     return this.y + this.height/2;
   },
+  /**
+   * Get the y-coordinate of the top surface of the Box.
+   *
+   * For {@link Box#SLOPE slopes}, this is the height of the slope's surface
+   * at the given x-coordinate. Otherwise it's just the top of the Box.
+   *
+   * @param {Number} x
+   *   The x-coordinate at which to find the surface. Positions beyond the
+   *   sides of the Box use the surface at the closest side.
+   *
+   * @return {Number}
+   *   The y-coordinate of the surface of the Box at `x`.
+   */
+  getSurfaceY: function(x) {
+    if (!this.SLOPE) {
+      return this.y;
+    }
+    var t = Math.min(Math.max((x - this.x) / this.width, 0), 1),
+        h = this.SLOPE[0] + (this.SLOPE[1] - this.SLOPE[0]) * t;
+    return this.y + this.height * (1 - h);
+  },
   /**
    * Determine whether this Box overlaps with another Box or set of Boxes.
    *
@@ -185,6 +311,14 @@ var Box = Class.extend({
    * indicating whether there is overlap, whereas Box#collides() can check
    * against many Boxes and returns the first item to overlap (if any).
    *
+   * Only Boxes that this Box {@link Box#canCollideWith can collide with}
+   * count. Box#overlaps() ignores collision layers.
+   *
+   * Checking against a Collection with a
+   * {@link Collection#enableSpatialIndex spatial index} or against a TileMap
+   * only checks the items near this Box, which is much faster than checking
+   * every item when there are many of them.
+   *
    * @param {Box/Collection/TileMap} collideWith
    *   A Box, Collection of Boxes, or TileMap with which to check for overlap.
    *
@@ -193,11 +327,14 @@ var Box = Class.extend({
    */
   collides: function(collideWith) {
     if (collideWith instanceof Box) {
-      return this.overlaps(collideWith) ? collideWith : false;
+      return this.canCollideWith(collideWith) && this.overlaps(collideWith) ? collideWith : false;
     }
     else if (collideWith instanceof Collection || collideWith instanceof TileMap) {
-      var items = collideWith.getAll();
+      var b = this.getCollisionBounds(),
+          items = collideWith.queryRect(b.x, b.y, b.width, b.height, this);
       for (var i = 0, l = items.length; i < l; i++) {
+        // The query only finds items near this Box; check them properly in
+        // case of collision shapes or an overridden Box#overlaps().
         if (this.overlaps(items[i])) {
           return items[i];
         }
@@ -211,10 +348,15 @@ var Box = Class.extend({
    * See Box#collides() for a discussion of the difference.
    *
    * See Box#overlapsX() and Box#overlapsY() for the actual calculations.
+   * If either Box has a {@link Box#collisionShape collision shape},
+   * Box#getMinimumTranslation() is used instead.
    *
    * @param {Box} otherBox The other Box with which to check for collision.
    */
   overlaps: function(otherBox) {
+    if (this.collisionShape || otherBox.collisionShape) {
+      return this.getMinimumTranslation(otherBox) !== null;
+    }
     return this.overlapsX(otherBox) && this.overlapsY(otherBox);
   },
   /**
@@ -237,8 +379,189 @@ var Box = Class.extend({
   overlapsY: function(otherBox) {
     return this.y + this.height >= otherBox.y && otherBox.y + otherBox.height >= this.y;
   },
+  /**
+   * Get this Box's {@link Box#collisionShape collision shape} in world
+   * coordinates.
+   *
+   * @return {Object}
+   *   An object describing the shape. Circles have a `type` of `'circle'` and
+   *   `x`, `y`, and `radius` properties describing the center and radius of
+   *   the circle. Other shapes have a `type` of `'polygon'` and a `points`
+   *   property holding an Array of the polygon's vertices as objects with `x`
+   *   and `y` properties.
+   */
+  getCollisionShape: function() {
+    var shape = this.collisionShape,
+        cx = this.x + this.width / 2,
+        cy = this.y + this.height / 2,
+        points, i, l;
+    if (shape === 'circle') {
+      return {type: 'circle', x: cx, y: cy, radius: Math.min(this.width, this.height) / 2};
+    }
+    if (shape instanceof Array) {
+      points = [];
+      for (i = 0, l = shape.length; i < l; i++) {
+        points.push({x: this.x + shape[i][0], y: this.y + shape[i][1]});
+      }
+    }
+    else {
+      points = [
+        {x: this.x, y: this.y},
+        {x: this.x + this.width, y: this.y},
+        {x: this.x + this.width, y: this.y + this.height},
+        {x: this.x, y: this.y + this.height},
+      ];
+    }
+    // Axis-aligned Boxes ignore rotation.
+    if (shape && this.radians) {
+      var cos = Math.cos(this.radians), sin = Math.sin(this.radians);
+      for (i = 0, l = points.length; i < l; i++) {
+        var dx = points[i].x - cx, dy = points[i].y - cy;
+        points[i] = {x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos};
+      }
+    }
+    return {type: 'polygon', points: points};
+  },
+  /**
+   * Get the smallest axis-aligned rectangle that contains this Box's
+   * {@link Box#collisionShape collision shape}.
+   *
+   * @return {Object}
+   *   An object with `x`, `y`, `width`, and `height` properties.
+   */
+  getCollisionBounds: function() {
+    if (!this.collisionShape) {
+      return {x: this.x, y: this.y, width: this.width, height: this.height};
+    }
+    var shape = this.getCollisionShape();
+    if (shape.type == 'circle') {
+      return {
+        x: shape.x - shape.radius,
+        y: shape.y - shape.radius,
+        width: shape.radius * 2,
+        height: shape.radius * 2,
+      };
+    }
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (var i = 0, l = shape.points.length; i < l; i++) {
+      var p = shape.points[i];
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+    return {x: minX, y: minY, width: maxX - minX, height: maxY - minY};
+  },
+  /**
+   * Find the shortest way to move this Box so it doesn't overlap another.
+   *
+   * This uses the separating axis theorem to compare the Boxes'
+   * {@link Box#collisionShape collision shapes}, so it works for circles,
+   * rotated rectangles, and convex polygons.
+   *
+   * @param {Box} other
+   *   The other Box.
+   *
+   * @return {Object}
+   *   null if the Boxes don't overlap. Otherwise, the minimum translation
+   *   vector: an object with `x` and `y` properties holding the distance this
+   *   Box needs to move on each axis to stop overlapping the other Box, a
+   *   `depth` property holding the length of that vector, and a `normal`
+   *   property holding the direction of that vector as an object with `x`
+   *   and `y` properties. Boxes that are just touching count as overlapping
+   *   with a `depth` of zero.
+   */
+  getMinimumTranslation: function(other) {
+    var a = this.getCollisionShape(),
+        b = Box.prototype.getCollisionShape.call(other),
+        axes = Box._getAxes(a, b).concat(Box._getAxes(b, a)),
+        depth = Infinity,
+        normal = null;
+    for (var i = 0, l = axes.length; i < l; i++) {
+      var axis = axes[i],
+          pa = Box._project(a, axis),
+          pb = Box._project(b, axis),
+          // How far this Box has to move back or forward along the axis.
+          back = pa.max - pb.min,
+          forward = pb.max - pa.min;
+      // If there's a gap along any axis, the shapes don't overlap.
+      if (back < 0 || forward < 0) {
+        return null;
+      }
+      if (back < depth) {
+        depth = back;
+        normal = {x: -axis.x, y: -axis.y};
+      }
+      if (forward < depth) {
+        depth = forward;
+        normal = {x: axis.x, y: axis.y};
+      }
+    }
+    if (!normal) {
+      return null;
+    }
+    return {x: normal.x * depth, y: normal.y * depth, depth: depth, normal: normal};
+  },
+  /**
+   * Determine whether the collision layers of this Box and another allow
+   * them to collide.
+   *
+   * This is true if each Box's {@link Box#COLLISION_MASK COLLISION_MASK}
+   * includes a layer in the other Box's
+   * {@link Box#COLLISION_CATEGORY COLLISION_CATEGORY}. It doesn't check
+   * whether the Boxes actually overlap.
+   *
+   * @param {Box} other
+   *   The other Box. Objects without collision layers (like plain objects in
+   *   a {@link SpatialHash}) are treated as belonging to the default layer
+   *   and colliding with everything.
+   *
+   * @return {Boolean}
+   *   true if the Boxes can collide; false otherwise.
+   */
+  canCollideWith: function(other) {
+    var category = other.COLLISION_CATEGORY === undefined ? 1 : other.COLLISION_CATEGORY,
+        mask = other.COLLISION_MASK === undefined ? -1 : other.COLLISION_MASK;
+    return (this.COLLISION_MASK & category) !== 0 && (mask & this.COLLISION_CATEGORY) !== 0;
+  },
+  /**
+   * Set the collision layers this Box belongs to.
+   *
+   * Example:
+   *
+   *     player.setCollisionLayer('player');
+   *     player.setCollisionMask(['default', 'enemies']);
+   *     // Bullets fired by the player can't hit the player.
+   *     bullet.setCollisionLayer('playerBullets');
+   *     bullet.setCollisionMask(['default', 'enemies']);
+   *
+   * @param {String/String[]/Number} layers
+   *   The name of a layer, an Array of layer names, or a bitfield. Names are
+   *   turned into bitfields with App.Collisions.getLayers().
+   */
+  setCollisionLayer: function(layers) {
+    this.COLLISION_CATEGORY = App.Collisions.getLayers(layers);
+    return this;
+  },
+  /**
+   * Set the collision layers this Box can collide with.
+   *
+   * See Box#setCollisionLayer().
+   *
+   * @param {String/String[]/Number} layers
+   *   The name of a layer, an Array of layer names, or a bitfield. Names are
+   *   turned into bitfields with App.Collisions.getLayers().
+   */
+  setCollisionMask: function(layers) {
+    this.COLLISION_MASK = App.Collisions.getLayers(layers);
+    return this;
+  },
   /**
    * Determine whether the mouse is hovering over this Box.
+   *
+   * {@link App.Events Canvas events} like click and mousedown use this to
+   * decide whether they happened on the Box, so overriding it changes which
+   * events the Box receives.
    */
   isHovered: function() {
     return App.isHovered(this);
@@ -330,7 +653,164 @@ var Box = Class.extend({
    * target.
    */
   destroy: function() {},
-});
+  /**
+   * Update this Box's position in any spatial indexes that contain it.
+   *
+   * Actors do this automatically when they move in Actor#update() and
+   * Actor#collideSolid(). Call this yourself after moving a Box some other way
+   * if collisions with the {@link Collection#enableSpatialIndex Collection}
+   * that contains it need to be accurate before the next physics update.
+   */
+  reindex: function() {
+    var hashes = this.__spatialHashes;
+    if (hashes) {
+      for (var i = 0, l = hashes.length; i < l; i++) {
+        hashes[i].update(this);
+      }
+    }
+    return this;
+  },
+  /**
+   * Get a representation of the Box that can be converted to JSON.
+   *
+   * `JSON.stringify()` (and therefore App.Storage.set()) uses this
+   * automatically. The result includes the Box's own properties, except for
+   * methods and properties whose names start with two underscores, and the
+   * name of its class so that Class.revive() (and therefore
+   * App.Storage.get()) can turn it back into an instance of the same class.
+   * To be revived as the right type, subclasses must be given a name when
+   * they are created; see Class.extend().
+   *
+   * Event listeners are not saved, so they need to be added again after the
+   * Box is revived.
+   *
+   * @return {Object}
+   *   A plain object representing the Box.
+   */
+  toJSON: function() {
+    var data = {__class: this.__className};
+    for (var key in this) {
+      if (this.hasOwnProperty(key) && key.indexOf('__') !== 0 &&
+          typeof this[key] !== 'function') {
+        data[key] = this[key];
+      }
+    }
+    // Images can't be converted to JSON, but their file paths can.
+    if (data.src instanceof HTMLImageElement) {
+      data.src = data.src._src || data.src.src;
+    }
+    return data;
+  },
+  /**
+   * Restore the Box from the output of Box#toJSON().
+   *
+   * This is called automatically by Class.revive() on an instance created
+   * without running the constructor.
+   *
+   * @param {Object} data
+   *   The output of Box#toJSON(), with any nested objects already revived.
+   */
+  fromJSON: function(data) {
+    for (var key in data) {
+      if (data.hasOwnProperty(key) && key != '__class') {
+        this[key] = data[key];
+      }
+    }
+    return this;
+  },
+}, 'Box');
+
+/**
+ * Get the axes along which to look for a gap between two collision shapes.
+ *
+ * See Box#getMinimumTranslation().
+ *
+ * @param {Object} shape
+ *   A shape returned by Box#getCollisionShape().
+ * @param {Object} other
+ *   The shape with which `shape` is being compared.
+ *
+ * @return {Object[]}
+ *   Unit vectors (objects with `x` and `y` properties). For polygons, these
+ *   are perpendicular to each edge. For circles, this is the direction from
+ *   the center of the circle to the closest vertex or center of `other`.
+ *
+ * @static
+ * @ignore
+ */
+Box._getAxes = function(shape, other) {
+  var axes = [], x, y, len, i, l;
+  if (shape.type == 'circle') {
+    var closest = other.type == 'circle' ? [other] : other.points, best = Infinity;
+    for (i = 0, l = closest.length; i < l; i++) {
+      var dx = closest[i].x - shape.x, dy = closest[i].y - shape.y, d = dx * dx + dy * dy;
+      if (d < best) {
+        best = d;
+        x = dx;
+        y = dy;
+      }
+    }
+    len = Math.sqrt(best);
+    axes.push(len ? {x: x / len, y: y / len} : {x: 0, y: 1});
+    return axes;
+  }
+  for (i = 0, l = shape.points.length; i < l; i++) {
+    var p = shape.points[i], q = shape.points[(i + 1) % l];
+    x = q.y - p.y;
+    y = p.x - q.x;
+    len = Math.sqrt(x * x + y * y);
+    if (len) {
+      axes.push({x: x / len, y: y / len});
+    }
+  }
+  return axes;
+};
+/**
+ * Project a collision shape onto an axis.
+ *
+ * @param {Object} shape
+ *   A shape returned by Box#getCollisionShape().
+ * @param {Object} axis
+ *   A unit vector (an object with `x` and `y` properties).
+ *
+ * @return {Object}
+ *   An object with `min` and `max` properties describing the interval the
+ *   shape covers along the axis.
+ *
+ * @static
+ * @ignore
+ */
+Box._project = function(shape, axis) {
+  if (shape.type == 'circle') {
+    var c = shape.x * axis.x + shape.y * axis.y;
+    return {min: c - shape.radius, max: c + shape.radius};
+  }
+  var min = Infinity, max = -Infinity;
+  for (var i = 0, l = shape.points.length; i < l; i++) {
+    var d = shape.points[i].x * axis.x + shape.points[i].y * axis.y;
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  }
+  return {min: min, max: max};
+};
+/**
+ * Common {@link Box#SLOPE slope} shapes.
+ *
+ * The 45° slopes fill one Box. The 22.5° slopes span two Boxes, so each one
+ * has a low and a high half. For example, a TileMap can use a Box with a
+ * `SLOPE` of `Box.SLOPES.UP_RIGHT_22_LOW` next to one with
+ * `Box.SLOPES.UP_RIGHT_22_HIGH` to make a gentle hill.
+ *
+ * @static
+ */
+Box.SLOPES = {
+  UP_RIGHT_45: [0, 1],
+  UP_LEFT_45: [1, 0],
+  UP_RIGHT_22_LOW: [0, 0.5],
+  UP_RIGHT_22_HIGH: [0.5, 1],
+  UP_LEFT_22_HIGH: [1, 0.5],
+  UP_LEFT_22_LOW: [0.5, 0],
+};
 
 /**
  * A container to keep track of multiple Boxes/Box descendants.
@@ -343,6 +823,13 @@ var Box = Class.extend({
  */
 function Collection(items) {
   this.items = items || [];
+  /**
+   * @property {SpatialHash} spatialIndex
+   *   An index of where the items in the Collection are, if enabled.
+   *
+   * See Collection#enableSpatialIndex().
+   */
+  this.spatialIndex = null;
 }
 Collection.prototype = {
   /**
@@ -372,13 +859,188 @@ Collection.prototype = {
    *   true if intersection is detected; false otherwise.
    */
   overlaps: function(box) {
-    for (var i = 0; i < this.items.length; i++) {
-      if (this.items[i].overlaps(box)) {
+    var b = box.getCollisionBounds ? box.getCollisionBounds() : box,
+        items = this.queryRect(b.x, b.y, b.width, b.height);
+    for (var i = 0, l = items.length; i < l; i++) {
+      // The query only finds items near the Box; check them properly.
+      if (items[i].overlaps(box)) {
         return true;
       }
     }
     return false;
   },
+  /**
+   * Find the items in the Collection that intersect a rectangle.
+   *
+   * Items that only touch the edge of the rectangle count as intersecting,
+   * just like with Box#overlaps().
+   *
+   * This only checks nearby items if the Collection has a
+   * {@link Collection#enableSpatialIndex spatial index}.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} y
+   *   The y-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} w
+   *   The width of the rectangle.
+   * @param {Number} h
+   *   The height of the rectangle.
+   * @param {Box/Number} [filter]
+   *   If specified, only items in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The items that intersect the rectangle, in the order they were added to
+   *   the Collection.
+   */
+  queryRect: function(x, y, w, h, filter) {
+    if (this.spatialIndex) {
+      this._syncSpatialIndex();
+      return this.spatialIndex.queryRect(x, y, w, h, filter);
+    }
+    var r = [];
+    for (var i = 0, l = this.items.length; i < l; i++) {
+      if (SpatialHash.overlapsRect(this.items[i], x, y, w, h) &&
+          SpatialHash.matchesFilter(this.items[i], filter)) {
+        r.push(this.items[i]);
+      }
+    }
+    return r;
+  },
+  /**
+   * Find the items in the Collection that contain a point.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the point.
+   * @param {Number} y
+   *   The y-coordinate of the point.
+   * @param {Box/Number} [filter]
+   *   If specified, only items in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The items that contain the point, in the order they were added to the
+   *   Collection.
+   */
+  queryPoint: function(x, y, filter) {
+    return this.queryRect(x, y, 0, 0, filter);
+  },
+  /**
+   * Find the items in the Collection that intersect a circle.
+   *
+   * This is useful for things like explosions and finding nearby enemies.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the center of the circle.
+   * @param {Number} y
+   *   The y-coordinate of the center of the circle.
+   * @param {Number} radius
+   *   The radius of the circle.
+   * @param {Box/Number} [filter]
+   *   If specified, only items in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The items that intersect the circle, in the order they were added to
+   *   the Collection.
+   */
+  queryRadius: function(x, y, radius, filter) {
+    if (this.spatialIndex) {
+      this._syncSpatialIndex();
+      return this.spatialIndex.queryRadius(x, y, radius, filter);
+    }
+    var r = [];
+    for (var i = 0, l = this.items.length; i < l; i++) {
+      if (SpatialHash.overlapsCircle(this.items[i], x, y, radius) &&
+          SpatialHash.matchesFilter(this.items[i], filter)) {
+        r.push(this.items[i]);
+      }
+    }
+    return r;
+  },
+  /**
+   * Keep track of where the items in the Collection are.
+   *
+   * With a spatial index, checking for collisions against the Collection
+   * (with Box#collides(), Actor#collideSolid(), Actor#standingOn(),
+   * Collection#overlaps(), and the query methods) only has to look at items
+   * near the area being checked instead of every item in the Collection. This
+   * is much faster for large Collections, like hundreds of bullets or
+   * enemies, but the bookkeeping makes it slightly slower for small ones.
+   *
+   * Items added and removed through the Collection's methods are indexed
+   * automatically. If you change the `items` Array directly, call
+   * Collection#updateSpatialIndex() afterwards. Moving items is handled
+   * automatically as well: Actors update the index when they move, and the
+   * index is refreshed once per physics update before it is used, so the
+   * only time you need to call Box#reindex() is after moving a Box that is
+   * not an Actor if you need to check collisions with it during the same
+   * update.
+   *
+   * @param {Number} [cellSize]
+   *   The size in pixels of the cells in the index. Cells a few times larger
+   *   than the typical item work well. Defaults to
+   *   {@link SpatialHash#DEFAULT_CELL_SIZE SpatialHash.DEFAULT_CELL_SIZE}.
+   */
+  enableSpatialIndex: function(cellSize) {
+    this.disableSpatialIndex();
+    this.spatialIndex = new SpatialHash(cellSize);
+    this.updateSpatialIndex();
+    return this;
+  },
+  /**
+   * Stop keeping track of where the items in the Collection are.
+   *
+   * See Collection#enableSpatialIndex().
+   */
+  disableSpatialIndex: function() {
+    if (this.spatialIndex) {
+      this.spatialIndex.clear();
+      this.spatialIndex = null;
+    }
+    return this;
+  },
+  /**
+   * Bring the Collection's spatial index up to date.
+   *
+   * This is only necessary after changing the `items` Array directly. See
+   * Collection#enableSpatialIndex().
+   */
+  updateSpatialIndex: function() {
+    var index = this.spatialIndex;
+    if (!index) {
+      return this;
+    }
+    var present = {}, i, l, id;
+    for (i = 0, l = this.items.length; i < l; i++) {
+      index.update(this.items[i]);
+      present[this.items[i].__spatialId] = true;
+    }
+    // Remove items that were taken out of the Array directly.
+    if (index.size > l) {
+      for (id in index.entries) {
+        if (index.entries.hasOwnProperty(id) && !present[id]) {
+          index.remove(index.entries[id].item);
+        }
+      }
+    }
+    this._indexedStep = App.physicsSteps;
+    return this;
+  },
+  /**
+   * Refresh the spatial index if it hasn't been refreshed this physics update.
+   *
+   * @ignore
+   */
+  _syncSpatialIndex: function() {
+    if (this._indexedStep !== App.physicsSteps) {
+      this.updateSpatialIndex();
+    }
+  },
   /**
    * Execute a function on every item in the Collection.
    *
@@ -398,6 +1060,9 @@ Collection.prototype = {
         if (this.items[i].destroy instanceof Function) {
           this.items[i].destroy();
         }
+        if (this.spatialIndex) {
+          this.spatialIndex.remove(this.items[i]);
+        }
         this.items.splice(i, 1);
       }
     }
@@ -434,6 +1099,9 @@ Collection.prototype = {
    *   The number of items in the Collection.
    */
   add: function(item) {
+    if (this.spatialIndex) {
+      this.spatialIndex.insert(item);
+    }
     return this.items.push(item);
   },
   /**
@@ -447,6 +1115,11 @@ Collection.prototype = {
    */
   concat: function(items) {
     this.items = this.items.concat(items);
+    if (this.spatialIndex) {
+      for (var i = 0, l = items.length; i < l; i++) {
+        this.spatialIndex.insert(items[i]);
+      }
+    }
     return this;
   },
   /**
@@ -458,8 +1131,7 @@ Collection.prototype = {
    *   A Collection whose items should be added to this Collection.
    */
   combine: function(otherCollection) {
-    this.items = this.items.concat(otherCollection.items);
-    return this;
+    return this.concat(otherCollection.items);
   },
   /**
    * Remove an item from the Collection.
@@ -473,13 +1145,21 @@ Collection.prototype = {
    *   An Array containing the removed element, if any.
    */
   remove: function(item) {
-    return this.items.remove(item);
+    var removed = this.items.remove(item);
+    if (removed && this.spatialIndex) {
+      this.spatialIndex.remove(item);
+    }
+    return removed;
   },
   /**
    * Remove and return the last item in the Collection.
    */
   removeLast: function() {
-    return this.items.pop();
+    var item = this.items.pop();
+    if (item && this.spatialIndex) {
+      this.spatialIndex.remove(item);
+    }
+    return item;
   },
   /**
    * Return the number of items in the Collection.
@@ -498,47 +1178,456 @@ Collection.prototype = {
    */
   removeAll: function() {
     this.items = [];
+    if (this.spatialIndex) {
+      this.spatialIndex.clear();
+    }
     return this;
   },
+  /**
+   * Get a representation of the Collection that can be converted to JSON.
+   *
+   * See Box#toJSON() for details.
+   */
+  toJSON: function() {
+    return {
+      __class: this.__className,
+      items: this.items,
+      spatialIndexCellSize: this.spatialIndex ? this.spatialIndex.cellSize : null,
+    };
+  },
 };
+Class.register('Collection', Collection);
 
 /**
- * A wrapper for image tiles so they can be drawn in the right location.
+ * Re-create a Collection from the output of Collection#toJSON().
  *
- * Used *internally* by TileMap as a lighter version of a Box.
+ * This is called automatically by Class.revive().
  *
- * `src` can be any object of type String (e.g. a file path to an image),
- * Image, HTMLImageElement, HTMLCanvasElement, Sprite, or SpriteMap.
+ * @param {Object} data
+ *   The output of Collection#toJSON(), with its items already revived.
  *
- * @ignore
+ * @static
  */
-function ImageWrapper(src, x, y, w, h) {
-  this.src = src;
-  this.x = x;
-  this.y = y;
-  this.w = w;
-  this.h = h;
-  /**
-   * Draws the image.
-   */
-  this.draw = function() {
-    context.drawImage(this.src, this.x, this.y, this.w, this.h);
-  };
-}
+Collection.fromJSON = function(data) {
+  var collection = new Collection(data.items);
+  if (data.spatialIndexCellSize) {
+    collection.enableSpatialIndex(data.spatialIndexCellSize);
+  }
+  return collection;
+};
 
 /**
- * A grid of objects (like a 2D {@link Collection}) for easy manipulation.
+ * A spatial index for quickly finding Boxes in an area.
  *
- * Useful for rapidly initializing and managing large sets of same-sized
- * "tiles."
+ * The world is divided into a uniform grid of square cells and each Box is
+ * filed under every cell it touches. Finding what is in an area then only
+ * requires looking at the Boxes filed under the cells that the area touches
+ * instead of every Box.
+ *
+ * Usually you won't need to use a SpatialHash directly. Instead, call
+ * Collection#enableSpatialIndex() on Collections with lots of items.
+ *
+ * Anything with `x`, `y`, `width`, and `height` properties can be indexed.
+ * The index does not notice when objects move; call SpatialHash#update() (or
+ * Box#reindex()) afterwards.
  *
  * @constructor
- *   Creates a new TileMap instance.
+ *   Creates a new, empty SpatialHash.
  *
- * @param {String/String[][]} grid
- *   `grid` represents the initial layout of the TileMap. If it is specified as
- *   a 2D Array of Strings, each inner value is used to construct a tile by
- *   using it as a key for the `map` parameter. If it is specified as a single
+ * @param {Number} [cellSize=SpatialHash.DEFAULT_CELL_SIZE]
+ *   The width and height in pixels of each cell.
+ */
+function SpatialHash(cellSize) {
+  this.cellSize = cellSize || SpatialHash.DEFAULT_CELL_SIZE;
+  this.cells = {};
+  this.entries = {};
+  this.size = 0;
+  this._order = 0;
+}
+/**
+ * The default width and height in pixels of each cell.
+ *
+ * @static
+ */
+SpatialHash.DEFAULT_CELL_SIZE = 128;
+// The next unique ID to give an indexed object.
+SpatialHash._nextId = 1;
+/**
+ * Determine whether an object intersects a rectangle.
+ *
+ * Touching the edge of the rectangle counts, just like with Box#overlaps().
+ *
+ * @param {Box} item
+ *   An object with `x`, `y`, `width`, and `height` properties.
+ * @param {Number} x
+ *   The x-coordinate of the upper-left corner of the rectangle.
+ * @param {Number} y
+ *   The y-coordinate of the upper-left corner of the rectangle.
+ * @param {Number} w
+ *   The width of the rectangle.
+ * @param {Number} h
+ *   The height of the rectangle.
+ *
+ * @return {Boolean}
+ *   true if the object intersects the rectangle; false otherwise.
+ *
+ * @static
+ */
+SpatialHash.overlapsRect = function(item, x, y, w, h) {
+  return item.x + item.width >= x && x + w >= item.x &&
+    item.y + item.height >= y && y + h >= item.y;
+};
+/**
+ * Determine whether an object intersects a circle.
+ *
+ * @param {Box} item
+ *   An object with `x`, `y`, `width`, and `height` properties.
+ * @param {Number} x
+ *   The x-coordinate of the center of the circle.
+ * @param {Number} y
+ *   The y-coordinate of the center of the circle.
+ * @param {Number} radius
+ *   The radius of the circle.
+ *
+ * @return {Boolean}
+ *   true if the object intersects the circle; false otherwise.
+ *
+ * @static
+ */
+SpatialHash.overlapsCircle = function(item, x, y, radius) {
+  // Find the closest point in the object to the center of the circle.
+  var cx = Math.max(item.x, Math.min(x, item.x + item.width)),
+      cy = Math.max(item.y, Math.min(y, item.y + item.height));
+  return (cx - x) * (cx - x) + (cy - y) * (cy - y) <= radius * radius;
+};
+/**
+ * Determine whether an object matches a collision layer filter.
+ *
+ * @param {Box} item
+ *   The object to check. Objects without collision layers are treated as
+ *   belonging to the default layer and colliding with everything.
+ * @param {Box/Number} [filter]
+ *   If this is a Box, the object matches if the Box
+ *   {@link Box#canCollideWith can collide with} it. If this is a Number, it
+ *   is treated as a {@link Box#COLLISION_MASK collision mask}, and the object
+ *   matches if it belongs to one of the layers in the mask. If this is not
+ *   specified, every object matches.
+ *
+ * @return {Boolean}
+ *   true if the object matches the filter; false otherwise.
+ *
+ * @static
+ */
+SpatialHash.matchesFilter = function(item, filter) {
+  if (filter === undefined || filter === null) {
+    return true;
+  }
+  if (typeof filter === 'number') {
+    return ((item.COLLISION_CATEGORY === undefined ? 1 : item.COLLISION_CATEGORY) & filter) !== 0;
+  }
+  return filter.canCollideWith(item);
+};
+SpatialHash.prototype = {
+  /**
+   * Add an object to the index.
+   *
+   * If the object is already in the index, its position is updated instead.
+   *
+   * @param {Box} item
+   *   The object to add.
+   */
+  insert: function(item) {
+    if (!item.__spatialId) {
+      item.__spatialId = SpatialHash._nextId++;
+    }
+    if (this.entries[item.__spatialId]) {
+      return this.update(item);
+    }
+    var entry = {item: item, range: this._getRange(item.x, item.y, item.width, item.height), order: this._order++};
+    this.entries[item.__spatialId] = entry;
+    this.size++;
+    this._file(entry);
+    if (!item.__spatialHashes) {
+      item.__spatialHashes = [];
+    }
+    item.__spatialHashes.push(this);
+    return this;
+  },
+  /**
+   * Remove an object from the index.
+   *
+   * @param {Box} item
+   *   The object to remove.
+   *
+   * @return {Boolean}
+   *   true if the object was in the index; false otherwise.
+   */
+  remove: function(item) {
+    var entry = this.entries[item.__spatialId];
+    if (!entry) {
+      return false;
+    }
+    this._unfile(entry);
+    delete this.entries[item.__spatialId];
+    this.size--;
+    item.__spatialHashes.remove(this);
+    return true;
+  },
+  /**
+   * Update the position of an object in the index after it moves.
+   *
+   * If the object is not in the index, it is added.
+   *
+   * @param {Box} item
+   *   The object to update.
+   */
+  update: function(item) {
+    var entry = this.entries[item.__spatialId];
+    if (!entry) {
+      return this.insert(item);
+    }
+    var range = this._getRange(item.x, item.y, item.width, item.height), old = entry.range;
+    if (range[0] !== old[0] || range[1] !== old[1] ||
+        range[2] !== old[2] || range[3] !== old[3]) {
+      this._unfile(entry);
+      entry.range = range;
+      this._file(entry);
+    }
+    return this;
+  },
+  /**
+   * Determine whether an object is in the index.
+   *
+   * @param {Box} item
+   *   The object to look for.
+   */
+  contains: function(item) {
+    return !!this.entries[item.__spatialId];
+  },
+  /**
+   * Remove all objects from the index.
+   */
+  clear: function() {
+    for (var id in this.entries) {
+      if (this.entries.hasOwnProperty(id)) {
+        this.entries[id].item.__spatialHashes.remove(this);
+      }
+    }
+    this.cells = {};
+    this.entries = {};
+    this.size = 0;
+    return this;
+  },
+  /**
+   * Find the objects that intersect a rectangle.
+   *
+   * Objects that only touch the edge of the rectangle count as intersecting,
+   * just like with Box#overlaps().
+   *
+   * @param {Number} x
+   *   The x-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} y
+   *   The y-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} w
+   *   The width of the rectangle.
+   * @param {Number} h
+   *   The height of the rectangle.
+   * @param {Box/Number} [filter]
+   *   If specified, only objects in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The objects that intersect the rectangle, in the order they were added
+   *   to the index.
+   */
+  queryRect: function(x, y, w, h, filter) {
+    var entries = this._getCandidates(x, y, w, h), r = [];
+    for (var i = 0, l = entries.length; i < l; i++) {
+      if (SpatialHash.overlapsRect(entries[i].item, x, y, w, h) &&
+          SpatialHash.matchesFilter(entries[i].item, filter)) {
+        r.push(entries[i].item);
+      }
+    }
+    return r;
+  },
+  /**
+   * Find the objects that contain a point.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the point.
+   * @param {Number} y
+   *   The y-coordinate of the point.
+   * @param {Box/Number} [filter]
+   *   If specified, only objects in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The objects that contain the point, in the order they were added to the
+   *   index.
+   */
+  queryPoint: function(x, y, filter) {
+    return this.queryRect(x, y, 0, 0, filter);
+  },
+  /**
+   * Find the objects that intersect a circle.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the center of the circle.
+   * @param {Number} y
+   *   The y-coordinate of the center of the circle.
+   * @param {Number} radius
+   *   The radius of the circle.
+   * @param {Box/Number} [filter]
+   *   If specified, only objects in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The objects that intersect the circle, in the order they were added to
+   *   the index.
+   */
+  queryRadius: function(x, y, radius, filter) {
+    var entries = this._getCandidates(x - radius, y - radius, radius*2, radius*2), r = [];
+    for (var i = 0, l = entries.length; i < l; i++) {
+      if (SpatialHash.overlapsCircle(entries[i].item, x, y, radius) &&
+          SpatialHash.matchesFilter(entries[i].item, filter)) {
+        r.push(entries[i].item);
+      }
+    }
+    return r;
+  },
+  /**
+   * Get the range of cells a rectangle touches.
+   *
+   * @return {Number[]}
+   *   The starting column, starting row, ending column, and ending row
+   *   (inclusive).
+   *
+   * @ignore
+   */
+  _getRange: function(x, y, w, h) {
+    var s = this.cellSize;
+    return [Math.floor(x / s), Math.floor(y / s), Math.floor((x + w) / s), Math.floor((y + h) / s)];
+  },
+  /**
+   * Get the entries filed under the cells a rectangle touches.
+   *
+   * Each entry is only included once, and entries are sorted in the order
+   * their objects were added to the index.
+   *
+   * @ignore
+   */
+  _getCandidates: function(x, y, w, h) {
+    var range = this._getRange(x, y, w, h), seen = {}, r = [], i, j, k, l, cell;
+    for (i = range[0]; i <= range[2]; i++) {
+      for (j = range[1]; j <= range[3]; j++) {
+        cell = this.cells[i + ',' + j];
+        if (cell) {
+          for (k = 0, l = cell.length; k < l; k++) {
+            if (!seen[cell[k].order]) {
+              seen[cell[k].order] = true;
+              r.push(cell[k]);
+            }
+          }
+        }
+      }
+    }
+    return r.sort(function(a, b) {
+      return a.order - b.order;
+    });
+  },
+  /**
+   * File an entry under the cells it touches.
+   *
+   * @ignore
+   */
+  _file: function(entry) {
+    var range = entry.range;
+    for (var i = range[0]; i <= range[2]; i++) {
+      for (var j = range[1]; j <= range[3]; j++) {
+        var key = i + ',' + j;
+        if (!this.cells[key]) {
+          this.cells[key] = [];
+        }
+        this.cells[key].push(entry);
+      }
+    }
+  },
+  /**
+   * Remove an entry from the cells it is filed under.
+   *
+   * @ignore
+   */
+  _unfile: function(entry) {
+    var range = entry.range;
+    for (var i = range[0]; i <= range[2]; i++) {
+      for (var j = range[1]; j <= range[3]; j++) {
+        var key = i + ',' + j, cell = this.cells[key];
+        if (cell) {
+          cell.remove(entry);
+          if (!cell.length) {
+            delete this.cells[key];
+          }
+        }
+      }
+    }
+  },
+};
+
+/**
+ * A wrapper for image tiles so they can be drawn in the right location.
+ *
+ * Used *internally* by TileMap as a lighter version of a Box.
+ *
+ * `src` can be any object of type String (e.g. a file path to an image),
+ * Image, HTMLImageElement, HTMLCanvasElement, Sprite, or SpriteMap.
+ *
+ * @ignore
+ */
+function ImageWrapper(src, x, y, w, h) {
+  this.src = src;
+  this.x = x;
+  this.y = y;
+  this.w = w;
+  this.h = h;
+  /**
+   * Draws the image.
+   */
+  this.draw = function() {
+    context.drawImage(this.src, this.x, this.y, this.w, this.h);
+  };
+  /**
+   * Get a representation of the ImageWrapper that can be converted to JSON.
+   */
+  this.toJSON = function() {
+    var src = this.src;
+    if (src instanceof HTMLImageElement) {
+      src = src._src || src.src;
+    }
+    return {__class: 'ImageWrapper', src: src, x: this.x, y: this.y, w: this.w, h: this.h};
+  };
+}
+Class.register('ImageWrapper', ImageWrapper);
+// Re-create an ImageWrapper from the output of ImageWrapper#toJSON().
+ImageWrapper.fromJSON = function(data) {
+  return new ImageWrapper(data.src, data.x, data.y, data.w, data.h);
+};
+
+/**
+ * A grid of objects (like a 2D {@link Collection}) for easy manipulation.
+ *
+ * Useful for rapidly initializing and managing large sets of same-sized
+ * "tiles."
+ *
+ * @constructor
+ *   Creates a new TileMap instance.
+ *
+ * @param {String/String[][]} grid
+ *   `grid` represents the initial layout of the TileMap. If it is specified as
+ *   a 2D Array of Strings, each inner value is used to construct a tile by
+ *   using it as a key for the `map` parameter. If it is specified as a single
  *   String, that String is deconstructed into a 2D Array of Strings by
  *   splitting each row at newlines (`\n`) and assuming each character belongs
  *   in its own column. For example, this String:
@@ -601,11 +1690,15 @@ function TileMap(grid, map, options) {
   if (options && options.gridSize instanceof Array && options.gridSize.length > 1) {
     this.options.gridSize = options.gridSize;
   }
+  if (options && options.startCoords instanceof Array && options.startCoords.length > 1) {
+    this.options.startCoords = options.startCoords;
+  }
   // Place the TileMap in the lower-left corner of the world.
   if (typeof this.options.startCoords === 'undefined' ||
       this.options.startCoords.length === 0) {
     this.options.startCoords = [0, world.height - this.options.cellSize[1] *
-                                  (typeof grid == 'string' ? grid.split("\n") : grid).length
+                                  (this.options.gridSize ? this.options.gridSize[0] :
+                                  (typeof grid == 'string' ? grid.split("\n") : grid).length)
                                 ];
   }
   var gs = this.options.gridSize,
@@ -681,11 +1774,12 @@ function TileMap(grid, map, options) {
    *   {@link global#context global context} for the default canvas.
    * @param {Boolean} [occlude=false]
    *   Indicates whether to only draw tiles that are visible within the
-   *   viewport (true) or to draw all tiles (false). Drawing only visible tiles
-   *   is performance-friendly for huge TileMaps, but requires re-drawing the
-   *   TileMap whenever the viewport scrolls. If you are just drawing the
-   *   TileMap once, for example onto a background Layer cache, occluding is
-   *   unnecessary.
+   *   viewport (true) or to draw all tiles (false). While a {@link Viewport}
+   *   is being drawn, only tiles visible within that Viewport are drawn.
+   *   Drawing only visible tiles is performance-friendly for huge TileMaps,
+   *   but requires re-drawing the TileMap whenever the viewport scrolls. If
+   *   you are just drawing the TileMap once, for example onto a background
+   *   Layer cache, occluding is unnecessary.
    * @param {Boolean} [smooth]
    *   Indicates whether to force the Box to be drawn at whole-pixel
    *   coordinates. If you don't already know that your coordinates
@@ -733,25 +1827,33 @@ function TileMap(grid, map, options) {
    * object to appear at a specific position relative to other tiles, you need
    * to place it there yourself.
    *
+   * Triggers the {@link TileMap#event-tilechange tilechange} event.
+   *
    * @param {Number} row The row of the tile being set.
    * @param {Number} col The column of the tile being set.
    * @param {Object} obj The object to place at the specified tile.
    */
   this.setCell = function(row, col, obj) {
     if (this.grid[row] && typeof this.grid[row][col] !== 'undefined') {
+      var previous = this.grid[row][col];
       this.grid[row][col] = obj;
+      App.Events.trigger('tilechange', jQuery.Event('tilechange'), this, row, col, obj, previous);
     }
     return this;
   };
   /**
    * Clear a specific tile (make it blank).
    *
+   * Triggers the {@link TileMap#event-tilechange tilechange} event.
+   *
    * @param {Number} row The row of the tile being cleared.
    * @param {Number} col The column of the tile being cleared.
    */
   this.clearCell = function(row, col) {
     if (this.grid[row] && typeof this.grid[row][col] !== 'undefined') {
+      var previous = this.grid[row][col];
       this.grid[row][col] = null;
+      App.Events.trigger('tilechange', jQuery.Event('tilechange'), this, row, col, null, previous);
     }
     return this;
   };
@@ -792,7 +1894,7 @@ function TileMap(grid, map, options) {
     for (i = 0; i < w; i++) {
       this.grid[i] = new Array(h);
       for (j = 0; j < h; j++) {
-        grid[i][j] = null;
+        this.grid[i][j] = null;
       }
     }
     return this;
@@ -865,14 +1967,15 @@ function TileMap(grid, map, options) {
    * @ignore
    */
   this._getCellCoordsInRect = function(wx, wy, tw, th) {
-    if (typeof wx === 'undefined') wx = world.xOffset;
-    if (typeof wy === 'undefined') wy = world.yOffset;
-    if (typeof tw === 'undefined') tw = canvas.width;
-    if (typeof th === 'undefined') th = canvas.height;
+    var view = world.activeCamera.getVisibleBounds();
+    if (typeof wx === 'undefined') wx = view.x;
+    if (typeof wy === 'undefined') wy = view.y;
+    if (typeof tw === 'undefined') tw = view.width;
+    if (typeof th === 'undefined') th = view.height;
     var x = this.options.startCoords[0], y = this.options.startCoords[1];
     var cw = this.options.cellSize[0], cy = this.options.cellSize[1];
     var sx = (wx - x) / cw, sy = (wy - y) / cy;
-    var sxe = (wx + tw - x) / cw, sye = (y - wy + th) / cy;
+    var sxe = (wx + tw - x) / cw, sye = (wy + th - y) / cy;
     // startCol, startRow, endCol, endRow
     return [Math.floor(sx), Math.floor(sy), Math.ceil(sxe), Math.ceil(sye)];
   };
@@ -922,90 +2025,1255 @@ function TileMap(grid, map, options) {
     }
     return s;
   };
-}
-
-/**
- * The World object.
- * 
- * The World represents the complete playable game area. Its size can be set
- * explicitly or is automatically determined by the "data-worldwidth" and
- * "data-worldheight" attributes set on the HTML canvas element (with a
- * fallback to the canvas width and height). If the size of the world is larger
- * than the canvas then by default the view of the world will scroll when the
- * {@link global#player player} approaches a side of the canvas.
- * 
- * @param {Number} [w]
- *   The width of the world. Defaults to the value of the "data-worldwidth"
- *   attribute on the HTML canvas element, or (if that attribute is not
- *   present) the width of the canvas element.
- * @param {Number} [h]
- *   The height of the world. Defaults to the value of the "data-worldheight"
- *   attribute on the HTML canvas element, or (if that attribute is not
- *   present) the height of the canvas element.
- */
-function World(w, h) {
-  /**
-   * @property {Number} scale
-   *   The percent amount (as a fraction) the canvas resolution is scaled.
-   */
-  this.scale = 1;
-  /**
-   * @property {Number} width
-   *   The width of the world.
-   */
-  this.width = w || parseInt($canvas.attr('data-worldwidth'), 10) || canvas.width;
-  /**
-   * @property {Number} height
-   *   The height of the world.
-   */
-  this.height = h || parseInt($canvas.attr('data-worldheight'), 10) || canvas.height;
-
-  /**
-   * @property {Number} xOffset
-   *   The pixel-offset of what's being displayed in the canvas compared to the
-   *   world origin.
-   */
-  this.xOffset = (this.width - canvas.width)/2;
   /**
-   * @property {Number} yOffset
-   *   The pixel-offset of what's being displayed in the canvas compared to the
-   *   world origin.
+   * Get the row and column of the cell containing a point in the world.
+   *
+   * See also TileMap#cellToWorld().
+   *
+   * @param {Number} x
+   *   The x-coordinate of the point in pixels.
+   * @param {Number} y
+   *   The y-coordinate of the point in pixels.
+   *
+   * @return {Object}
+   *   An object with `row` and `col` properties. These may be outside the
+   *   bounds of the grid if the point is outside the TileMap.
    */
-  this.yOffset = (this.height - canvas.height)/2;
-  context.translate(-this.xOffset, -this.yOffset);
-
+  this.worldToCell = function(x, y) {
+    return {
+      row: Math.floor((y - this.options.startCoords[1]) / this.options.cellSize[1]),
+      col: Math.floor((x - this.options.startCoords[0]) / this.options.cellSize[0]),
+    };
+  };
   /**
-   * Return an object with 'x' and 'y' properties indicating how far offset
-   * the viewport is from the world origin.
+   * Get the position in the world of a cell.
+   *
+   * See also TileMap#worldToCell().
+   *
+   * @param {Number} row
+   *   The row of the cell.
+   * @param {Number} col
+   *   The column of the cell.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties indicating the coordinates in
+   *   pixels of the upper-left corner of the cell.
    */
-  this.getOffsets = function() {
+  this.cellToWorld = function(row, col) {
     return {
-      'x': this.xOffset,
-      'y': this.yOffset,
+      x: this.options.startCoords[0] + col * this.options.cellSize[0],
+      y: this.options.startCoords[1] + row * this.options.cellSize[1],
     };
   };
-
   /**
-   * Resize the world to new dimensions.
+   * Get the object in the cell containing a point in the world.
    *
-   * Careful! This will shift the viewport regardless of where the player is.
-   * Objects already in the world will retain their coordinates and so may
-   * appear in unexpected locations on the screen.
+   * @param {Number} x
+   *   The x-coordinate of the point in pixels.
+   * @param {Number} y
+   *   The y-coordinate of the point in pixels.
    *
-   * @param {Number} newWidth The new width to which to resize the world.
-   * @param {Number} newHeight The new height to which to resize the world.
+   * @return {Mixed}
+   *   The object in the cell containing the point (null if the cell is
+   *   blank), or undefined if the point is outside the TileMap.
    */
-  this.resize = function(newWidth, newHeight) {
-    // Try to re-center the offset of the part of the world in the canvas
-    // so we're still looking at approximately the same thing.
-    var deltaX = (newWidth - this.width) / 2, deltaY = (newHeight - this.height) / 2;
-    this.xOffset += deltaX;
-    this.yOffset += deltaY;
-    context.translate(-deltaX, -deltaY);
-    
-    // Change the world dimensions.
-    this.width = newWidth;
+  this.getCellAt = function(x, y) {
+    var cell = this.worldToCell(x, y);
+    return this.getCell(cell.row, cell.col);
+  };
+  /**
+   * Find the first non-blank cell along a line.
+   *
+   * This steps through the grid one cell at a time (without checking cells
+   * the line doesn't cross), so it is fast even for long lines. It is useful
+   * for line of sight checks, hitscan weapons, and finding the ground below
+   * an Actor.
+   *
+   * Note that this checks which cells the line crosses, not the actual
+   * bounds of the objects in them.
+   *
+   * @param {Number} x0
+   *   The x-coordinate in pixels of the start of the line.
+   * @param {Number} y0
+   *   The y-coordinate in pixels of the start of the line.
+   * @param {Number} x1
+   *   The x-coordinate in pixels of the end of the line.
+   * @param {Number} y1
+   *   The y-coordinate in pixels of the end of the line.
+   * @param {Function} [filter]
+   *   A function that determines whether a non-blank cell blocks the line. If
+   *   not specified, every non-blank cell blocks the line.
+   * @param {Mixed} filter.obj
+   *   The object in the cell.
+   * @param {Number} filter.row
+   *   The row of the cell.
+   * @param {Number} filter.col
+   *   The column of the cell.
+   * @param {Boolean} filter.return
+   *   true if the cell blocks the line; false otherwise.
+   *
+   * @return {Object}
+   *   null if the line doesn't cross any blocking cells; otherwise, an object
+   *   with the following properties:
+   *
+   *   - `object`: The object in the first blocking cell.
+   *   - `row`, `col`: The row and column of the first blocking cell.
+   *   - `x`, `y`: The coordinates of the point where the line enters the
+   *     cell.
+   *   - `distance`: The distance in pixels from the start of the line to the
+   *     point where it enters the cell.
+   *   - `normal`: An object with `x` and `y` properties describing the
+   *     direction the side of the cell that the line hit faces, e.g.
+   *     `{x: 0, y: -1}` for the top. Both are 0 if the line starts inside the
+   *     cell.
+   */
+  this.raycast = function(x0, y0, x1, y1, filter) {
+    var cw = this.options.cellSize[0], ch = this.options.cellSize[1],
+        sx = this.options.startCoords[0], sy = this.options.startCoords[1],
+        rows = this.getRows(), cols = this.getCols(),
+        dx = x1 - x0, dy = y1 - y0,
+        start = this.worldToCell(x0, y0), row = start.row, col = start.col,
+        stepX = dx > 0 ? 1 : (dx < 0 ? -1 : 0),
+        stepY = dy > 0 ? 1 : (dy < 0 ? -1 : 0),
+        // How far along the line (from 0 to 1) we have to go to cross a cell.
+        tDeltaX = stepX ? cw / Math.abs(dx) : Infinity,
+        tDeltaY = stepY ? ch / Math.abs(dy) : Infinity,
+        // How far along the line we are when we cross the next cell boundary.
+        tMaxX = stepX ? (sx + (col + (stepX > 0 ? 1 : 0)) * cw - x0) / dx : Infinity,
+        tMaxY = stepY ? (sy + (row + (stepY > 0 ? 1 : 0)) * ch - y0) / dy : Infinity,
+        t = 0,
+        normal = {x: 0, y: 0};
+    while (t <= 1) {
+      if (row >= 0 && row < rows && col >= 0 && col < cols) {
+        var o = this.grid[row][col];
+        if (o !== null && o !== undefined && (!filter || filter(o, row, col))) {
+          return {
+            object: o,
+            row: row,
+            col: col,
+            x: x0 + dx * t,
+            y: y0 + dy * t,
+            distance: Math.sqrt(dx*dx + dy*dy) * t,
+            normal: normal,
+          };
+        }
+      }
+      if (tMaxX < tMaxY) {
+        col += stepX;
+        t = tMaxX;
+        tMaxX += tDeltaX;
+        normal = {x: -stepX, y: 0};
+      }
+      else {
+        row += stepY;
+        t = tMaxY;
+        tMaxY += tDeltaY;
+        normal = {x: 0, y: -stepY};
+      }
+    }
+    return null;
+  };
+  /**
+   * Find the objects in the TileMap that intersect a rectangle.
+   *
+   * Objects that only touch the edge of the rectangle count as intersecting,
+   * just like with Box#overlaps(). Only the tiles near the rectangle are
+   * checked, so this is much faster than checking every tile in a large
+   * TileMap. As a result, objects that have been moved more than a tile away
+   * from the cell they are stored in may not be found.
+   *
+   * @param {Number} x
+   *   The x-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} y
+   *   The y-coordinate of the upper-left corner of the rectangle.
+   * @param {Number} w
+   *   The width of the rectangle.
+   * @param {Number} h
+   *   The height of the rectangle.
+   * @param {Box/Number} [filter]
+   *   If specified, only objects in matching
+   *   {@link Box#COLLISION_CATEGORY collision layers} are returned. See
+   *   {@link SpatialHash#matchesFilter SpatialHash.matchesFilter()}.
+   *
+   * @return {Box[]}
+   *   The objects that intersect the rectangle, row by row.
+   */
+  this.queryRect = function(x, y, w, h, filter) {
+    var cw = this.options.cellSize[0], ch = this.options.cellSize[1];
+    var cells = this.getCellsInRect(x - cw, y - ch, w + cw*2, h + ch*2), r = [];
+    for (var i = 0, l = cells.length; i < l; i++) {
+      if (SpatialHash.overlapsRect(cells[i], x, y, w, h) &&
+          SpatialHash.matchesFilter(cells[i], filter)) {
+        r.push(cells[i]);
+      }
+    }
+    return r;
+  };
+  /**
+   * Get a representation of the TileMap that can be converted to JSON.
+   *
+   * The objects in each tile are included, so they must be able to be
+   * converted to JSON as well. See Box#toJSON() for details.
+   */
+  this.toJSON = function() {
+    return {__class: 'TileMap', grid: this.grid, options: this.options};
+  };
+}
+Class.register('TileMap', TileMap);
+
+/**
+ * Re-create a TileMap from the output of TileMap#toJSON().
+ *
+ * This is called automatically by Class.revive().
+ *
+ * @param {Object} data
+ *   The output of TileMap#toJSON(), with its tiles already revived.
+ *
+ * @static
+ */
+TileMap.fromJSON = function(data) {
+  var rows = data.grid.length, cols = rows ? data.grid[0].length : 0;
+  var tileMap = new TileMap(null, {}, {
+    cellSize: data.options.cellSize,
+    gridSize: [rows, cols],
+    startCoords: data.options.startCoords,
+  });
+  tileMap.grid = data.grid;
+  tileMap.options.gridSize = data.options.gridSize;
+  return tileMap;
+};
+
+/**
+ * A camera that controls which part of the world is displayed on the canvas.
+ *
+ * The {@link global#world global world} has a Camera at `world.camera`. Move
+ * it around with Camera#centerOn() or Camera#move(), have it follow an Actor
+ * with Camera#follow(), or zoom, rotate, or shake the view. The camera stays
+ * inside the World (or Camera#bounds, if set) unless Camera#clamp is turned
+ * off.
+ *
+ * The camera's transformation is applied to the
+ * {@link global#context global context} before each frame is drawn, so you
+ * can keep drawing things at their world coordinates. To draw something at a
+ * fixed position on the canvas (like a HUD), wrap it in calls to
+ * Camera#undoTransform() and Camera#applyTransform(), or draw it onto a
+ * {@link Layer} whose {@link Layer#relative relative} property is "canvas."
+ *
+ * @constructor
+ *   Creates a new Camera.
+ *
+ * @param {World} world
+ *   The World that the camera looks at.
+ * @param {Object} [options]
+ *   An object with any of the following properties:
+ *
+ * @param {CanvasRenderingContext2D} [options.context]
+ *   A canvas graphics context whose transformation the camera should keep up
+ *   to date whenever it moves. The World's camera uses the
+ *   {@link global#context global context}.
+ * @param {Number} [options.width]
+ *   The width in pixels of the area on the canvas that the camera draws to.
+ *   Defaults to the width of the canvas.
+ * @param {Number} [options.height]
+ *   The height in pixels of the area on the canvas that the camera draws to.
+ *   Defaults to the height of the canvas.
+ */
+function Camera(world, options) {
+  options = options || {};
+  /**
+   * @property {World} world
+   *   The World that the camera looks at.
+   */
+  this.world = world;
+  /**
+   * @property {CanvasRenderingContext2D} context
+   *   The canvas graphics context whose transformation the camera keeps up to
+   *   date, if any.
+   */
+  this.context = options.context || null;
+  /**
+   * @property {Number} width
+   *   The width in pixels of the area on the canvas that the camera draws to,
+   *   or `null` to use the width of the canvas.
+   */
+  this.width = options.width || null;
+  /**
+   * @property {Number} height
+   *   The height in pixels of the area on the canvas that the camera draws to,
+   *   or `null` to use the height of the canvas.
+   */
+  this.height = options.height || null;
+  /**
+   * @property {Number} x
+   *   The x-coordinate in the world of the upper-left corner of the view
+   *   (ignoring rotation). Use Camera#setPosition() to change it.
+   */
+  this.x = 0;
+  /**
+   * @property {Number} y
+   *   The y-coordinate in the world of the upper-left corner of the view
+   *   (ignoring rotation). Use Camera#setPosition() to change it.
+   */
+  this.y = 0;
+  /**
+   * @property {Number} zoom
+   *   How much the view is magnified. Use Camera#setZoom() to change it.
+   */
+  this.zoom = 1;
+  /**
+   * @property {Number} rotation
+   *   How far the camera is rotated clockwise in radians. (This makes the
+   *   world appear rotated counterclockwise.) Use Camera#setRotation() to
+   *   change it.
+   */
+  this.rotation = 0;
+  /**
+   * @property {Object} bounds
+   *   An object with `x`, `y`, `width`, and `height` properties describing the
+   *   area the camera is allowed to show, or `null` to use the whole World.
+   */
+  this.bounds = null;
+  /**
+   * @property {Boolean} clamp
+   *   Whether to keep the camera inside Camera#bounds. If the view is bigger
+   *   than the bounds, it is centered on them instead.
+   */
+  this.clamp = true;
+  /**
+   * @property {Box} target
+   *   The object the camera is {@link Camera#follow following}, if any.
+   */
+  this.target = null;
+  /**
+   * @property {Object} deadzone
+   *   An object with `width` and `height` properties describing the size in
+   *   pixels of the area in the middle of the view inside which the
+   *   {@link Camera#target target} can move without the camera following it,
+   *   or `null` to keep the target centered.
+   */
+  this.deadzone = null;
+  /**
+   * @property {Number} lerp
+   *   The fraction of the distance to the {@link Camera#target target} that
+   *   the camera moves every 60th of a second. 1 means the camera keeps up
+   *   exactly; smaller values make the camera lag behind smoothly.
+   */
+  this.lerp = 1;
+  this.lastX = 0; // The x-coordinate at the end of the previous physics update
+  this.lastY = 0; // The y-coordinate at the end of the previous physics update
+  this.lastUpdateStep = -1; // The value of App.physicsSteps during the last update
+  this.__stepX = 0;
+  this.__stepY = 0;
+  this.__shakeIntensity = 0;
+  this.__shakeDuration = 0;
+  this.__shakeRemaining = 0;
+  this.__shakeX = 0;
+  this.__shakeY = 0;
+}
+Camera.prototype = {
+  /**
+   * Get the size of the area on the canvas that the camera draws to.
+   *
+   * @return {Object}
+   *   An object with `width` and `height` properties.
+   */
+  getScreenSize: function() {
+    return {
+      width: this.width || canvas.width,
+      height: this.height || canvas.height,
+    };
+  },
+  /**
+   * Get the area the camera is allowed to show.
+   *
+   * @return {Object}
+   *   An object with `x`, `y`, `width`, and `height` properties. This is
+   *   Camera#bounds if it is set, or the area of the World otherwise.
+   */
+  getBounds: function() {
+    return this.bounds || {x: 0, y: 0, width: this.world.width, height: this.world.height};
+  },
+  /**
+   * Move the upper-left corner of the view to a specific location.
+   *
+   * @param {Number} x The x-coordinate in the world.
+   * @param {Number} y The y-coordinate in the world.
+   */
+  setPosition: function(x, y) {
+    this.x = x;
+    this.y = y;
+    if (this.clamp) {
+      this._clamp();
+    }
+    this._sync();
+    return this;
+  },
+  /**
+   * Move the camera by a given distance.
+   *
+   * @param {Number} x The horizontal distance in pixels to move.
+   * @param {Number} y The vertical distance in pixels to move.
+   */
+  move: function(x, y) {
+    return this.setPosition(this.x + x, this.y + y);
+  },
+  /**
+   * Center the view on a specific location.
+   *
+   * @param {Number} x The x-coordinate in the world.
+   * @param {Number} y The y-coordinate in the world.
+   */
+  centerOn: function(x, y) {
+    var s = this.getScreenSize();
+    return this.setPosition(x - s.width / this.zoom / 2, y - s.height / this.zoom / 2);
+  },
+  /**
+   * Get the location in the world at the center of the view.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties.
+   */
+  getCenter: function() {
+    var s = this.getScreenSize();
+    return {
+      x: this.x + s.width / this.zoom / 2,
+      y: this.y + s.height / this.zoom / 2,
+    };
+  },
+  /**
+   * Change how much the view is magnified.
+   *
+   * The view stays centered on the same location.
+   *
+   * @param {Number} zoom
+   *   The new magnification. 2 makes everything look twice as big; 0.5 makes
+   *   everything look half as big.
+   */
+  setZoom: function(zoom) {
+    var c = this.getCenter();
+    this.zoom = zoom;
+    return this.centerOn(c.x, c.y);
+  },
+  /**
+   * Rotate the camera around the center of the view.
+   *
+   * @param {Number} rotation
+   *   How far to rotate the camera clockwise in radians.
+   */
+  setRotation: function(rotation) {
+    this.rotation = rotation;
+    this._sync();
+    return this;
+  },
+  /**
+   * Make the camera follow an object.
+   *
+   * The camera catches up with the object after each physics update.
+   *
+   * @param {Box} target
+   *   The object to follow (anything with `x`, `y`, `width`, and `height`
+   *   properties), or `null` to stop following.
+   * @param {Object} [options]
+   *   An object with any of the following properties:
+   * @param {Object} [options.deadzone=null]
+   *   An object with `width` and `height` properties describing the size in
+   *   pixels of an area in the middle of the view inside which the target can
+   *   move without the camera following it. If `null`, the target is kept
+   *   centered.
+   * @param {Number} [options.lerp=1]
+   *   The fraction of the distance to the target that the camera moves every
+   *   60th of a second. Values smaller than 1 smooth out the camera movement.
+   */
+  follow: function(target, options) {
+    options = options || {};
+    this.target = target || null;
+    this.deadzone = options.deadzone || null;
+    this.lerp = typeof options.lerp === 'undefined' ? 1 : options.lerp;
+    return this;
+  },
+  /**
+   * Move the camera as little as possible to get an object into a deadzone.
+   *
+   * @param {Box} box
+   *   The object whose center should be inside the deadzone.
+   * @param {Number} [width=0]
+   *   The width in pixels of the deadzone in the middle of the view.
+   * @param {Number} [height=0]
+   *   The height in pixels of the deadzone in the middle of the view.
+   */
+  keepInDeadzone: function(box, width, height) {
+    var shift = this._getDeadzoneShift(box, width || 0, height || 0);
+    return this.move(shift.x, shift.y);
+  },
+  /**
+   * Shake the camera.
+   *
+   * The shaking fades out over the given duration. If the camera is already
+   * shaking harder, this has no effect.
+   *
+   * @param {Number} [intensity=10]
+   *   The maximum distance in pixels to move the view from where it should be.
+   * @param {Number} [duration=0.5]
+   *   How long to shake the camera in seconds.
+   */
+  shake: function(intensity, duration) {
+    intensity = typeof intensity === 'undefined' ? 10 : intensity;
+    duration = typeof duration === 'undefined' ? 0.5 : duration;
+    var current = this.__shakeRemaining > 0 ?
+      this.__shakeIntensity * this.__shakeRemaining / this.__shakeDuration : 0;
+    if (intensity >= current) {
+      this.__shakeIntensity = intensity;
+      this.__shakeDuration = duration;
+      this.__shakeRemaining = duration;
+    }
+    return this;
+  },
+  /**
+   * Determine whether the camera is shaking.
+   */
+  isShaking: function() {
+    return this.__shakeRemaining > 0;
+  },
+  /**
+   * Update the camera for a new physics update.
+   *
+   * This moves the camera toward its {@link Camera#target target} and updates
+   * the screen shake. The World's camera is updated automatically after every
+   * physics update.
+   *
+   * @param {Number} delta
+   *   The amount of time in seconds since the last update.
+   */
+  update: function(delta) {
+    if (this.target) {
+      var dz = this.deadzone || {width: 0, height: 0},
+          shift = this._getDeadzoneShift(this.target, dz.width, dz.height),
+          t = this.lerp >= 1 ? 1 : 1 - Math.pow(1 - this.lerp, delta * 60);
+      if (shift.x || shift.y) {
+        this.move(shift.x * t, shift.y * t);
+      }
+    }
+    if (this.__shakeRemaining > 0) {
+      this.__shakeRemaining = Math.max(this.__shakeRemaining - delta, 0);
+      var rng = App.Utils.rng,
+          intensity = this.__shakeIntensity * this.__shakeRemaining / this.__shakeDuration;
+      this.__shakeX = (rng.random() * 2 - 1) * intensity;
+      this.__shakeY = (rng.random() * 2 - 1) * intensity;
+    }
+    else {
+      this.__shakeX = 0;
+      this.__shakeY = 0;
+    }
+    // Don't interpolate from wherever the camera was before a pause.
+    var continued = this.lastUpdateStep === App.physicsSteps - 1;
+    this.lastX = continued ? this.__stepX : this.x;
+    this.lastY = continued ? this.__stepY : this.y;
+    this.__stepX = this.x;
+    this.__stepY = this.y;
+    this.lastUpdateStep = App.physicsSteps;
+    this._sync();
+  },
+  /**
+   * Get the position at which the view should be drawn.
+   *
+   * Like Actor#getDrawPosition(), this interpolates between physics updates
+   * when App.FIXED_TIMESTEP is enabled so that the camera moves smoothly. It
+   * also includes the screen shake.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties indicating the location in the
+   *   world of the upper-left corner of the view.
+   */
+  getDrawPosition: function() {
+    var x = this.x, y = this.y;
+    // If the camera was moved since the last update, just show it there.
+    if (App.FIXED_TIMESTEP && this.lastUpdateStep === App.physicsSteps - 1 &&
+        this.x === this.__stepX && this.y === this.__stepY) {
+      var a = App.physicsAlpha;
+      x = this.lastX + (this.x - this.lastX) * a;
+      y = this.lastY + (this.y - this.lastY) * a;
+    }
+    return {x: x + this.__shakeX, y: y + this.__shakeY};
+  },
+  /**
+   * Transform a graphics context to draw the world from the camera's view.
+   *
+   * The transformation is applied on top of the context's current one.
+   *
+   * @param {CanvasRenderingContext2D} [ctx]
+   *   The graphics context to transform. Defaults to the
+   *   {@link global#context global context}.
+   */
+  applyTransform: function(ctx) {
+    ctx = ctx || context;
+    var p = this.getDrawPosition(), s = this.getScreenSize();
+    // Stick to whole pixels when possible so that images stay crisp.
+    if (this.zoom === 1 && !this.rotation) {
+      ctx.translate(-Math.round(p.x), -Math.round(p.y));
+      return this;
+    }
+    ctx.translate(s.width / 2, s.height / 2);
+    ctx.rotate(-this.rotation);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-p.x - s.width / this.zoom / 2, -p.y - s.height / this.zoom / 2);
+    return this;
+  },
+  /**
+   * Reverse Camera#applyTransform().
+   *
+   * Afterwards, drawing on the context is relative to the canvas instead of
+   * the world.
+   *
+   * @param {CanvasRenderingContext2D} [ctx]
+   *   The graphics context to transform. Defaults to the
+   *   {@link global#context global context}.
+   */
+  undoTransform: function(ctx) {
+    ctx = ctx || context;
+    var p = this.getDrawPosition(), s = this.getScreenSize();
+    if (this.zoom === 1 && !this.rotation) {
+      ctx.translate(Math.round(p.x), Math.round(p.y));
+      return this;
+    }
+    ctx.translate(p.x + s.width / this.zoom / 2, p.y + s.height / this.zoom / 2);
+    ctx.scale(1 / this.zoom, 1 / this.zoom);
+    ctx.rotate(this.rotation);
+    ctx.translate(-s.width / 2, -s.height / 2);
+    return this;
+  },
+  /**
+   * Replace a graphics context's transformation with the camera's.
+   *
+   * This runs automatically for the {@link global#context global context}
+   * before each frame is drawn.
+   *
+   * @param {CanvasRenderingContext2D} [ctx]
+   *   The graphics context to transform. Defaults to Camera#context if set,
+   *   or the {@link global#context global context} otherwise.
+   */
+  setTransform: function(ctx) {
+    ctx = ctx || this.context || context;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return this.applyTransform(ctx);
+  },
+  /**
+   * Convert a position on the canvas to a location in the world.
+   *
+   * Useful for finding what is under the mouse, e.g.
+   * `world.camera.screenToWorld(Mouse.coords.x, Mouse.coords.y)`.
+   *
+   * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+   * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties.
+   */
+  screenToWorld: function(x, y) {
+    var c = this.getCenter(), s = this.getScreenSize(),
+        cos = Math.cos(this.rotation), sin = Math.sin(this.rotation),
+        dx = (x - s.width / 2) / this.zoom, dy = (y - s.height / 2) / this.zoom;
+    return {
+      x: c.x + dx * cos - dy * sin,
+      y: c.y + dx * sin + dy * cos,
+    };
+  },
+  /**
+   * Convert a location in the world to a position on the canvas.
+   *
+   * Useful for positioning HTML elements over the canvas with
+   * App.Utils.positionOverCanvas().
+   *
+   * @param {Number} x The x-coordinate in the world.
+   * @param {Number} y The y-coordinate in the world.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties indicating the position in pixels
+   *   from the upper-left corner of the canvas.
+   */
+  worldToScreen: function(x, y) {
+    var c = this.getCenter(), s = this.getScreenSize(),
+        cos = Math.cos(this.rotation), sin = Math.sin(this.rotation),
+        dx = (x - c.x) * this.zoom, dy = (y - c.y) * this.zoom;
+    return {
+      x: s.width / 2 + dx * cos + dy * sin,
+      y: s.height / 2 - dx * sin + dy * cos,
+    };
+  },
+  /**
+   * Get the smallest rectangle in the world that contains the whole view.
+   *
+   * @return {Object}
+   *   An object with `x`, `y`, `width`, and `height` properties.
+   */
+  getVisibleBounds: function() {
+    var s = this.getScreenSize();
+    if (!this.rotation) {
+      return {x: this.x, y: this.y, width: s.width / this.zoom, height: s.height / this.zoom};
+    }
+    var corners = [
+      this.screenToWorld(0, 0),
+      this.screenToWorld(s.width, 0),
+      this.screenToWorld(0, s.height),
+      this.screenToWorld(s.width, s.height),
+    ], minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (var i = 0; i < 4; i++) {
+      minX = Math.min(minX, corners[i].x);
+      minY = Math.min(minY, corners[i].y);
+      maxX = Math.max(maxX, corners[i].x);
+      maxY = Math.max(maxY, corners[i].y);
+    }
+    return {x: minX, y: minY, width: maxX - minX, height: maxY - minY};
+  },
+  /**
+   * Determine whether a Box is inside the view.
+   *
+   * If the camera is rotated, this checks against Camera#getVisibleBounds(),
+   * so Boxes near the corners may count as visible when they are not.
+   *
+   * @param {Box} box
+   *   The Box object to check for visibility.
+   * @param {Boolean} [partial=false]
+   *   Indicates whether to consider the Box inside the view if it is only
+   *   partially inside (true) or fully inside (false).
+   *
+   * @return {Boolean}
+   *   true if the Box is inside the view; false otherwise.
+   */
+  isInView: function(box, partial) {
+    var b = this.getVisibleBounds();
+    if (partial) {
+      return box.x + box.width > b.x &&
+        box.x < b.x + b.width &&
+        box.y + box.height > b.y &&
+        box.y < b.y + b.height;
+    }
+    return box.x > b.x &&
+      box.x + box.width < b.x + b.width &&
+      box.y > b.y &&
+      box.y + box.height < b.y + b.height;
+  },
+  /**
+   * Keep the view inside Camera#bounds.
+   *
+   * @ignore
+   */
+  _clamp: function() {
+    var b = this.getBounds(), s = this.getScreenSize(),
+        w = s.width / this.zoom, h = s.height / this.zoom;
+    this.x = w >= b.width ? b.x + (b.width - w) / 2 : Math.min(b.x + b.width - w, Math.max(b.x, this.x));
+    this.y = h >= b.height ? b.y + (b.height - h) / 2 : Math.min(b.y + b.height - h, Math.max(b.y, this.y));
+  },
+  /**
+   * Get how far the camera must move to get an object into a deadzone.
+   *
+   * @ignore
+   */
+  _getDeadzoneShift: function(box, width, height) {
+    var c = this.getCenter(),
+        hw = width / this.zoom / 2, hh = height / this.zoom / 2,
+        x = box.x + box.width / 2, y = box.y + box.height / 2,
+        shift = {x: 0, y: 0};
+    if (x < c.x - hw) shift.x = x - (c.x - hw);
+    else if (x > c.x + hw) shift.x = x - (c.x + hw);
+    if (y < c.y - hh) shift.y = y - (c.y - hh);
+    else if (y > c.y + hh) shift.y = y - (c.y + hh);
+    return shift;
+  },
+  /**
+   * Let the World and Camera#context know that the camera changed.
+   *
+   * @ignore
+   */
+  _sync: function() {
+    if (this.world && this.world.camera === this) {
+      this.world.xOffset = this.x;
+      this.world.yOffset = this.y;
+    }
+    if (this.context) {
+      this.setTransform(this.context);
+    }
+  },
+};
+
+// Move the World's camera after everything else has moved.
+App.onPhysicsStep(function(delta) {
+  if (typeof world !== 'undefined' && world.camera) {
+    world.camera.update(delta);
+  }
+});
+
+/**
+ * A rectangular region of the canvas that shows the world through its own
+ * {@link Camera}.
+ *
+ * Viewports are useful for split-screen multiplayer and minimaps. Once a
+ * Viewport has been added with App.Viewports.add(), each frame is drawn once
+ * for every Viewport instead of once for the whole canvas: the drawing is
+ * clipped to the Viewport's rectangle and the Viewport's camera transforms the
+ * {@link global#context global context}, so your draw() function doesn't have
+ * to do anything differently. While a Viewport is being drawn,
+ * {@link World#activeCamera world.activeCamera} is the Viewport's camera, so
+ * World#isInView() and TileMap#draw() with `occlude` only consider what that
+ * Viewport can see.
+ *
+ * For example, to split the canvas between two players:
+ *
+ *     var left = new Viewport(0, 0, canvas.width/2, canvas.height),
+ *         right = new Viewport(canvas.width/2, 0, canvas.width/2, canvas.height);
+ *     left.camera.follow(player1);
+ *     right.camera.follow(player2);
+ *     App.Viewports.add(left);
+ *     App.Viewports.add(right);
+ *
+ * @constructor
+ *   Creates a new Viewport.
+ *
+ * @param {Number} x
+ *   The x-coordinate in pixels of the upper-left corner of the Viewport on the
+ *   canvas.
+ * @param {Number} y
+ *   The y-coordinate in pixels of the upper-left corner of the Viewport on the
+ *   canvas.
+ * @param {Number} width
+ *   The width of the Viewport in pixels.
+ * @param {Number} height
+ *   The height of the Viewport in pixels.
+ * @param {Object} [options]
+ *   An object with any of the following properties:
+ * @param {Camera} [options.camera]
+ *   The Camera through which to show the world. Pass
+ *   {@link World#camera world.camera} to show the main view in the Viewport.
+ *   Defaults to a new Camera centered on the world.
+ * @param {Function} [options.draw]
+ *   A function to draw the Viewport's contents, called with the Viewport as
+ *   `this` and the graphics context (already clipped and transformed) and
+ *   App.physicsAlpha as parameters. Useful for minimaps that should show less
+ *   detail than the main view. Defaults to drawing the
+ *   {@link App.Scenes scenes} like normal.
+ * @param {Mixed} [options.background]
+ *   A canvas fill style with which to fill the Viewport before drawing it.
+ */
+function Viewport(x, y, width, height, options) {
+  options = options || {};
+  /**
+   * @property {Camera} camera
+   *   The Camera through which the Viewport shows the world.
+   */
+  this.camera = options.camera || new Camera(world);
+  /**
+   * @property {Function} drawContents
+   *   The function that draws the Viewport's contents, if it doesn't draw the
+   *   {@link App.Scenes scenes}. See the `draw` option of the constructor.
+   */
+  this.drawContents = options.draw || null;
+  /**
+   * @property {Mixed} background
+   *   A canvas fill style with which to fill the Viewport before drawing it,
+   *   if any.
+   */
+  this.background = options.background || null;
+  this.setRect(x, y, width, height);
+  if (!options.camera) {
+    var b = this.camera.getBounds();
+    this.camera.centerOn(b.x + b.width/2, b.y + b.height/2);
+  }
+}
+Viewport.prototype = {
+  /**
+   * Move or resize the Viewport.
+   *
+   * The camera keeps its position, adjusted to stay within its bounds.
+   *
+   * This also sets the {@link Camera#width width} and
+   * {@link Camera#height height} of the Viewport's camera to the Viewport's
+   * size, so a camera shared with something else (like
+   * {@link World#camera world.camera}) shows a differently sized area there
+   * too. The camera goes back to using the size of the canvas when the last
+   * Viewport using it is {@link App.Viewports#remove removed}, and gets the
+   * Viewport's size back if the Viewport is added again.
+   *
+   * @param {Number} x
+   *   The x-coordinate in pixels of the upper-left corner of the Viewport on
+   *   the canvas.
+   * @param {Number} y
+   *   The y-coordinate in pixels of the upper-left corner of the Viewport on
+   *   the canvas.
+   * @param {Number} width
+   *   The width of the Viewport in pixels.
+   * @param {Number} height
+   *   The height of the Viewport in pixels.
+   */
+  setRect: function(x, y, width, height) {
+    /**
+     * @property {Number} x
+     *   The x-coordinate in pixels of the upper-left corner of the Viewport on
+     *   the canvas. Use Viewport#setRect() to change it.
+     */
+    this.x = x;
+    /**
+     * @property {Number} y
+     *   The y-coordinate in pixels of the upper-left corner of the Viewport on
+     *   the canvas. Use Viewport#setRect() to change it.
+     */
+    this.y = y;
+    /**
+     * @property {Number} width
+     *   The width of the Viewport in pixels. Use Viewport#setRect() to change
+     *   it.
+     */
+    this.width = width;
+    /**
+     * @property {Number} height
+     *   The height of the Viewport in pixels. Use Viewport#setRect() to change
+     *   it.
+     */
+    this.height = height;
+    this.camera.width = width;
+    this.camera.height = height;
+    this.camera.move(0, 0);
+    return this;
+  },
+  /**
+   * Determine whether a position on the canvas is inside the Viewport.
+   *
+   * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+   * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+   */
+  contains: function(x, y) {
+    return x >= this.x && x < this.x + this.width &&
+      y >= this.y && y < this.y + this.height;
+  },
+  /**
+   * Convert a position on the canvas to a location in the world.
+   *
+   * This is like Camera#screenToWorld(), except that the position is relative
+   * to the whole canvas instead of the Viewport.
+   *
+   * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+   * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties.
+   */
+  screenToWorld: function(x, y) {
+    return this.camera.screenToWorld(x - this.x, y - this.y);
+  },
+  /**
+   * Convert a location in the world to a position on the canvas.
+   *
+   * This is like Camera#worldToScreen(), except that the position is relative
+   * to the whole canvas instead of the Viewport.
+   *
+   * @param {Number} x The x-coordinate in the world.
+   * @param {Number} y The y-coordinate in the world.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties.
+   */
+  worldToScreen: function(x, y) {
+    var p = this.camera.worldToScreen(x, y);
+    p.x += this.x;
+    p.y += this.y;
+    return p;
+  },
+  /**
+   * Determine whether a Box is visible in the Viewport.
+   *
+   * @param {Box} box
+   *   The Box object to check for visibility.
+   * @param {Boolean} [partial=false]
+   *   Indicates whether to consider the Box visible if it is only partially
+   *   inside the Viewport (true) or fully inside (false).
+   */
+  isInView: function(box, partial) {
+    return this.camera.isInView(box, partial);
+  },
+  /**
+   * Draw the Viewport onto the {@link global#context global context}.
+   *
+   * This is called automatically for Viewports that have been added with
+   * App.Viewports.add().
+   */
+  draw: function() {
+    var previous = world.activeCamera;
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.beginPath();
+    context.rect(this.x, this.y, this.width, this.height);
+    context.clip();
+    if (this.background) {
+      context.fillStyle = this.background;
+      context.fillRect(this.x, this.y, this.width, this.height);
+    }
+    context.translate(this.x, this.y);
+    this.camera.applyTransform(context);
+    world.activeCamera = this.camera;
+    if (this.drawContents) {
+      this.drawContents.call(this, context, App.physicsAlpha);
+    }
+    else {
+      App.Scenes._draw();
+    }
+    world.activeCamera = previous;
+    context.restore();
+    return this;
+  },
+};
+
+/**
+ * @class App.Viewports
+ *   Manages the {@link Viewport}s that the canvas is split into.
+ *
+ * If no Viewports have been added, the whole canvas shows the view from
+ * {@link World#camera world.camera}. Otherwise, only the Viewports are drawn,
+ * in the order they were added. To show a minimap over the normal view, add a
+ * Viewport for the whole canvas that uses world.camera first.
+ *
+ * The cameras of all added Viewports are updated after every physics update.
+ * All Viewports are removed when the app is {@link App#reset reset}.
+ *
+ * @static
+ */
+App.Viewports = (function() {
+  var viewports = [];
+
+  // Let a removed Viewport's camera use the size of the canvas again, unless
+  // another Viewport still shows it.
+  function release(viewport) {
+    var camera = viewport.camera;
+    for (var i = 0, l = viewports.length; i < l; i++) {
+      if (viewports[i].camera === camera) {
+        return;
+      }
+    }
+    camera.width = null;
+    camera.height = null;
+    camera.move(0, 0);
+  }
+
+  App.onPhysicsStep(function(delta) {
+    for (var i = 0, l = viewports.length; i < l; i++) {
+      // The World's camera updates itself.
+      if (viewports[i].camera !== world.camera) {
+        viewports[i].camera.update(delta);
+      }
+    }
+  });
+  // The Viewports' cameras are looking at the old World.
+  jQuery(document).on('resetApp', function() {
+    viewports = [];
+  });
+
+  return {
+    /**
+     * Start drawing a Viewport.
+     *
+     * @param {Viewport} viewport
+     *   The Viewport to add. It is drawn over the Viewports that were already
+     *   added.
+     *
+     * @static
+     */
+    add: function(viewport) {
+      if (viewports.indexOf(viewport) === -1) {
+        viewports.push(viewport);
+        // The camera's size might have been reset when it was removed.
+        viewport.setRect(viewport.x, viewport.y, viewport.width, viewport.height);
+      }
+      return viewport;
+    },
+    /**
+     * Stop drawing a Viewport.
+     *
+     * @param {Viewport} viewport
+     *   The Viewport to remove.
+     *
+     * @static
+     */
+    remove: function(viewport) {
+      if (viewports.indexOf(viewport) !== -1) {
+        viewports.remove(viewport);
+        release(viewport);
+      }
+    },
+    /**
+     * Remove all Viewports so that the whole canvas shows the main view again.
+     *
+     * @static
+     */
+    clear: function() {
+      var removed = viewports;
+      viewports = [];
+      for (var i = 0, l = removed.length; i < l; i++) {
+        release(removed[i]);
+      }
+    },
+    /**
+     * Get the Viewports that have been added, from bottom to top.
+     *
+     * @static
+     */
+    getAll: function() {
+      return viewports.slice();
+    },
+    /**
+     * Get the number of Viewports that have been added.
+     *
+     * @static
+     */
+    count: function() {
+      return viewports.length;
+    },
+    /**
+     * Get the topmost Viewport at a position on the canvas.
+     *
+     * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+     * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+     *
+     * @return {Viewport}
+     *   The topmost Viewport containing the position, or `null` if there isn't
+     *   one.
+     *
+     * @static
+     */
+    at: function(x, y) {
+      for (var i = viewports.length-1; i >= 0; i--) {
+        if (viewports[i].contains(x, y)) {
+          return viewports[i];
+        }
+      }
+      return null;
+    },
+    /**
+     * Convert a position on the canvas to a location in the world.
+     *
+     * This uses the camera of whichever Viewport is at that position, or
+     * {@link World#camera world.camera} if there aren't any Viewports. For
+     * example, `App.Viewports.screenToWorld(Mouse.coords.x, Mouse.coords.y)`
+     * finds the location in the world under the mouse.
+     *
+     * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+     * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+     *
+     * @return {Object}
+     *   An object with `x` and `y` properties.
+     *
+     * @static
+     */
+    screenToWorld: function(x, y) {
+      var viewport = this.at(x, y);
+      return viewport ? viewport.screenToWorld(x, y) : world.camera.screenToWorld(x, y);
+    },
+    // Draw every Viewport, or the main view if there aren't any. Called from
+    // animate().
+    _draw: function() {
+      if (!viewports.length) {
+        world.camera.setTransform(context);
+        App.Scenes._draw();
+        return;
+      }
+      for (var i = 0, l = viewports.length; i < l; i++) {
+        viewports[i].draw();
+      }
+    },
+  };
+})();
+
+/**
+ * The World object.
+ * 
+ * The World represents the complete playable game area. Its size can be set
+ * explicitly or is automatically determined by the "data-worldwidth" and
+ * "data-worldheight" attributes set on the HTML canvas element (with a
+ * fallback to the canvas width and height). If the size of the world is larger
+ * than the canvas then by default the view of the world will scroll when the
+ * {@link global#player player} approaches a side of the canvas.
+ * 
+ * @param {Number} [w]
+ *   The width of the world. Defaults to the value of the "data-worldwidth"
+ *   attribute on the HTML canvas element, or (if that attribute is not
+ *   present) the width of the canvas element.
+ * @param {Number} [h]
+ *   The height of the world. Defaults to the value of the "data-worldheight"
+ *   attribute on the HTML canvas element, or (if that attribute is not
+ *   present) the height of the canvas element.
+ */
+function World(w, h) {
+  /**
+   * @property {Number} scale
+   *   The percent amount (as a fraction) the canvas resolution is scaled.
+   */
+  this.scale = 1;
+  /**
+   * @property {Number} width
+   *   The width of the world.
+   */
+  this.width = w || parseInt($canvas.attr('data-worldwidth'), 10) || canvas.width;
+  /**
+   * @property {Number} height
+   *   The height of the world.
+   */
+  this.height = h || parseInt($canvas.attr('data-worldheight'), 10) || canvas.height;
+
+  /**
+   * @property {Number} xOffset
+   *   The pixel-offset of what's being displayed in the canvas compared to the
+   *   world origin. This is kept in sync with the camera's position; use the
+   *   {@link World#camera camera} to change it.
+   */
+  this.xOffset = 0;
+  /**
+   * @property {Number} yOffset
+   *   The pixel-offset of what's being displayed in the canvas compared to the
+   *   world origin. This is kept in sync with the camera's position; use the
+   *   {@link World#camera camera} to change it.
+   */
+  this.yOffset = 0;
+  /**
+   * @property {Camera} camera
+   *   The Camera that controls which part of the world is displayed on the
+   *   canvas.
+   */
+  this.camera = new Camera(this, {context: context});
+  this.camera.centerOn(this.width/2, this.height/2);
+  /**
+   * @property {Camera} activeCamera
+   *   The Camera whose view is being drawn. This is the same as
+   *   {@link World#camera camera} except while a {@link Viewport} is being
+   *   drawn, when it is the Viewport's camera.
+   */
+  this.activeCamera = this.camera;
+
+  /**
+   * Return an object with 'x' and 'y' properties indicating how far offset
+   * the viewport is from the world origin.
+   */
+  this.getOffsets = function() {
+    return {
+      'x': this.xOffset,
+      'y': this.yOffset,
+    };
+  };
+
+  /**
+   * Resize the world to new dimensions.
+   *
+   * Careful! This will shift the viewport regardless of where the player is.
+   * Objects already in the world will retain their coordinates and so may
+   * appear in unexpected locations on the screen.
+   *
+   * @param {Number} newWidth The new width to which to resize the world.
+   * @param {Number} newHeight The new height to which to resize the world.
+   */
+  this.resize = function(newWidth, newHeight) {
+    // Try to re-center the offset of the part of the world in the canvas
+    // so we're still looking at approximately the same thing.
+    var deltaX = (newWidth - this.width) / 2, deltaY = (newHeight - this.height) / 2;
+    
+    // Change the world dimensions.
+    this.width = newWidth;
     this.height = newHeight;
+    this.camera.move(deltaX, deltaY);
     
     /**
      * @event resizeWorld
@@ -1056,14 +3324,12 @@ function World(w, h) {
     });
     canvas.width = (canvas.width*factor)|0;
     canvas.height = (canvas.height*factor)|0;
-    x = x || 0;
-    y = y || 0;
-    this.xOffset = Math.min(this.width - canvas.width, Math.max(0, x - canvas.width / 2)) | 0;
-    this.yOffset = Math.min(this.height - canvas.height, Math.max(0, y - canvas.height / 2)) | 0;
-    context.translate(-this.xOffset, -this.yOffset);
+    // Resizing the canvas resets its transformation, so this also puts the
+    // camera's transformation back.
+    this.camera.centerOn(x || 0, y || 0);
     this.scale = factor;
     if (!isAnimating()) {
-      draw();
+      App.Scenes._draw();
     }
   };
 
@@ -1074,19 +3340,15 @@ function World(w, h) {
    * @param {Number} y The y-coordinate around which to center the viewport.
    */
   this.centerViewportAround = function(x, y) {
-    var newXOffset = Math.min(this.width - canvas.width, Math.max(0, x - canvas.width / 2)) | 0,
-        newYOffset = Math.min(this.height - canvas.height, Math.max(0, y - canvas.height / 2)) | 0,
-        deltaX = this.xOffset - newXOffset,
-        deltaY = this.yOffset - newYOffset;
-    this.xOffset = newXOffset;
-    this.yOffset = newYOffset;
-    context.translate(deltaX, deltaY);
+    this.camera.centerOn(x, y);
   };
 
   /**
    * Determine whether a Box is inside the viewport.
    *
-   * To test whether a Box is inside the World, see World#isInWorld().
+   * While a {@link Viewport} is being drawn, this checks whether the Box is
+   * inside that Viewport. To test whether a Box is inside the World, see
+   * World#isInWorld().
    *
    * @param {Box} box
    *   The Box object to check for visibility.
@@ -1098,16 +3360,7 @@ function World(w, h) {
    *   true if the Box is inside the viewport; false otherwise.
    */
   this.isInView = function(box, partial) {
-    if (partial) {
-      return box.x + box.width > this.xOffset &&
-        box.x < this.xOffset + canvas.width &&
-        box.y + box.height > this.yOffset &&
-        box.y < this.yOffset + canvas.height;
-    }
-    return box.x > this.xOffset &&
-      box.x + box.width < this.xOffset + canvas.width &&
-      box.y > this.yOffset &&
-      box.y + box.height < this.yOffset + canvas.height;
+    return this.activeCamera.isInView(box, partial);
   };
 
   /**
@@ -1132,7 +3385,54 @@ function World(w, h) {
     return box.x >= 0 && box.x + box.width <= world.width &&
       box.y >= 0 && box.y + box.height <= world.height;
   };
+
+  /**
+   * Get a representation of the World that can be converted to JSON.
+   *
+   * Includes the size, resolution scale, viewport offsets, and the camera's
+   * zoom and rotation.
+   */
+  this.toJSON = function() {
+    return {
+      __class: 'World',
+      width: this.width,
+      height: this.height,
+      scale: this.scale,
+      xOffset: this.xOffset,
+      yOffset: this.yOffset,
+      zoom: this.camera.zoom,
+      rotation: this.camera.rotation,
+    };
+  };
 }
+Class.register('World', World);
+
+/**
+ * Restore the World from the output of World#toJSON().
+ *
+ * This is called automatically by Class.revive(). Rather than creating a new
+ * World, this changes the {@link global#world global world} to match the
+ * saved one (including scrolling the viewport to where it was) and returns
+ * it.
+ *
+ * @param {Object} data
+ *   The output of World#toJSON().
+ *
+ * @static
+ */
+World.fromJSON = function(data) {
+  if (data.scale != world.scale) {
+    world.scaleResolution(data.scale / world.scale);
+  }
+  if (data.width != world.width || data.height != world.height) {
+    world.resize(data.width, data.height);
+  }
+  // Saves from before the camera existed don't have a zoom or rotation.
+  world.camera.zoom = data.zoom || 1;
+  world.camera.setRotation(data.rotation || 0);
+  world.camera.setPosition(data.xOffset, data.yOffset);
+  return world;
+};
 
 /**
  * The Layer object (basically a new, utility canvas).
@@ -1301,7 +3601,7 @@ function Layer(options) {
     ctx.save();
     ctx.globalAlpha = this.opacity;
     if (this.relative == 'canvas') {
-      ctx.translate(world.xOffset, world.yOffset);
+      world.activeCamera.undoTransform(ctx);
     }
     if (this.xOffset || this.yOffset) {
       ctx.translate(this.xOffset, this.yOffset);
@@ -1379,7 +3679,66 @@ function Layer(options) {
     });
     return $d;
   };
+  /**
+   * Get a representation of the Layer that can be converted to JSON.
+   *
+   * The Layer's contents are included as a data URL. If the Layer's canvas
+   * can't be exported (for example because it contains images loaded from
+   * another domain), only its settings are included.
+   */
+  this.toJSON = function() {
+    var data = {
+      __class: 'Layer',
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      relative: this.relative,
+      opacity: this.opacity,
+      parallax: this.parallax,
+      xOffset: this.xOffset,
+      yOffset: this.yOffset,
+    };
+    try {
+      data.src = this.canvas.toDataURL();
+    } catch(e) {}
+    return data;
+  };
 }
+Class.register('Layer', Layer);
+
+/**
+ * Re-create a Layer from the output of Layer#toJSON().
+ *
+ * This is called automatically by Class.revive(). The Layer's contents are
+ * drawn as soon as the saved image has loaded, which may not be immediately.
+ *
+ * @param {Object} data
+ *   The output of Layer#toJSON().
+ *
+ * @static
+ */
+Layer.fromJSON = function(data) {
+  var layer = new Layer({
+    x: data.x,
+    y: data.y,
+    width: data.width,
+    height: data.height,
+    relative: data.relative,
+    opacity: data.opacity,
+    parallax: data.parallax,
+  });
+  layer.xOffset = data.xOffset;
+  layer.yOffset = data.yOffset;
+  if (data.src) {
+    var image = new Image();
+    image.onload = function() {
+      layer.context.drawImage(image, 0, 0);
+    };
+    image.src = data.src;
+  }
+  return layer;
+};
 
 /**
  * Actors are {@link Box Boxes} that can move.
@@ -1455,15 +3814,168 @@ var Actor = Box.extend({
    */
   MULTI_JUMP: 0,
 
+  /**
+   * Seconds after walking off a ledge during which the Actor can still jump.
+   *
+   * This "coyote time" makes jumping at the very edge of a platform more
+   * forgiving. Jumping during this time counts as jumping from the ground,
+   * so it doesn't use up one of the Actor's {@link Actor#MULTI_JUMP MULTI_JUMP}
+   * jumps. Has no effect if GRAVITY is false.
+   */
+  COYOTE_TIME: 0,
+
+  /**
+   * Seconds before the Actor can jump during which jump presses are
+   * remembered.
+   *
+   * If the jump key is pressed when the Actor can't jump (for example, just
+   * before it lands), the Actor jumps as soon as it can if that happens
+   * within this many seconds. Has no effect if GRAVITY is false.
+   */
+  JUMP_BUFFER: 0,
+
+  /**
+   * How much of its upward velocity the Actor keeps if the jump key is
+   * released while it is still rising.
+   *
+   * Values less than 1 let players control how high they jump by how long
+   * they hold down the jump key. For example, 0.5 halves the Actor's upward
+   * velocity when the key is released. This depends on being notified of when
+   * keys are released via Actor#release(), which happens automatically for
+   * Players. Has no effect if GRAVITY is false.
+   */
+  JUMP_CUT: 1,
+
+  /**
+   * The fastest the Actor can fall, in pixels per second.
+   *
+   * null means there is no limit. Has no effect if GRAVITY is false.
+   */
+  MAX_FALL_VELOCITY: null,
+
+  /**
+   * The fastest the Actor can fall while pushing against a wall, in pixels
+   * per second.
+   *
+   * If this is set, Actors that move into the side of a solid while they are
+   * in the air slide down it slowly instead of falling. null disables wall
+   * sliding. See also Actor#getWallSide(). Has no effect if GRAVITY is false.
+   */
+  WALL_SLIDE_VELOCITY: null,
+
+  /**
+   * Whether the Actor can jump off of walls.
+   *
+   * If this is true, Actors that move into the side of a solid while they are
+   * in the air can jump again, and they jump away from the wall. Wall jumps
+   * don't count toward {@link Actor#MULTI_JUMP MULTI_JUMP}. Has no effect if
+   * GRAVITY is false.
+   */
+  WALL_JUMP: false,
+
   /**
    * Whether to make the Actor continue moving in the last direction specified.
    */
   CONTINUOUS_MOVEMENT: false,
 
+  /**
+   * The number of directions in which the Actor can move if GRAVITY is false.
+   *
+   * 8 allows moving diagonally. 4 only allows moving horizontally or
+   * vertically; if directions along both axes are given at once (for example
+   * because the player is holding down both the up and right keys), the
+   * last one wins, which is the most recently pressed key for Players. This
+   * also applies to {@link Actor#setGridMovement grid movement}.
+   */
+  DIRECTIONS: 8,
+
+  /**
+   * Whether the Actor speeds up and slows down gradually when moving
+   * horizontally.
+   *
+   * By default, Actors start moving at full speed as soon as they are told to
+   * move and stop as soon as they aren't. If this is enabled, the Actor
+   * instead accelerates toward its {@link Actor#MAX_SPEED MAX_SPEED} and
+   * decelerates to a stop (or skids when it turns around) according to
+   * {@link Actor#GROUND_ACCELERATION GROUND_ACCELERATION},
+   * {@link Actor#GROUND_DECELERATION GROUND_DECELERATION},
+   * {@link Actor#AIR_ACCELERATION AIR_ACCELERATION}, and
+   * {@link Actor#AIR_DECELERATION AIR_DECELERATION}. While standing on a
+   * Box, its {@link Box#SURFACE_FRICTION SURFACE_FRICTION} scales the
+   * Actor's ground acceleration and deceleration. The Actor keeps its
+   * momentum in the air, so {@link Actor#AIR_CONTROL AIR_CONTROL} is ignored.
+   */
+  ACCELERATED_MOVEMENT: false,
+
+  /**
+   * The fastest the Actor can move horizontally with accelerated movement,
+   * in pixels per second.
+   *
+   * null means {@link Actor#MOVEAMOUNT MOVEAMOUNT} is used. Has no effect
+   * unless ACCELERATED_MOVEMENT is enabled.
+   */
+  MAX_SPEED: null,
+
+  /**
+   * How quickly the Actor speeds up on the ground, in pixels per
+   * second-squared.
+   *
+   * Has no effect unless ACCELERATED_MOVEMENT is enabled.
+   */
+  GROUND_ACCELERATION: 2000,
+
+  /**
+   * How quickly the Actor slows down or turns around on the ground, in
+   * pixels per second-squared.
+   *
+   * Has no effect unless ACCELERATED_MOVEMENT is enabled.
+   */
+  GROUND_DECELERATION: 3000,
+
+  /**
+   * How quickly the Actor speeds up in the air, in pixels per second-squared.
+   *
+   * Has no effect unless ACCELERATED_MOVEMENT and GRAVITY are enabled.
+   */
+  AIR_ACCELERATION: 1000,
+
+  /**
+   * How quickly the Actor slows down or turns around in the air, in pixels
+   * per second-squared.
+   *
+   * Has no effect unless ACCELERATED_MOVEMENT and GRAVITY are enabled.
+   */
+  AIR_DECELERATION: 500,
+
+  /**
+   * The strongest steering force that can act on the Actor, in pixels per
+   * second-squared.
+   *
+   * This limits how quickly the Actor can speed up, slow down, and turn when
+   * it is moved by Actor#steer().
+   */
+  STEERING_FORCE: 1000,
+
   /**
    * Whether the Actor will be restricted to not move outside the world.
    */
-  STAY_IN_WORLD: true,
+  STAY_IN_WORLD: true,
+
+  /**
+   * Whether to check for collisions along the whole path the Actor moved.
+   *
+   * Normally, collisions are only detected if the Actor overlaps something
+   * after it moves. Fast or small Actors (like bullets) can move far enough
+   * during a single physics update to pass through thin solids without ever
+   * overlapping them. If this setting is enabled, Actor#collideSolid() and
+   * Actor#collides() also check the path the Actor took from its previous
+   * position (see Actor#sweep()), and Actor#collideSolid() stops the Actor
+   * where it first hit a solid instead.
+   *
+   * This is more expensive than normal collision detection, so it is
+   * disabled by default.
+   */
+  CONTINUOUS_COLLISION: false,
 
   /**
    * The fractional velocity damping factor.
@@ -1481,6 +3993,53 @@ var Actor = Box.extend({
    */
   DAMPING_FACTOR: null,
 
+  /**
+   * Whether the Actor behaves like a rigid body.
+   *
+   * Normally, Actors move kinematically: they stop as soon as nothing moves
+   * them (unless {@link Actor#DAMPING_FACTOR DAMPING_FACTOR} is set), and
+   * Actor#collideSolid() just pushes them out of solids. Rigid bodies keep
+   * their momentum, bounce off of things according to
+   * {@link Box#RESTITUTION RESTITUTION}, slow down due to
+   * {@link Box#FRICTION FRICTION}, and push other rigid bodies around
+   * depending on their {@link Actor#MASS MASS}. Use Actor#applyForce() and
+   * Actor#applyImpulse() to move them.
+   *
+   * Collisions between two rigid bodies are resolved when one of them
+   * {@link Actor#collideSolid collides with} the other as a solid, for
+   * example by calling `App.Collisions.add(crates, crates, {solid: true})`.
+   */
+  RIGID_BODY: false,
+
+  /**
+   * The mass of the Actor if it is a {@link Actor#RIGID_BODY rigid body}.
+   *
+   * Heavier Actors need more force to move and push lighter Actors around
+   * when they collide. Boxes and Actors that aren't rigid bodies act as if
+   * they are infinitely heavy.
+   */
+  MASS: 1,
+
+  /**
+   * The slowest speed in pixels per second at which rigid bodies bounce.
+   *
+   * {@link Actor#RIGID_BODY Rigid bodies} that hit something slower than
+   * this don't bounce so that they can come to rest instead of jittering.
+   */
+  MIN_BOUNCE_VELOCITY: 50,
+
+  /**
+   * Gravitational acceleration in pixels per second-squared for rigid bodies.
+   *
+   * Other Actors fall faster the longer they are in the air because
+   * {@link Actor#G_CONST G_CONST} is added to their acceleration every
+   * physics step. {@link Actor#RIGID_BODY Rigid bodies} with
+   * {@link Actor#GRAVITY GRAVITY} enabled fall with this constant
+   * acceleration instead so that they rise and fall symmetrically and only
+   * bounce as high as their {@link Box#RESTITUTION RESTITUTION} allows.
+   */
+  RIGID_BODY_GRAVITY: 1200,
+
   /**
    * The last direction (key press) that resulted in looking in a direction.
    *
@@ -1540,7 +4099,21 @@ var Actor = Box.extend({
   yAcceleration: 0,
 
   // Dynamic (internal) variables
-  lastJump: 0, // Time when the last jump occurred in milliseconds since the epoch
+  lastJump: 0, // Time when the last jump occurred in App.physicsTimeElapsed
+  lastFall: -Infinity, // Time when the Actor last walked off a ledge in App.physicsTimeElapsed
+  lastJumpPress: -Infinity, // Time when the jump key was last pressed without jumping in App.physicsTimeElapsed
+  wallSide: 0, // The side of the Actor on which it last hit a wall in the air (-1 for left, 1 for right)
+  lastWallStep: -1, // The value of App.physicsSteps when the Actor last hit a wall in the air
+  moveDirection: 0, // The horizontal direction the Actor was told to move during the last update (-1, 0, or 1)
+  __grid: null, // The TileMap on which the Actor moves, if any; see setGridMovement()
+  __gridBlocked: null, // A function that determines whether grid cells are blocked
+  __gridTarget: null, // The cell the Actor is moving into on the grid
+  __gridInput: null, // The grid direction the Actor was told to move during the last update
+  __gridQueued: null, // A newly given grid direction that the Actor hasn't moved in yet
+  lastSteerStep: -1, // The value of App.physicsSteps when the Actor last steered
+  __path: null, // The waypoints the Actor is following, if any; see followPath()
+  __pathIndex: 0, // The index in __path of the waypoint the Actor is moving toward
+  __pathJumping: false, // Whether the Actor is holding the jump key to follow its path
   lastDirection: [], // The last direction (i.e. key press) passed to processInput()
   jumpDirection: {right: false, left: false}, // Whether the Actor was moving horizontally before jumping
   jumpKeyDown: false, // Whether the jump key is currently pressed
@@ -1550,6 +4123,8 @@ var Actor = Box.extend({
   isDraggable: false, // Whether the Actor is draggable
   dragStartX: 0, // Last position of the Actor before being dragged
   dragStartY: 0, // Last position of the Actor before being dragged
+  lastUpdateStep: -1, // The value of App.physicsSteps during the last update
+  __platform: null, // The Box the Actor is standing on; see getPlatform()
 
   /**
    * @constructor
@@ -1580,6 +4155,30 @@ var Actor = Box.extend({
     ctx.drawSmiley(x + w/2, y + h/2, (w+h)/4);
   },
 
+  /**
+   * Get the position at which the Actor should be {@link Box#draw drawn}.
+   *
+   * If App.FIXED_TIMESTEP is enabled and the Actor was updated during the
+   * most recent physics update, this interpolates between the Actor's
+   * position before and after that update using App.physicsAlpha so that
+   * movement looks smooth even when the frame rate and the physics rate don't
+   * line up. Otherwise this is just the Actor's current position.
+   *
+   * **Inherited documentation:**
+   *
+   * @inheritdoc Box#getDrawPosition
+   */
+  getDrawPosition: function() {
+    if (App.FIXED_TIMESTEP && this.lastUpdateStep === App.physicsSteps - 1) {
+      var a = App.physicsAlpha;
+      return {
+        x: this.lastX + (this.x - this.lastX) * a,
+        y: this.lastY + (this.y - this.lastY) * a,
+      };
+    }
+    return {x: this.x, y: this.y};
+  },
+
   /**
    * Update the Actor for a new frame.
    *
@@ -1589,14 +4188,23 @@ var Actor = Box.extend({
    *   {@link jQuery.hotkeys}).
    */
   update: function(direction) {
+    this._followPlatform();
     this.lastX = this.x;
     this.lastY = this.y;
+    this.lastUpdateStep = App.physicsSteps;
     if (this.isBeingDragged) {
-      this.x = Mouse.coords.x + world.xOffset - this.width/2;
-      this.y = Mouse.coords.y + world.yOffset - this.height/2;
+      var mouse = App.Viewports.screenToWorld(Mouse.coords.x, Mouse.coords.y);
+      this.x = mouse.x - this.width/2;
+      this.y = mouse.y - this.height/2;
     }
     else {
+      if (direction === undefined && this.__path) {
+        direction = this._getPathDirection();
+      }
       this.processInput(direction);
+      if (this.ACCELERATED_MOVEMENT && !this._isSteering()) {
+        this._accelerate();
+      }
       this.ambientAcceleration();
       this.move();
       if (App.Utils.almostEqual(this.lastX, this.x, 0.000001)) {
@@ -1605,6 +4213,54 @@ var Actor = Box.extend({
     }
     this.updateAnimation();
     this.dampVelocity();
+    this.reindex();
+  },
+
+  /**
+   * Get the Box this Actor is standing on.
+   *
+   * When an Actor with GRAVITY enabled lands on a solid in
+   * Actor#collideSolid(), it remembers that solid as its platform. If the
+   * platform moves, the Actor moves with it at the start of its next
+   * Actor#update(), so Actors can ride moving platforms. Any Box can be a
+   * moving platform; just change its position. The Actor leaves the platform
+   * when it {@link Actor#startFalling starts falling} or jumping.
+   *
+   * @return {Box}
+   *   The Box this Actor is standing on, or null if it isn't standing on a
+   *   solid (or if it is standing on the bottom of the world).
+   */
+  getPlatform: function() {
+    return this.__platform;
+  },
+
+  /**
+   * Remember the solid this Actor is standing on and where it is.
+   *
+   * @param {Box} box The Box on which the Actor is standing.
+   *
+   * @ignore
+   */
+  _setPlatform: function(box) {
+    this.__platform = box;
+    this.__platformX = box.x;
+    this.__platformY = box.y;
+  },
+
+  /**
+   * Move the Actor by however far its platform moved since it last checked.
+   *
+   * @ignore
+   */
+  _followPlatform: function() {
+    var platform = this.__platform;
+    if (!platform || this.inAir || this.isBeingDragged) {
+      return;
+    }
+    this.x += platform.x - this.__platformX;
+    this.y += platform.y - this.__platformY;
+    this.__platformX = platform.x;
+    this.__platformY = platform.y;
   },
 
   /**
@@ -1623,6 +4279,7 @@ var Actor = Box.extend({
         right = false,
         looked = false,
         anyIn = App.Utils.anyIn;
+    this.moveDirection = 0;
     // Bail if someone deleted the keys variable.
     if (typeof keys === 'undefined') {
       return;
@@ -1634,17 +4291,36 @@ var Actor = Box.extend({
       }
       // No need to keep processing if no directions were given.
       else {
+        this._jumpIfBuffered(false, false);
+        if (this.__grid) {
+          this._queueGridStep(direction || []);
+        }
         return;
       }
     }
+    if (this.DIRECTIONS == 4 && !this.GRAVITY) {
+      direction = this._restrictDirections(direction);
+    }
     this.lastDirection = direction.slice(); // shallow copy
 
+    // Move one cell at a time on a grid.
+    if (this.__grid) {
+      this._queueGridStep(direction);
+      if (this.__gridInput) {
+        this.lastLooked = direction.slice(); // shallow copy
+      }
+      return;
+    }
+
     // Move left.
     if (anyIn(keys.left, direction)) {
       left = true;
       looked = true;
       this.fallLeft = true;
-      if (this.GRAVITY && this.isInAir()) {
+      if (this.ACCELERATED_MOVEMENT) {
+        this.moveDirection = -1;
+      }
+      else if (this.GRAVITY && this.isInAir()) {
         if (this.jumpDirection.right || !this.jumpDirection.left) {
           this.xVelocity = -this.MOVEAMOUNT * this.AIR_CONTROL;
           this.jumpDirection.right = false;
@@ -1660,7 +4336,10 @@ var Actor = Box.extend({
       right = true;
       looked = true;
       this.fallLeft = false;
-      if (this.GRAVITY && this.isInAir()) {
+      if (this.ACCELERATED_MOVEMENT) {
+        this.moveDirection = 1;
+      }
+      else if (this.GRAVITY && this.isInAir()) {
         if (this.jumpDirection.left || !this.jumpDirection.right) {
           this.xVelocity = this.MOVEAMOUNT * this.AIR_CONTROL;
           this.jumpDirection.right = false;
@@ -1678,18 +4357,14 @@ var Actor = Box.extend({
         this.yVelocity = -this.MOVEAMOUNT;
         looked = true;
       }
-      else if (!this.isInAir() ||
-          this.MULTI_JUMP > this.numJumps ||
-          this.MULTI_JUMP == -1) {
-        var now = App.physicsTimeElapsed;
-        if (now - this.lastJump > this.JUMP_DELAY && // sufficient delay
-            (!this.JUMP_RELEASE || !this.jumpKeyDown)) { // press jump again
-          this.yVelocity = -this.JUMP_VEL;
-          this.lastJump = now;
-          this.jumpDirection.right = right;
-          this.jumpDirection.left = left;
-          this.numJumps++;
-          this.inAir = true;
+      else if (!this._jump(left, right, false)) {
+        // Remember new presses so we can jump when we're able to.
+        if (!this.jumpKeyDown) {
+          this.lastJumpPress = App.physicsTimeElapsed;
+        }
+        // Holding the key after a buffered press shouldn't cancel the jump.
+        else {
+          this._jumpIfBuffered(left, right);
         }
       }
       this.jumpKeyDown = true;
@@ -1700,6 +4375,10 @@ var Actor = Box.extend({
         this.yVelocity = this.MOVEAMOUNT;
         looked = true;
       }
+      this._jumpIfBuffered(left, right);
+    }
+    else {
+      this._jumpIfBuffered(left, right);
     }
 
     if (looked) {
@@ -1717,6 +4396,468 @@ var Actor = Box.extend({
     }
   },
 
+  /**
+   * Only keep the last horizontal or vertical direction.
+   *
+   * See {@link Actor#DIRECTIONS DIRECTIONS}.
+   *
+   * @param {String[]} direction
+   *   An Array of directions.
+   *
+   * @return {String[]}
+   *   A copy of `direction` without any movement directions except the last.
+   *
+   * @ignore
+   */
+  _restrictDirections: function(direction) {
+    var movement = [].concat(keys.left, keys.right, keys.up, keys.down),
+        last = null,
+        result = [],
+        i;
+    for (i = direction.length-1; i >= 0; i--) {
+      if (movement.indexOf(direction[i]) !== -1) {
+        last = direction[i];
+        break;
+      }
+    }
+    for (i = 0; i < direction.length; i++) {
+      if (direction[i] === last || movement.indexOf(direction[i]) === -1) {
+        result.push(direction[i]);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Make the Actor move one cell at a time on a grid.
+   *
+   * The Actor is moved to the center of the cell it is in, and from then on
+   * directions passed to Actor#update() make it move into the neighboring
+   * cell in that direction at {@link Actor#MOVEAMOUNT MOVEAMOUNT} pixels per
+   * second instead of moving freely. Once the Actor starts moving into a cell,
+   * it keeps going until it gets there. Directions that are given while it's
+   * moving are remembered, and the Actor moves in that direction next. The
+   * Actor won't move into blocked cells, and when moving diagonally (see
+   * {@link Actor#DIRECTIONS DIRECTIONS}) it won't cut corners around blocked
+   * cells.
+   *
+   * Grid movement is designed for top-down games, so GRAVITY should be
+   * false. Since it refers to a TileMap, it isn't saved by Actor#toJSON(), so
+   * call this again after reviving the Actor.
+   *
+   * @param {TileMap} tileMap
+   *   The grid on which the Actor should move. Cells are the same size as the
+   *   TileMap's cells. Pass null to let the Actor move freely again.
+   * @param {Function} [isBlocked]
+   *   A function that determines whether the Actor can move into a cell. It
+   *   receives the contents of the cell, its row, and its column, and it
+   *   should return true if the cell is blocked. By default, cells that
+   *   aren't blank and cells outside the TileMap are blocked.
+   */
+  setGridMovement: function(tileMap, isBlocked) {
+    this.__grid = tileMap || null;
+    this.__gridBlocked = isBlocked || null;
+    this.__gridTarget = null;
+    this.__gridInput = null;
+    this.__gridQueued = null;
+    if (this.__grid) {
+      var cell = this.getGridCell(),
+          pos = this._getGridCellPosition(cell.row, cell.col);
+      this.x = this.lastX = pos.x;
+      this.y = this.lastY = pos.y;
+      this.reindex();
+    }
+    return this;
+  },
+
+  /**
+   * Get the grid cell the Actor is in when using grid movement.
+   *
+   * See Actor#setGridMovement().
+   *
+   * @return {Object}
+   *   null if the Actor isn't using grid movement; otherwise, an object with
+   *   `row` and `col` properties identifying the cell that contains the
+   *   Actor's center.
+   */
+  getGridCell: function() {
+    if (!this.__grid) {
+      return null;
+    }
+    return this.__grid.worldToCell(this.x + this.width / 2, this.y + this.height / 2);
+  },
+
+  /**
+   * Check whether the Actor is moving between cells on its grid.
+   *
+   * See Actor#setGridMovement().
+   *
+   * @return {Boolean}
+   *   true if the Actor is on its way to another cell; false otherwise.
+   */
+  isMovingOnGrid: function() {
+    return this.__gridTarget !== null;
+  },
+
+  /**
+   * Remember the direction in which the Actor was told to move on its grid.
+   *
+   * @param {String[]} direction
+   *   An Array of directions passed to Actor#processInput().
+   *
+   * @ignore
+   */
+  _queueGridStep: function(direction) {
+    var anyIn = App.Utils.anyIn,
+        dx = anyIn(keys.left, direction) ? -1 : (anyIn(keys.right, direction) ? 1 : 0),
+        dy = anyIn(keys.up, direction) ? -1 : (anyIn(keys.down, direction) ? 1 : 0),
+        input = dx || dy ? {x: dx, y: dy} : null,
+        last = this.__gridInput;
+    // Remember new directions until the Actor can move in them so that quick
+    // key presses aren't lost while it's between cells.
+    if (input && (!last || last.x != dx || last.y != dy)) {
+      this.__gridQueued = input;
+    }
+    this.__gridInput = input;
+  },
+
+  /**
+   * Start moving into the next cell on the grid, if possible.
+   *
+   * @return {Boolean}
+   *   true if the Actor started moving into another cell; false otherwise.
+   *
+   * @ignore
+   */
+  _startGridStep: function() {
+    var step = this.__gridQueued || this.__gridInput;
+    this.__gridQueued = null;
+    if (!step) {
+      return false;
+    }
+    var cell = this.getGridCell(), row = cell.row + step.y, col = cell.col + step.x;
+    if (this._isGridCellBlocked(row, col) ||
+        // Don't cut corners when moving diagonally.
+        (step.x && step.y && (this._isGridCellBlocked(cell.row, col) ||
+          this._isGridCellBlocked(row, cell.col)))) {
+      return false;
+    }
+    this.__gridTarget = {row: row, col: col};
+    return true;
+  },
+
+  /**
+   * Check whether the Actor can't move into a cell on its grid.
+   *
+   * @ignore
+   */
+  _isGridCellBlocked: function(row, col) {
+    var cell = this.__grid.getCell(row, col);
+    if (this.__gridBlocked) {
+      return this.__gridBlocked.call(this, cell, row, col);
+    }
+    return cell !== null;
+  },
+
+  /**
+   * Get the position of the Actor when it is centered in a cell on its grid.
+   *
+   * @ignore
+   */
+  _getGridCellPosition: function(row, col) {
+    var pos = this.__grid.cellToWorld(row, col),
+        size = this.__grid.options.cellSize;
+    return {
+      x: pos.x + (size[0] - this.width) / 2,
+      y: pos.y + (size[1] - this.height) / 2,
+    };
+  },
+
+  /**
+   * Move the Actor toward the next cell on its grid.
+   *
+   * @ignore
+   */
+  _moveOnGrid: function() {
+    var remaining = this.MOVEAMOUNT * App.physicsDelta;
+    // Keep moving into the next cell if there's time left after arriving.
+    while (remaining > 0 && (this.__gridTarget || this._startGridStep())) {
+      var target = this._getGridCellPosition(this.__gridTarget.row, this.__gridTarget.col),
+          dx = target.x - this.x,
+          dy = target.y - this.y,
+          distance = Math.sqrt(dx*dx + dy*dy);
+      if (distance <= remaining) {
+        this.x = target.x;
+        this.y = target.y;
+        this.__gridTarget = null;
+        remaining -= distance;
+      }
+      else {
+        this.x += dx / distance * remaining;
+        this.y += dy / distance * remaining;
+        remaining = 0;
+      }
+    }
+  },
+
+  /**
+   * Make the Actor move along a path.
+   *
+   * While the Actor has a path, calling Actor#update() without any directions
+   * makes the Actor move toward each waypoint in the path in turn, as if it
+   * was given directions from the keyboard. When the Actor reaches the end of
+   * the path, it stops and the {@link Actor#event-pathend pathend event}
+   * fires.
+   *
+   * Paths are usually found with App.Pathfinding.findWorldPath(), but any
+   * Array of points works. For Actors with GRAVITY enabled, the Actor only
+   * moves horizontally and jumps toward waypoints whose `jump` property is
+   * true; a waypoint is reached when the Actor is standing with the waypoint
+   * directly in front of it. Otherwise, the Actor moves until its center is
+   * at the waypoint.
+   *
+   * Since paths usually refer to a TileMap that can change, they aren't
+   * saved by Actor#toJSON().
+   *
+   * @param {Object[]} path
+   *   An Array of objects with `x` and `y` properties indicating the points in
+   *   the world through which the Actor's center should pass, and optionally a
+   *   `jump` property indicating whether the Actor should jump to get to the
+   *   point. Pass null to stop following a path.
+   */
+  followPath: function(path) {
+    this.__path = path && path.length ? path : null;
+    this.__pathIndex = 0;
+    this._releasePathJump();
+    return this;
+  },
+
+  /**
+   * Get the path the Actor is following.
+   *
+   * See Actor#followPath().
+   *
+   * @return {Object[]}
+   *   The Array of waypoints the Actor is following, or null if it isn't
+   *   following a path.
+   */
+  getPath: function() {
+    return this.__path;
+  },
+
+  /**
+   * Check whether the Actor is following a path.
+   *
+   * See Actor#followPath().
+   */
+  isFollowingPath: function() {
+    return this.__path !== null;
+  },
+
+  /**
+   * Get the directions that move the Actor along its path.
+   *
+   * @return {String[]}
+   *   An Array of directions to pass to Actor#processInput().
+   *
+   * @ignore
+   */
+  _getPathDirection: function() {
+    var path = this.__path,
+        // Close enough is as close as the Actor can get in one update.
+        tolerance = Math.max(this.MOVEAMOUNT * App.physicsDelta, 1),
+        direction = [],
+        point, dx, dy;
+    if (typeof keys === 'undefined') {
+      return direction;
+    }
+    for (; this.__pathIndex < path.length; this.__pathIndex++) {
+      point = path[this.__pathIndex];
+      dx = point.x - this.xC();
+      dy = point.y - this.yC();
+      if (Math.abs(dx) > tolerance || (this.GRAVITY ?
+            this.isInAir() || point.y < this.y || point.y > this.y + this.height :
+            Math.abs(dy) > tolerance)) {
+        break;
+      }
+    }
+    if (this.__pathIndex >= path.length) {
+      this.followPath(null);
+      App.Events.trigger('pathend', jQuery.Event('pathend'), this, path);
+      return direction;
+    }
+    if (dx < -tolerance) {
+      direction.push(keys.left[0]);
+    }
+    else if (dx > tolerance) {
+      direction.push(keys.right[0]);
+    }
+    if (this.GRAVITY) {
+      // Hold the jump key until the Actor starts falling so it jumps as high
+      // as it can.
+      if (point.jump && (!this.isInAir() || (this.__pathJumping && this.yVelocity < 0))) {
+        direction.push(keys.up[0]);
+        this.__pathJumping = true;
+      }
+      else {
+        this._releasePathJump();
+      }
+    }
+    else if (dy < -tolerance) {
+      direction.push(keys.up[0]);
+    }
+    else if (dy > tolerance) {
+      direction.push(keys.down[0]);
+    }
+    return direction;
+  },
+
+  /**
+   * Let go of the jump key if the Actor was holding it to follow its path.
+   *
+   * @ignore
+   */
+  _releasePathJump: function() {
+    if (this.__pathJumping) {
+      this.__pathJumping = false;
+      this.release(keys.up);
+    }
+  },
+
+  /**
+   * Make the Actor jump if it is able to.
+   *
+   * @param {Boolean} left
+   *   Whether the Actor is moving left.
+   * @param {Boolean} right
+   *   Whether the Actor is moving right.
+   * @param {Boolean} buffered
+   *   Whether the jump key was pressed earlier (see
+   *   {@link Actor#JUMP_BUFFER JUMP_BUFFER}) rather than during this update.
+   *
+   * @return {Boolean}
+   *   true if the Actor jumped; false otherwise.
+   *
+   * @ignore
+   */
+  _jump: function(left, right, buffered) {
+    var now = App.physicsTimeElapsed,
+        wall = this.WALL_JUMP ? this.getWallSide() : 0,
+        // Jumping just after walking off a ledge counts as jumping from it.
+        grounded = !this.isInAir() ||
+          (this.numJumps === 0 && now - this.lastFall <= this.COYOTE_TIME);
+    if (!grounded && !wall &&
+        this.MULTI_JUMP <= this.numJumps &&
+        this.MULTI_JUMP != -1) {
+      return false;
+    }
+    if (now - this.lastJump <= this.JUMP_DELAY || // sufficient delay
+        (this.JUMP_RELEASE && this.jumpKeyDown && !buffered)) { // press jump again
+      return false;
+    }
+    // Jump away from walls.
+    if (wall) {
+      left = wall > 0;
+      right = wall < 0;
+      if (this.ACCELERATED_MOVEMENT) {
+        this.xVelocity = -wall * this._getMaxSpeed();
+      }
+    }
+    this.yVelocity = -this.JUMP_VEL;
+    this.lastJump = now;
+    this.lastJumpPress = -Infinity;
+    this.jumpDirection.right = right;
+    this.jumpDirection.left = left;
+    this.numJumps = wall ? 1 : this.numJumps + 1;
+    this.inAir = true;
+    return true;
+  },
+
+  /**
+   * Jump if the jump key was pressed recently enough.
+   *
+   * See {@link Actor#JUMP_BUFFER JUMP_BUFFER}.
+   *
+   * @param {Boolean} left
+   *   Whether the Actor is moving left.
+   * @param {Boolean} right
+   *   Whether the Actor is moving right.
+   *
+   * @ignore
+   */
+  _jumpIfBuffered: function(left, right) {
+    if (this.GRAVITY &&
+        App.physicsTimeElapsed - this.lastJumpPress <= this.JUMP_BUFFER) {
+      this._jump(left, right, true);
+    }
+  },
+
+  /**
+   * Change the Actor's horizontal velocity for accelerated movement.
+   *
+   * See {@link Actor#ACCELERATED_MOVEMENT ACCELERATED_MOVEMENT}.
+   *
+   * @ignore
+   */
+  _accelerate: function() {
+    var dir = this.moveDirection,
+        v = this.xVelocity,
+        target = dir * this._getMaxSpeed(),
+        inAir = this.GRAVITY && this.isInAir(),
+        rate;
+    // Speeding up in the direction we're already going uses acceleration;
+    // stopping and turning around use deceleration.
+    if (dir && v * dir >= 0) {
+      rate = inAir ? this.AIR_ACCELERATION : this.GROUND_ACCELERATION;
+    }
+    else {
+      rate = inAir ? this.AIR_DECELERATION : this.GROUND_DECELERATION;
+    }
+    var platform = this.getPlatform();
+    if (!inAir && platform && typeof platform.SURFACE_FRICTION === 'number') {
+      rate *= platform.SURFACE_FRICTION;
+    }
+    var change = rate * App.physicsDelta;
+    if (v < target) {
+      this.xVelocity = Math.min(v + change, target);
+    }
+    else if (v > target) {
+      this.xVelocity = Math.max(v - change, target);
+    }
+  },
+
+  /**
+   * Get the fastest the Actor can move with accelerated movement.
+   *
+   * See {@link Actor#MAX_SPEED MAX_SPEED}.
+   *
+   * @ignore
+   */
+  _getMaxSpeed: function() {
+    return this.MAX_SPEED === null ? this.MOVEAMOUNT : this.MAX_SPEED;
+  },
+
+  /**
+   * Get the side of the Actor that is pushing against a wall.
+   *
+   * Actors are pushing against a wall if they moved into the side of a solid
+   * in Actor#collideSolid() while they were in the air during the current or
+   * previous physics update. This is used for
+   * {@link Actor#WALL_SLIDE_VELOCITY wall sliding} and
+   * {@link Actor#WALL_JUMP wall jumping}.
+   *
+   * @return {Number}
+   *   -1 if the wall is on the Actor's left, 1 if it is on the Actor's right,
+   *   or 0 (zero) if the Actor isn't pushing against a wall.
+   */
+  getWallSide: function() {
+    if (!this.GRAVITY || !this.isInAir() ||
+        this.lastWallStep < App.physicsSteps - 1) {
+      return 0;
+    }
+    return this.wallSide;
+  },
+
   /**
    * Calculate acceleration from the environment.
    *
@@ -1726,13 +4867,20 @@ var Actor = Box.extend({
     // Gravity.
     if (this.GRAVITY) {
       // Air movement (not initiated by user input).
-      if (this.isInAir()) {
+      if (this.isInAir() && this.RIGID_BODY) {
+        // Don't add gravity to the acceleration, which holds applied forces.
+        this.yVelocity += this.RIGID_BODY_GRAVITY * App.physicsDelta;
+      }
+      else if (this.isInAir()) {
         this.yAcceleration += this.G_CONST;
-        if (this.jumpDirection.left) {
-          this.xVelocity = -this.MOVEAMOUNT;
-        }
-        else if (this.jumpDirection.right) {
-          this.xVelocity = this.MOVEAMOUNT;
+        // Accelerated movement keeps its own momentum.
+        if (!this.ACCELERATED_MOVEMENT) {
+          if (this.jumpDirection.left) {
+            this.xVelocity = -this.MOVEAMOUNT;
+          }
+          else if (this.jumpDirection.right) {
+            this.xVelocity = this.MOVEAMOUNT;
+          }
         }
       }
       else {
@@ -1743,15 +4891,23 @@ var Actor = Box.extend({
 
   /**
    * Actually move the Actor.
+   *
+   * Actors using {@link Actor#setGridMovement grid movement} move toward
+   * their next cell instead of moving according to their velocity.
    */
   move: function() {
+    if (this.__grid) {
+      this._moveOnGrid();
+      return;
+    }
     var delta = App.physicsDelta, d2 = delta / 2;
     // Apply half acceleration (first half of midpoint formula)
     this.xVelocity += this.xAcceleration*d2;
     this.yVelocity += this.yAcceleration*d2;
+    this._limitFallVelocity();
     // Don't let diagonal movement be faster than axial movement
     var xV = this.xVelocity, yV = this.yVelocity;
-    if (xV !== 0 && yV !== 0 && !this.GRAVITY) {
+    if (xV !== 0 && yV !== 0 && !this.GRAVITY && !this._isSteering()) {
       var magnitude = Math.max(Math.abs(xV), Math.abs(yV));
       var origMag = Math.sqrt(xV*xV + yV*yV);
       var scale = magnitude / origMag;
@@ -1764,10 +4920,32 @@ var Actor = Box.extend({
     // Apply half acceleration (second half of midpoint formula)
     this.xVelocity += this.xAcceleration*d2;
     this.yVelocity += this.yAcceleration*d2;
+    this._limitFallVelocity();
     // Clip
     this.stayInWorld();
   },
 
+  /**
+   * Keep the Actor from falling faster than its maximum fall velocity.
+   *
+   * See {@link Actor#MAX_FALL_VELOCITY MAX_FALL_VELOCITY} and
+   * {@link Actor#WALL_SLIDE_VELOCITY WALL_SLIDE_VELOCITY}.
+   *
+   * @ignore
+   */
+  _limitFallVelocity: function() {
+    if (!this.GRAVITY) {
+      return;
+    }
+    var max = this.MAX_FALL_VELOCITY;
+    if (this.WALL_SLIDE_VELOCITY !== null && this.getWallSide()) {
+      max = max === null ? this.WALL_SLIDE_VELOCITY : Math.min(max, this.WALL_SLIDE_VELOCITY);
+    }
+    if (max !== null && this.yVelocity > max) {
+      this.yVelocity = max;
+    }
+  },
+
   /**
    * Force the Actor to stay inside the world.
    */
@@ -1794,9 +4972,15 @@ var Actor = Box.extend({
    *
    * This affects how much control the Actor has over its movement, i.e.
    * whether the Actor can stop and turn on a dime or whether it slides around
-   * with momentum.
+   * with momentum. {@link Actor#RIGID_BODY Rigid bodies} are only damped if
+   * {@link Actor#DAMPING_FACTOR DAMPING_FACTOR} is set, and Actors that use
+   * {@link Actor#ACCELERATED_MOVEMENT accelerated movement} slow down
+   * horizontally on their own.
    */
   dampVelocity: function() {
+    if ((this.RIGID_BODY || this._isSteering()) && this.DAMPING_FACTOR === null) {
+      return;
+    }
     if (this.DAMPING_FACTOR !== null &&
         !App.Utils.almostEqual(this.xVelocity, 0, 0.0001)) {
       this.xVelocity *= 1 - this.DAMPING_FACTOR * App.physicsDelta;
@@ -1805,7 +4989,10 @@ var Actor = Box.extend({
       }
       return;
     }
-    this.xVelocity = 0;
+    // Accelerated movement slows down on its own.
+    if (!this.ACCELERATED_MOVEMENT) {
+      this.xVelocity = 0;
+    }
     if (!this.GRAVITY) {
       this.yVelocity = 0;
     }
@@ -1895,12 +5082,218 @@ var Actor = Box.extend({
     };
   },
 
+  /**
+   * Move the Actor according to steering forces.
+   *
+   * Steering forces are usually calculated by the behaviors in
+   * {@link App.Steering}, like seeking a target or avoiding other Actors.
+   * Forces passed together are added up, so behaviors can be combined:
+   *
+   *     enemy.steer(
+   *       App.Steering.pursue(enemy, player),
+   *       App.Steering.scale(App.Steering.separation(enemy, enemies), 2)
+   *     );
+   *     enemy.update();
+   *
+   * The total force is limited to {@link Actor#STEERING_FORCE STEERING_FORCE}
+   * and the Actor's speed is limited to {@link Actor#MOVEAMOUNT MOVEAMOUNT}.
+   * Call this before Actor#update() during every physics update in which the
+   * Actor should steer. Steering Actors keep their velocity between updates
+   * (unless {@link Actor#DAMPING_FACTOR DAMPING_FACTOR} is set) so that they
+   * turn and slow down smoothly. Steering is designed for top-down movement;
+   * if GRAVITY is enabled, only the horizontal part of the force is used.
+   *
+   * @param {Object} ...
+   *   Any number of objects with `x` and `y` properties indicating the
+   *   components of a steering force in pixels per second-squared.
+   */
+  steer: function() {
+    var x = 0, y = 0, i, l, magnitude;
+    for (i = 0, l = arguments.length; i < l; i++) {
+      x += arguments[i].x;
+      y += this.GRAVITY ? 0 : arguments[i].y;
+    }
+    magnitude = Math.sqrt(x*x + y*y);
+    if (magnitude > this.STEERING_FORCE) {
+      x *= this.STEERING_FORCE / magnitude;
+      y *= this.STEERING_FORCE / magnitude;
+    }
+    if (this.GRAVITY) {
+      this.xVelocity += x * App.physicsDelta;
+      this.xVelocity = Math.max(-this.MOVEAMOUNT, Math.min(this.xVelocity, this.MOVEAMOUNT));
+    }
+    else {
+      this.xVelocity += x * App.physicsDelta;
+      this.yVelocity += y * App.physicsDelta;
+      var v = this.getVelocityVector();
+      if (v.magnitude > this.MOVEAMOUNT) {
+        this.setVelocityVector(v.direction, this.MOVEAMOUNT);
+      }
+    }
+    this.lastSteerStep = App.physicsSteps;
+    return this;
+  },
+
+  /**
+   * Check whether the Actor steered during the current physics update.
+   *
+   * @ignore
+   */
+  _isSteering: function() {
+    return this.lastSteerStep === App.physicsSteps;
+  },
+
+  /**
+   * Apply a force to the Actor.
+   *
+   * The force changes the Actor's acceleration depending on its
+   * {@link Actor#MASS MASS}, and like acceleration, it keeps acting on the
+   * Actor until it is removed (for example by applying the opposite force).
+   * This is mainly useful for {@link Actor#RIGID_BODY rigid bodies}.
+   *
+   * See also Actor#applyImpulse() and Actor#addAccelerationVector().
+   *
+   * @param {Number} radialDir The direction of the force, in radians.
+   * @param {Number} magnitude The magnitude of the force.
+   */
+  applyForce: function(radialDir, magnitude) {
+    this.addAccelerationVector(radialDir, magnitude / this.MASS);
+  },
+
+  /**
+   * Apply an impulse to the Actor.
+   *
+   * The impulse immediately changes the Actor's velocity depending on its
+   * {@link Actor#MASS MASS}. This is mainly useful for
+   * {@link Actor#RIGID_BODY rigid bodies}, for example to kick a ball.
+   *
+   * See also Actor#applyForce() and Actor#addVelocityVector().
+   *
+   * @param {Number} radialDir The direction of the impulse, in radians.
+   * @param {Number} magnitude The magnitude of the impulse.
+   */
+  applyImpulse: function(radialDir, magnitude) {
+    this.addVelocityVector(radialDir, magnitude / this.MASS);
+  },
+
+  /**
+   * Push this Actor and another object apart and make them bounce.
+   *
+   * Both objects are moved out of each other and their velocities are changed
+   * as if they collided, taking their {@link Actor#MASS MASS},
+   * {@link Box#RESTITUTION RESTITUTION}, and {@link Box#FRICTION FRICTION}
+   * into account. Only {@link Actor#RIGID_BODY rigid bodies} are affected;
+   * other objects act as if they are infinitely heavy. This is called from
+   * Actor#collideSolid() for rigid bodies.
+   *
+   * @param {Box} other
+   *   The object with which this Actor collided.
+   *
+   * @return {Boolean}
+   *   true if the objects overlapped; false otherwise.
+   */
+  resolveCollision: function(other) {
+    var mtv = this.getMinimumTranslation(other);
+    if (!mtv) {
+      return false;
+    }
+    var n = mtv.normal,
+        invA = this.RIGID_BODY ? 1 / this.MASS : 0,
+        invB = other.RIGID_BODY ? 1 / other.MASS : 0,
+        total = invA + invB;
+    if (!total) {
+      this.moveOutside(other);
+      return true;
+    }
+    // Lighter objects move further. Leave a pixel of space between them.
+    var share = (mtv.depth + 1) / total;
+    this.x += n.x * share * invA;
+    this.y += n.y * share * invA;
+    this.reindex();
+    if (invB) {
+      other.x -= n.x * share * invB;
+      other.y -= n.y * share * invB;
+      other.reindex();
+    }
+    var rvx = this.xVelocity - (other.xVelocity || 0),
+        rvy = this.yVelocity - (other.yVelocity || 0),
+        vn = rvx * n.x + rvy * n.y;
+    // Objects that are already moving apart don't bounce.
+    if (vn < 0) {
+      var e = -vn < this.MIN_BOUNCE_VELOCITY ? 0 : Math.max(this.RESTITUTION, other.RESTITUTION),
+          j = -(1 + e) * vn / total;
+      this._applyContactImpulse(other, n.x * j, n.y * j, invA, invB);
+      // Friction resists sliding, but not more than the objects hit each other.
+      var tx = rvx - vn * n.x, ty = rvy - vn * n.y, vt = Math.sqrt(tx * tx + ty * ty);
+      if (vt) {
+        var jt = Math.min(vt / total, Math.sqrt(this.FRICTION * other.FRICTION) * j);
+        this._applyContactImpulse(other, -tx / vt * jt, -ty / vt * jt, invA, invB);
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Change the velocities of two colliding objects.
+   *
+   * @param {Box} other The object with which this Actor collided.
+   * @param {Number} jx The horizontal component of the impulse on this Actor.
+   * @param {Number} jy The vertical component of the impulse on this Actor.
+   * @param {Number} invA The inverse of this Actor's mass.
+   * @param {Number} invB The inverse of the other object's mass.
+   *
+   * @ignore
+   */
+  _applyContactImpulse: function(other, jx, jy, invA, invB) {
+    this.xVelocity += jx * invA;
+    this.yVelocity += jy * invA;
+    if (invB) {
+      other.xVelocity -= jx * invB;
+      other.yVelocity -= jy * invB;
+    }
+  },
+
+  /**
+   * Slow down a rigid body sliding along a surface it is standing on.
+   *
+   * @param {Box} surface The Box on which the Actor is standing.
+   *
+   * @ignore
+   */
+  _applyFriction: function(surface) {
+    var mu = Math.min(Math.sqrt(this.FRICTION * surface.FRICTION), 1),
+        vx = surface.xVelocity || 0;
+    this.xVelocity = vx + (this.xVelocity - vx) * Math.pow(1 - mu, App.physicsDelta);
+  },
+
+  /**
+   * Get the area this Actor passed through during its last update.
+   *
+   * This is the smallest rectangle containing both the Actor's position
+   * before its last update and its current position.
+   *
+   * @return {Object}
+   *   An object with `x`, `y`, `width`, and `height` properties.
+   */
+  getSweptBounds: function() {
+    var x = Math.min(this.x, this.lastX), y = Math.min(this.y, this.lastY);
+    return {
+      x: x,
+      y: y,
+      width: Math.max(this.x, this.lastX) + this.width - x,
+      height: Math.max(this.y, this.lastY) + this.height - y,
+    };
+  },
+
   /**
    * Move this Actor outside of another Box so that it no longer overlaps.
    *
    * This is called as part of Actor#collideSolid().
    *
-   * See also Actor#moveOutsideX() and Actor#moveOutsideY().
+   * If either Box has a {@link Box#collisionShape collision shape}, the Actor
+   * is pushed out along the {@link Box#getMinimumTranslation minimum
+   * translation vector}, which might not be parallel to either axis.
+   * Otherwise, see Actor#moveOutsideX() and Actor#moveOutsideY().
    *
    * @param {Box} other
    *   The other Box that this Actor should be moved outside of.
@@ -1910,6 +5303,19 @@ var Actor = Box.extend({
    *   moved in order to be outside of the other Box, in pixels.
    */
   moveOutside: function(other) {
+    // Shapes other than rectangles get pushed out the shortest way.
+    if (this.collisionShape || other.collisionShape) {
+      var mtv = this.getMinimumTranslation(other), moved = {x: 0, y: 0};
+      if (mtv) {
+        // Leave a pixel of space, just like Actor#moveOutsideX() does.
+        moved.x = mtv.x + mtv.normal.x;
+        moved.y = mtv.y + mtv.normal.y;
+        this.x += moved.x;
+        this.y += moved.y;
+        this.reindex();
+      }
+      return moved;
+    }
     var overlapsX = Math.min(this.x + this.width - other.x, other.x + other.width - this.x),
         overlapsY = Math.min(this.y + this.height - other.y, other.y + other.height - this.y);
 
@@ -1953,6 +5359,7 @@ var Actor = Box.extend({
         moved = movedTo - this.x;
         this.x = movedTo;
       }
+      this.reindex();
     }
     return moved;
   },
@@ -1984,6 +5391,7 @@ var Actor = Box.extend({
         moved = movedTo - this.y;
         this.y = movedTo;
       }
+      this.reindex();
     }
     return moved;
   },
@@ -2002,7 +5410,12 @@ var Actor = Box.extend({
       this.jumpDirection.left = this.fallLeft;
       this.jumpDirection.right = !this.fallLeft;
     }
+    // Remember when we walked off so we can still jump for a moment.
+    if (!this.inAir) {
+      this.lastFall = App.physicsTimeElapsed;
+    }
     this.inAir = true;
+    this.__platform = null;
   },
 
   /**
@@ -2014,7 +5427,8 @@ var Actor = Box.extend({
    * Actor#isFalling(), Actor#hasAirMomentum()
    */
   stopFalling: function() {
-    if (this.yAcceleration > 0) {
+    // Rigid bodies' acceleration comes from forces, not gravity.
+    if (this.yAcceleration > 0 && !this.RIGID_BODY) {
       this.yAcceleration = 0;
     }
     if (this.yVelocity > 0) {
@@ -2045,140 +5459,516 @@ var Actor = Box.extend({
   },
 
   /**
-   * Check whether the Actor is in the air from falling (as opposed to jumping).
+   * Check whether the Actor is in the air from falling (as opposed to jumping).
+   *
+   * Related: Actor#startFalling(), Actor#stopFalling(), Actor#isInAir(),
+   * Actor#isJumping(), Actor#hasAirMomentum()
+   */
+  isFalling: function() {
+    return this.isInAir() && this.numJumps === 0;
+  },
+
+  /**
+   * Check whether the Actor has air momentum (as opposed to air control).
+   *
+   * Related: Actor#startFalling(), Actor#stopFalling(), Actor#isInAir(),
+   * Actor#isJumping(), Actor#isFalling()
+   */
+  hasAirMomentum: function() {
+    return this.fallLeft !== null ||
+      this.jumpDirection.left ||
+      this.jumpDirection.right;
+  },
+
+  /**
+   * Check whether this Actor is standing on top of a Box.
+   *
+   * Actors stand on the {@link Box#getSurfaceY surface} of
+   * {@link Box#SLOPE slopes}, and they can't stand on
+   * {@link Box#ONE_WAY one-way platforms} while moving up through them.
+   *
+   * @param {Box} box The Box to check.
+   */
+  standingOn: function(box) {
+    if (box instanceof Collection || box instanceof TileMap) {
+      // Only check Boxes whose tops are near our bottom.
+      var items = box.queryRect(this.x, this.y + this.height - 1, this.width, 2, this);
+      for (var i = 0, l = items.length; i < l; i++) {
+        if (this.standingOn(items[i])) {
+          return true;
+        }
+      }
+      return false;
+    }
+    if (!this.canCollideWith(box) || !this.overlapsX(box)) {
+      return false;
+    }
+    if (box.SLOPE) {
+      return App.Utils.almostEqual(this.y + this.height, this._getSlopeSurfaceY(box), 1);
+    }
+    return (!box.ONE_WAY || this.yVelocity >= 0) &&
+      App.Utils.almostEqual(this.y + this.height, box.y, 1);
+  },
+
+  /**
+   * Check collision with solids and adjust the Actor's position as necessary.
+   *
+   * {@link Box#ONE_WAY One-way platforms} only stop Actors that land on them
+   * from above, and Actors with GRAVITY enabled walk up and down the surface
+   * of {@link Box#SLOPE slopes}. Actors that land on a solid ride along with
+   * it if it moves; see Actor#getPlatform().
+   *
+   * When checking against a TileMap or a Collection with a
+   * {@link Collection#enableSpatialIndex spatial index}, only the solids near
+   * the area the Actor {@link Actor#getSweptBounds moved through} are checked.
+   *
+   * @param {Box/Collection/TileMap} collideWith
+   *   A Box, Collection, or TileMap of objects with which to check collision.
+   *
+   * @return {Boolean}
+   *   true if the Actor collided with something; false otherwise.
+   */
+  collideSolid: function(collideWith) {
+    var falling = this.GRAVITY &&
+        (this.y + this.height != world.height || !this.STAY_IN_WORLD);
+    var result = {}, collided = false;
+    // Stop at the first solid in our path so we can't pass through it.
+    if (this.CONTINUOUS_COLLISION) {
+      collided = this._collideSolidSwept(collideWith);
+    }
+    if (collideWith instanceof Box) {
+      if (this.canCollideWith(collideWith)) {
+        result = this._collideSolidBox(collideWith);
+        falling = result.falling;
+        collided = collided || result.collided;
+      }
+    }
+    else if (collideWith instanceof Collection || collideWith instanceof TileMap) {
+      // Only check solids close enough to the area we moved through that we
+      // could overlap or stand on them after being moved outside of other
+      // solids.
+      var b = this.getSweptBounds(),
+          items = collideWith.queryRect(
+            b.x - this.width - 2,
+            b.y - this.height - 2,
+            b.width + this.width * 2 + 4,
+            b.height + this.height * 2 + 4,
+            this
+          );
+      for (var i = 0, l = items.length; i < l; i++) {
+        result = this._collideSolidBox(items[i]);
+        if (!result.falling) {
+          falling = false;
+        }
+        if (result.collided) {
+          collided = true;
+        }
+      }
+    }
+    // If the Actor isn't standing on a solid, it needs to start falling.
+    if (falling) {
+      this.startFalling();
+    }
+    // Leave our platform if we walked off of it.
+    else if (this.__platform && !this.standingOn(this.__platform)) {
+      this.__platform = null;
+    }
+    return collided;
+  },
+
+  /**
+   * Check collision with a single solid and adjust the Actor's position.
+   *
+   * See also Actor#collideSolid().
+   *
+   * @param {Box} collideWith
+   *   A Box with which to check collision.
+   *
+   * @return {Object}
+   *   An object with `falling` and `collided` properties (both Booleans
+   *   indicating whether the Actor is falling or has collided with a solid).
+   *
+   * @ignore
+   */
+  _collideSolidBox: function(collideWith) {
+    if (collideWith.SLOPE) {
+      return this._collideSlope(collideWith);
+    }
+    // "Falling" here really just means "not standing on top of this Box."
+    var falling = true, collided = false;
+    // If we moved a little too far and now intersect a solid, back out.
+    if (this.overlaps(collideWith)) {
+      // One-way platforms can only push us back up, and only if we came
+      // from above them.
+      if (collideWith.ONE_WAY) {
+        if (this._wasAbove(collideWith)) {
+          this.y = collideWith.y - this.height - 1;
+          this.reindex();
+          collided = true;
+        }
+      }
+      else if (this.RIGID_BODY) {
+        this.resolveCollision(collideWith);
+        collided = true;
+      }
+      else {
+        var moved = this.moveOutside(collideWith);
+        // Don't keep our speed when running into walls.
+        if (this.ACCELERATED_MOVEMENT && moved.x * this.xVelocity < 0) {
+          this.xVelocity = 0;
+        }
+        collided = true;
+      }
+    }
+    // If gravity is on, check standing/falling behavior.
+    if (this.GRAVITY) {
+      // We actually want to check if the last X-position would have been
+      // standing, so move back there, check, and then move back to the current
+      // position. This is because if a player jumps while moving towards a
+      // wall, they could match the standing condition as they just barely
+      // reach the top, which will stop their jump arc. If their x-position
+      // from the last frame would have been standing, though, we can assume
+      // they were already standing rather than jumping.
+      var x = this.x;
+      this.x = this.lastX;
+      // Rigid bodies that just bounced off of the Box aren't standing on it.
+      if (this.standingOn(collideWith) && !(this.RIGID_BODY && this.yVelocity < 0)) {
+        this.stopFalling();
+        this._setPlatform(collideWith);
+        falling = false;
+      }
+      this.x = x;
+      if (!falling && this.RIGID_BODY) {
+        this._applyFriction(collideWith);
+      }
+      // If we're in the air and we hit something, stop the momentum.
+      if (falling && collided) {
+        // If we hit the bottom, stop rising.
+        if (App.Utils.almostEqual(this.y, collideWith.y + collideWith.height, 1)) {
+          if (this.yAcceleration < 0) {
+            this.yAcceleration = 0;
+          }
+          if (this.yVelocity < 0) {
+            this.yVelocity = 0;
+          }
+        }
+        // If we hit a side, stop horizontal momentum.
+        else {
+          this.jumpDirection.left = false;
+          this.jumpDirection.right = false;
+          // Remember the wall for wall sliding and jumping.
+          this.wallSide = this.x + this.width / 2 < collideWith.x + collideWith.width / 2 ? 1 : -1;
+          this.lastWallStep = App.physicsSteps;
+        }
+      }
+    }
+    return {falling: falling, collided: collided};
+  },
+
+  /**
+   * Check whether the Actor's bottom was above the top of a Box last update.
+   *
+   * @param {Box} box The Box to check.
+   *
+   * @ignore
+   */
+  _wasAbove: function(box) {
+    var top = box.y;
+    // Don't fall through platforms that moved up since we last checked.
+    if (this.__platform === box) {
+      top = Math.max(top, this.__platformY);
+    }
+    else if (typeof box.lastY === 'number') {
+      top = Math.max(top, box.lastY);
+    }
+    return this.lastY + this.height <= top + 1;
+  },
+
+  /**
+   * Get the y-coordinate of the highest point of a slope under the Actor.
+   *
+   * Since the Actor is a box, it rests on the slope at the corner nearest the
+   * slope's high side rather than at its center. That also keeps it from
+   * sinking into solids next to the top of the slope.
+   *
+   * @param {Box} slope The slope to check.
+   *
+   * @ignore
+   */
+  _getSlopeSurfaceY: function(slope) {
+    return Math.min(slope.getSurfaceY(this.x), slope.getSurfaceY(this.x + this.width));
+  },
+
+  /**
+   * Check collision with a single slope and adjust the Actor's position.
+   *
+   * Walking along a slope doesn't count as colliding with it.
+   *
+   * See also Actor#collideSolid().
+   *
+   * @param {Box} slope
+   *   A Box with a {@link Box#SLOPE SLOPE} with which to check collision.
+   *
+   * @return {Object}
+   *   An object with `falling` and `collided` properties (both Booleans
+   *   indicating whether the Actor is falling or has collided with a solid).
+   *
+   * @ignore
+   */
+  _collideSlope: function(slope) {
+    var falling = true;
+    if (!this.GRAVITY || !this.overlapsX(slope)) {
+      return {falling: falling, collided: false};
+    }
+    var surface = this._getSlopeSurfaceY(slope) - 1,
+        bottom = this.y + this.height,
+        shape = slope.SLOPE,
+        steepness = Math.abs(shape[1] - shape[0]) * slope.height / slope.width;
+    // Slopes only push up Actors that are mostly above their surface, so
+    // Actors can pass through them from below or from the side.
+    if (bottom > surface && this.yC() < surface) {
+      this.y = surface - this.height;
+      this.reindex();
+    }
+    // Stick to the slope when walking down it instead of floating off.
+    else if (!this.inAir && this.yVelocity >= 0 && bottom < surface &&
+        surface - bottom <= Math.abs(this.x - this.lastX) * steepness + 1) {
+      this.y = surface - this.height;
+      this.reindex();
+    }
+    if (this.yVelocity >= 0 && this.standingOn(slope)) {
+      this.stopFalling();
+      this._setPlatform(slope);
+      falling = false;
+      if (this.RIGID_BODY) {
+        this._applyFriction(slope);
+      }
+    }
+    return {falling: falling, collided: false};
+  },
+
+  /**
+   * Determine whether this Box overlaps with another Box or set of Boxes.
    *
-   * Related: Actor#startFalling(), Actor#stopFalling(), Actor#isInAir(),
-   * Actor#isJumping(), Actor#hasAirMomentum()
+   * If {@link Actor#CONTINUOUS_COLLISION CONTINUOUS_COLLISION} is enabled and
+   * the Actor doesn't currently overlap anything, this also checks whether
+   * it passed through anything during its last update.
+   *
+   * **Inherited documentation:**
+   *
+   * @inheritdoc Box#collides
    */
-  isFalling: function() {
-    return this.isInAir() && this.numJumps === 0;
+  collides: function(collideWith) {
+    var result = this._super(collideWith);
+    if (!result && this.CONTINUOUS_COLLISION) {
+      var hit = this.sweep(collideWith);
+      if (hit) {
+        result = hit.object;
+      }
+    }
+    return result;
   },
 
   /**
-   * Check whether the Actor has air momentum (as opposed to air control).
+   * Find the first solid this Actor hit while moving during the last update.
    *
-   * Related: Actor#startFalling(), Actor#stopFalling(), Actor#isInAir(),
-   * Actor#isJumping(), Actor#isFalling()
+   * This checks the whole path from where the Actor was before its last
+   * update (`lastX`, `lastY`) to where it is now, so unlike Box#collides(),
+   * it can't miss thin solids that the Actor moved all the way through. Only
+   * solids that the Actor ran into are detected; solids it was already
+   * overlapping at the start of the update are ignored. The solids are
+   * assumed not to have moved.
+   *
+   * This is used by Actor#collideSolid() and Actor#collides() if
+   * {@link Actor#CONTINUOUS_COLLISION CONTINUOUS_COLLISION} is enabled.
+   *
+   * @param {Box/Collection/TileMap} collideWith
+   *   A Box, Collection, or TileMap of objects with which to check collision.
+   *
+   * @return {Object}
+   *   null if the Actor didn't hit anything; otherwise, an object with the
+   *   following properties:
+   *
+   *   - `object`: The first Box the Actor hit.
+   *   - `time`: How far along its path the Actor was when it hit the Box,
+   *     from 0 (the start) to 1 (its current position).
+   *   - `x`, `y`: The Actor's position when it hit the Box.
+   *   - `normal`: An object with `x` and `y` properties describing the
+   *     direction the side of the Box that was hit faces, e.g. `{x: 0, y: -1}`
+   *     for the top.
    */
-  hasAirMomentum: function() {
-    return this.fallLeft !== null ||
-      this.jumpDirection.left ||
-      this.jumpDirection.right;
+  sweep: function(collideWith) {
+    return this._sweep(collideWith, this.lastX, this.lastY, this.x, this.y);
   },
 
   /**
-   * Check whether this Actor is standing on top of a Box.
+   * Find the first solid hit by moving this Actor between two positions.
    *
-   * @param {Box} box The Box to check.
+   * See Actor#sweep(). If `solid` is true, slopes and one-way platforms are
+   * ignored unless the Actor lands on top of a one-way platform, since the
+   * Actor can pass through them otherwise.
+   *
+   * @ignore
    */
-  standingOn: function(box) {
-    if (box instanceof Collection || box instanceof TileMap) {
-      var items = box.getAll();
-      for (var i = 0, l = items.length; i < l; i++) {
-        if (this.standingOn(items[i])) {
-          return true;
+  _sweep: function(collideWith, x0, y0, x1, y1, solid) {
+    var items, first = null, hit;
+    if (collideWith instanceof Box) {
+      items = this.canCollideWith(collideWith) ? [collideWith] : [];
+    }
+    else if (collideWith instanceof Collection || collideWith instanceof TileMap) {
+      var x = Math.min(x0, x1), y = Math.min(y0, y1);
+      items = collideWith.queryRect(
+        x,
+        y,
+        Math.max(x0, x1) + this.width - x,
+        Math.max(y0, y1) + this.height - y,
+        this
+      );
+    }
+    else {
+      return null;
+    }
+    for (var i = 0, l = items.length; i < l; i++) {
+      if (items[i] !== this) {
+        hit = this._sweepBox(items[i], x0, y0, x1 - x0, y1 - y0);
+        // Solids that can be passed through don't stop the Actor.
+        if (hit && solid && (hit.object.SLOPE ||
+              (hit.object.ONE_WAY && hit.normal.y !== -1))) {
+          hit = null;
+        }
+        if (hit && (!first || hit.time < first.time)) {
+          first = hit;
         }
       }
-      return false;
     }
-    return this.overlapsX(box) &&
-      App.Utils.almostEqual(this.y + this.height, box.y, 1);
+    return first;
   },
 
   /**
-   * Check collision with solids and adjust the Actor's position as necessary.
+   * Calculate when moving this Actor would make it run into a Box.
    *
-   * @param {Box/Collection/TileMap} collideWith
-   *   A Box, Collection, or TileMap of objects with which to check collision.
+   * This is a swept axis-aligned bounding box test.
    *
-   * @return {Boolean}
-   *   true if the Actor collided with something; false otherwise.
+   * @param {Box} other
+   *   The Box to check.
+   * @param {Number} x0
+   *   The x-coordinate from which the Actor starts moving.
+   * @param {Number} y0
+   *   The y-coordinate from which the Actor starts moving.
+   * @param {Number} dx
+   *   The distance the Actor moves on the x-axis.
+   * @param {Number} dy
+   *   The distance the Actor moves on the y-axis.
+   *
+   * @return {Object}
+   *   null if the Actor doesn't run into the Box; otherwise, an object
+   *   described by the return value of Actor#sweep().
+   *
+   * @ignore
    */
-  collideSolid: function(collideWith) {
-    var falling = this.GRAVITY &&
-        (this.y + this.height != world.height || !this.STAY_IN_WORLD);
-    var result = {}, collided = false;
-    if (collideWith instanceof Box) {
-      result = this._collideSolidBox(collideWith);
-      falling = result.falling;
-      collided = result.collided;
+  _sweepBox: function(other, x0, y0, dx, dy) {
+    var entryX, exitX, entryY, exitY;
+    if (dx === 0) {
+      // Without moving horizontally, we can only hit things we're already
+      // lined up with.
+      if (x0 + this.width <= other.x || x0 >= other.x + other.width) {
+        return null;
+      }
+      entryX = -Infinity;
+      exitX = Infinity;
     }
-    else if (collideWith instanceof Collection || collideWith instanceof TileMap) {
-      var items = collideWith.getAll();
-      for (var i = 0, l = items.length; i < l; i++) {
-        result = this._collideSolidBox(items[i]);
-        if (!result.falling) {
-          falling = false;
-        }
-        if (result.collided) {
-          collided = true;
-        }
+    else {
+      entryX = (dx > 0 ? other.x - (x0 + this.width) : other.x + other.width - x0) / dx;
+      exitX = (dx > 0 ? other.x + other.width - x0 : other.x - (x0 + this.width)) / dx;
+    }
+    if (dy === 0) {
+      if (y0 + this.height <= other.y || y0 >= other.y + other.height) {
+        return null;
       }
+      entryY = -Infinity;
+      exitY = Infinity;
     }
-    // If the Actor isn't standing on a solid, it needs to start falling.
-    if (falling) {
-      this.startFalling();
+    else {
+      entryY = (dy > 0 ? other.y - (y0 + this.height) : other.y + other.height - y0) / dy;
+      exitY = (dy > 0 ? other.y + other.height - y0 : other.y - (y0 + this.height)) / dy;
     }
-    return collided;
+    var entry = Math.max(entryX, entryY), exit = Math.min(exitX, exitY);
+    // No hit if we never overlap, we were already overlapping when we started,
+    // or we don't get there during this move.
+    if (entry >= exit || entry < 0 || entry > 1) {
+      return null;
+    }
+    return {
+      object: other,
+      time: entry,
+      x: x0 + dx * entry,
+      y: y0 + dy * entry,
+      normal: entryX > entryY ?
+        {x: dx > 0 ? -1 : 1, y: 0} :
+        {x: 0, y: dy > 0 ? -1 : 1},
+    };
   },
 
   /**
-   * Check collision with a single solid and adjust the Actor's position.
+   * Stop the Actor at the first solid in its path.
+   *
+   * After hitting a solid, the Actor slides along it for the rest of its
+   * movement (and stops at the next solid in the way, if any).
    *
    * See also Actor#collideSolid().
    *
-   * @param {Box} collideWith
-   *   A Box with which to check collision.
+   * @param {Box/Collection/TileMap} collideWith
+   *   A Box, Collection, or TileMap of objects with which to check collision.
    *
-   * @return {Object}
-   *   An object with `falling` and `collided` properties (both Booleans
-   *   indicating whether the Actor is falling or has collided with a solid).
+   * @return {Boolean}
+   *   true if the Actor hit something; false otherwise.
    *
    * @ignore
    */
-  _collideSolidBox: function(collideWith) {
-    // "Falling" here really just means "not standing on top of this Box."
-    var falling = true, collided = false;
-    // If we moved a little too far and now intersect a solid, back out.
-    if (this.overlaps(collideWith)) {
-      this.moveOutside(collideWith);
-      collided = true;
-    }
-    // If gravity is on, check standing/falling behavior.
-    if (this.GRAVITY) {
-      // We actually want to check if the last X-position would have been
-      // standing, so move back there, check, and then move back to the current
-      // position. This is because if a player jumps while moving towards a
-      // wall, they could match the standing condition as they just barely
-      // reach the top, which will stop their jump arc. If their x-position
-      // from the last frame would have been standing, though, we can assume
-      // they were already standing rather than jumping.
-      var x = this.x;
-      this.x = this.lastX;
-      if (this.standingOn(collideWith)) {
-        this.stopFalling();
-        falling = false;
+  _collideSolidSwept: function(collideWith) {
+    var fromX = this.lastX, fromY = this.lastY, toX = this.x, toY = this.y,
+        collided = false, hit = null;
+    // Each hit blocks movement along one axis, so we can hit at most two
+    // solids before we stop moving.
+    for (var i = 0; i < 3; i++) {
+      hit = this._sweep(collideWith, fromX, fromY, toX, toY, true);
+      if (!hit) {
+        break;
       }
-      this.x = x;
-      // If we're in the air and we hit something, stop the momentum.
-      if (falling && collided) {
-        // If we hit the bottom, stop rising.
-        if (App.Utils.almostEqual(this.y, collideWith.y + collideWith.height, 1)) {
-          if (this.yAcceleration < 0) {
-            this.yAcceleration = 0;
-          }
-          if (this.yVelocity < 0) {
-            this.yVelocity = 0;
-          }
+      collided = true;
+      // Stop a pixel away from the solid, just like Actor#moveOutside().
+      fromX = hit.x + hit.normal.x;
+      fromY = hit.y + hit.normal.y;
+      if (hit.normal.x) {
+        toX = fromX;
+        if (this.xVelocity * hit.normal.x < 0) {
+          this.xVelocity = 0;
         }
-        // If we hit a side, stop horizontal momentum.
-        else {
+        if (this.xAcceleration * hit.normal.x < 0) {
+          this.xAcceleration = 0;
+        }
+        if (this.GRAVITY) {
           this.jumpDirection.left = false;
           this.jumpDirection.right = false;
         }
       }
+      else {
+        toY = fromY;
+        if (this.yVelocity * hit.normal.y < 0) {
+          this.yVelocity = 0;
+        }
+        if (this.yAcceleration * hit.normal.y < 0) {
+          this.yAcceleration = 0;
+        }
+      }
     }
-    return {falling: falling, collided: collided};
+    if (collided) {
+      // If we're still running into things, stay where we last stopped.
+      this.x = hit ? fromX : toX;
+      this.y = hit ? fromY : toY;
+      this.reindex();
+    }
+    return collided;
   },
 
   /**
@@ -2384,6 +6174,7 @@ var Actor = Box.extend({
       if (this.dropTargets.count() && !target) {
         this.x = this.dragStartX;
         this.y = this.dragStartY;
+        this.reindex();
       }
       else if (target) {
         /**
@@ -2421,9 +6212,71 @@ var Actor = Box.extend({
     if (this.GRAVITY && typeof keys !== 'undefined' &&
         App.Utils.anyIn(keys.up, releasedDirections)) {
       this.jumpKeyDown = false;
+      // Cut the jump short if we're still rising.
+      if (this.JUMP_CUT < 1 && this.isJumping() && this.yVelocity < 0) {
+        this.yVelocity *= this.JUMP_CUT;
+      }
     }
   },
-});
+
+  /**
+   * Get a representation of the Actor that can be converted to JSON.
+   *
+   * In addition to the properties saved for all {@link Box}es, this includes
+   * the time since the Actor last jumped, walked off a ledge, and pressed the
+   * jump key so that the jump delay, coyote time, and jump buffer still apply
+   * after the Actor is revived, even if the app has been reset.
+   *
+   * **Inherited documentation:**
+   *
+   * @inheritdoc Box#toJSON
+   */
+  toJSON: function() {
+    var data = this._super();
+    for (var i = 0, l = Actor._timeProperties.length; i < l; i++) {
+      var key = Actor._timeProperties[i];
+      if (this.hasOwnProperty(key)) {
+        // JSON can't represent -Infinity, so leave those out.
+        if (this[key] === -Infinity) {
+          delete data[key];
+        }
+        else {
+          data[key] = this[key] - App.physicsTimeElapsed;
+        }
+      }
+    }
+    return data;
+  },
+
+  /**
+   * Restore the Actor from the output of Actor#toJSON().
+   *
+   * Draggable Actors are made draggable again.
+   *
+   * **Inherited documentation:**
+   *
+   * @inheritdoc Box#fromJSON
+   */
+  fromJSON: function(data) {
+    this._super(data);
+    for (var i = 0, l = Actor._timeProperties.length; i < l; i++) {
+      if (data.hasOwnProperty(Actor._timeProperties[i])) {
+        this[Actor._timeProperties[i]] += App.physicsTimeElapsed;
+      }
+    }
+    this.lastUpdateStep = -1;
+    this.lastWallStep = -1;
+    this.lastSteerStep = -1;
+    this.isBeingDragged = false;
+    if (this.isDraggable) {
+      this.isDraggable = false;
+      this.setDraggable(true);
+    }
+    return this;
+  },
+}, 'Actor');
+// Properties holding values of App.physicsTimeElapsed. See Actor#toJSON().
+Actor._timeProperties = ['lastJump', 'lastFall', 'lastJumpPress'];
 
 /**
  * The Player object controlled by the user.
@@ -2473,15 +6326,23 @@ var Player = Actor.extend({
     if (arguments.length > 0) {
       world.centerViewportAround(this.x, this.y);
     }
+    this._trackReleasedKeys();
+  },
+
+  /**
+   * Notify the Player object when keys are released.
+   *
+   * This goes through App.Input instead of listening to keyup events directly
+   * so that it works during replays.
+   *
+   * @ignore
+   */
+  _trackReleasedKeys: function() {
     var t = this;
-    this.__keytracker = function() {
-      // lastKeyPressed() actually contains all keys that were pressed at the
-      // last key event, whereas event.keyPressed just holds the single key
-      // that triggered the event.
-      t.release([jQuery.hotkeys.lastKeyPressed()]);
+    this.__keytracker = function(e, keys) {
+      t.release(keys);
     };
-    // Notify the Player object when keys are released.
-    jQuery(document).on('keyup.release', this.__keytracker);
+    jQuery(document).on('inputrelease.release', this.__keytracker);
   },
 
   /**
@@ -2493,7 +6354,7 @@ var Player = Actor.extend({
    */
   processInput: function(direction) {
     if (direction === undefined) {
-      direction = jQuery.hotkeys.keysDown;
+      direction = App.Input.getKeysDown();
     }
     return this._super(direction);
   },
@@ -2539,38 +6400,14 @@ var Player = Actor.extend({
    *   this method caused the viewport to shift along each axis.
    */
   adjustViewport: function() {
-    var offsets = world.getOffsets(), changed = {x: 0, y: 0};
-    // We should only have mouse or player scrolling, but not both.
-    if (Mouse.Scroll.isEnabled()) {
-      return changed;
-    }
-    // left
-    if (offsets.x > 0 && this.x + this.width/2 - offsets.x < canvas.width * this.MOVEWORLD) {
-      world.xOffset = Math.max(offsets.x + (this.x - this.lastX), 0);
-      context.translate(offsets.x - world.xOffset, 0);
-      changed.x = offsets.x - world.xOffset;
-    }
-    // right
-    else if (offsets.x < world.width - canvas.width &&
-        this.x + this.width/2 - offsets.x > canvas.width * (1-this.MOVEWORLD)) {
-      world.xOffset = Math.min(offsets.x + (this.x - this.lastX), world.width - canvas.width);
-      context.translate(offsets.x - world.xOffset, 0);
-      changed.x = offsets.x - world.xOffset;
-    }
-    // up
-    if (offsets.y > 0 && this.y + this.height/2 - offsets.y < canvas.height * this.MOVEWORLD) {
-      world.yOffset = Math.max(offsets.y + (this.y - this.lastY), 0);
-      context.translate(0, offsets.y - world.yOffset);
-      changed.y = offsets.y - world.yOffset;
+    var camera = world.camera, x = camera.x, y = camera.y, s = camera.getScreenSize();
+    // We should only have mouse or player scrolling, but not both. If the
+    // camera is following something, let it do its job.
+    if (Mouse.Scroll.isEnabled() || camera.target) {
+      return {x: 0, y: 0};
     }
-    // down
-    else if (offsets.y < world.height - canvas.height &&
-        this.y + this.height/2 - offsets.y > canvas.height * (1-this.MOVEWORLD)) {
-      world.yOffset = Math.min(offsets.y + (this.y - this.lastY), world.height - canvas.height);
-      context.translate(0, offsets.y - world.yOffset);
-      changed.y = offsets.y - world.yOffset;
-    }
-    return changed;
+    camera.keepInDeadzone(this, s.width * (1-this.MOVEWORLD*2), s.height * (1-this.MOVEWORLD*2));
+    return {x: x - camera.x, y: y - camera.y};
   },
 
   /**
@@ -2580,4 +6417,349 @@ var Player = Actor.extend({
     this._super.apply(this, arguments);
     jQuery(document).off('.release', this.__keytracker);
   },
-});
+
+  /**
+   * Restore the Player from the output of Player#toJSON().
+   *
+   * The Player starts responding to released keys again.
+   *
+   * **Inherited documentation:**
+   *
+   * @inheritdoc Actor#fromJSON
+   */
+  fromJSON: function(data) {
+    this._super(data);
+    this._trackReleasedKeys();
+    return this;
+  },
+}, 'Player');
+
+/**
+ * Sends events to objects when they touch each other.
+ *
+ * Instead of checking for collisions yourself in {@link global#update update()},
+ * tell App.Collisions which objects collide with which and listen for
+ * collision events:
+ *
+ *     // Check for collisions between each enemy and the player.
+ *     App.Collisions.add(enemies, player);
+ *     player.listen('collisionstart', function(e, target, enemy, contact) {
+ *       if (contact.side == 'bottom') {
+ *         enemy.destroy(); // Stomp!
+ *       }
+ *       else {
+ *         App.gameOver();
+ *       }
+ *     });
+ *
+ * Collisions are checked after every physics update (after
+ * {@link global#update update()} runs), and each pair of touching objects
+ * receives these events:
+ *
+ * - {@link Box#event-collisionstart collisionstart}: The objects started
+ *   touching.
+ * - {@link Box#event-collisionstay collisionstay}: The objects are still
+ *   touching.
+ * - {@link Box#event-collisionend collisionend}: The objects stopped
+ *   touching. This also fires if one of the objects was removed from its
+ *   Collection.
+ *
+ * Listeners receive the event object, the object receiving the event, the
+ * other object, and an object describing the contact with these properties:
+ *
+ * - `side`: The side of the object receiving the event that is touching the
+ *   other object ("top", "bottom", "left", or "right").
+ * - `depth`: How far the objects overlap along the axis of `side`, in pixels.
+ *   This can be slightly negative for objects that are
+ *   {@link App.Collisions#add solid} since those are kept a pixel apart.
+ * - `overlapX`, `overlapY`: How far the objects overlap horizontally and
+ *   vertically, in pixels.
+ *
+ * Objects only receive events for objects in
+ * {@link Box#COLLISION_CATEGORY collision layers} they can collide with. Use
+ * App.Collisions.getLayer() to define named layers, or Box#setCollisionLayer()
+ * and Box#setCollisionMask() to put Boxes in them.
+ *
+ * Registered collisions are removed when the app is reset, so add them in
+ * {@link global#setup setup()}.
+ *
+ * @singleton
+ * @static
+ */
+App.Collisions = (function() {
+  // Registered pairs of groups that collide.
+  var pairs = [],
+  // Contacts found during the last physics update, keyed by object IDs.
+      contacts = {},
+  // The next unique ID to give an object.
+      nextId = 1,
+  // Maps collision layer names to bits. See getLayer().
+      layers = {'default': 1},
+      numLayers = 1;
+
+  // Get a unique ID for an object.
+  function getId(obj) {
+    if (!obj.__collisionId) {
+      obj.__collisionId = nextId++;
+    }
+    return obj.__collisionId;
+  }
+
+  // Get the objects in a group.
+  function getItems(group) {
+    if (group instanceof Collection || group instanceof TileMap) {
+      return group.getAll().slice();
+    }
+    return [group];
+  }
+
+  // Find the objects in a group that touch a rectangle.
+  function query(group, x, y, w, h, filter) {
+    if (group instanceof Collection || group instanceof TileMap) {
+      return group.queryRect(x, y, w, h, filter);
+    }
+    return SpatialHash.overlapsRect(group, x, y, w, h) &&
+      SpatialHash.matchesFilter(group, filter) ? [group] : [];
+  }
+
+  // Describe the contact between two objects from the first one's perspective.
+  function getContact(a, b) {
+    var mtv = (a.collisionShape || b.collisionShape) && a.getMinimumTranslation(b);
+    // Use the way out of the overlap to find which side was hit.
+    if (mtv) {
+      return {
+        side: Math.abs(mtv.normal.x) > Math.abs(mtv.normal.y) ?
+          (mtv.normal.x < 0 ? 'right' : 'left') :
+          (mtv.normal.y < 0 ? 'bottom' : 'top'),
+        depth: mtv.depth,
+        overlapX: Math.abs(mtv.x),
+        overlapY: Math.abs(mtv.y),
+      };
+    }
+    var overlapX = Math.min(a.x + a.width - b.x, b.x + b.width - a.x),
+        overlapY = Math.min(a.y + a.height - b.y, b.y + b.height - a.y);
+    if (overlapX < overlapY) {
+      return {
+        side: a.x + a.width / 2 < b.x + b.width / 2 ? 'right' : 'left',
+        depth: overlapX,
+        overlapX: overlapX,
+        overlapY: overlapY,
+      };
+    }
+    return {
+      side: a.y + a.height / 2 < b.y + b.height / 2 ? 'bottom' : 'top',
+      depth: overlapY,
+      overlapX: overlapX,
+      overlapY: overlapY,
+    };
+  }
+
+  // Send a collision event to both objects involved.
+  function dispatch(eventName, a, b, contact) {
+    App.Events.trigger(eventName, jQuery.Event(eventName), a, b, contact);
+    App.Events.trigger(eventName, jQuery.Event(eventName), b, a, getContact(b, a));
+  }
+
+  // Find touching objects and send events. Runs after every physics update.
+  function step() {
+    var found = {}, i, j, k, l, m, n, key;
+    for (i = 0, l = pairs.length; i < l; i++) {
+      var pair = pairs[i], items = getItems(pair.a),
+          // Solids are kept a pixel apart, so look a pixel further for them.
+          margin = pair.solid ? 1 : 0;
+      for (j = 0, m = items.length; j < m; j++) {
+        var a = items[j];
+        if (pair.solid && typeof a.collideSolid === 'function') {
+          a.collideSolid(pair.b);
+        }
+        // Check the whole path of fast Actors so they can't skip past things.
+        var swept = a.CONTINUOUS_COLLISION && typeof a.getSweptBounds === 'function',
+            r = swept ? a.getSweptBounds() : a,
+            others = query(pair.b, r.x - margin, r.y - margin,
+                r.width + margin * 2, r.height + margin * 2,
+                typeof a.canCollideWith === 'function' ? a : null);
+        for (k = 0, n = others.length; k < n; k++) {
+          var b = others[k];
+          // Check each pair of objects once, even within the same group.
+          if (a === b || (pair.a === pair.b && getId(a) > getId(b))) {
+            continue;
+          }
+          if (swept && !SpatialHash.overlapsRect(b, a.x - margin, a.y - margin,
+                a.width + margin * 2, a.height + margin * 2) &&
+              !a._sweepBox(b, a.lastX, a.lastY, a.x - a.lastX, a.y - a.lastY)) {
+            continue;
+          }
+          // Shaped objects might not touch even if their rectangles do.
+          if (!swept && !pair.solid && (a.collisionShape || b.collisionShape) &&
+              !a.overlaps(b)) {
+            continue;
+          }
+          key = getId(a) + ':' + getId(b);
+          if (found[key]) {
+            continue;
+          }
+          found[key] = {a: a, b: b, contact: getContact(a, b)};
+        }
+      }
+    }
+    for (key in found) {
+      if (found.hasOwnProperty(key)) {
+        dispatch(contacts[key] ? 'collisionstay' : 'collisionstart',
+            found[key].a, found[key].b, found[key].contact);
+      }
+    }
+    for (key in contacts) {
+      if (contacts.hasOwnProperty(key) && !found[key]) {
+        dispatch('collisionend', contacts[key].a, contacts[key].b, contacts[key].contact);
+      }
+    }
+    contacts = found;
+  }
+
+  App.onPhysicsStep(step);
+  // Groups registered before a reset usually don't exist anymore afterwards.
+  jQuery(document).on('resetApp', function() {
+    pairs = [];
+    contacts = {};
+  });
+
+  return {
+    /**
+     * Check for collisions between two groups of objects.
+     *
+     * Each object in `a` is checked against each object in `b`. If `a` and
+     * `b` are the same Collection, each pair of objects in it is checked once.
+     * Both objects receive events, so there is no need to also add `b` and
+     * `a`.
+     *
+     * Checks against Collections with a
+     * {@link Collection#enableSpatialIndex spatial index} and TileMaps only
+     * look at nearby objects, so they are fast even for large groups.
+     *
+     * @param {Box/Collection/TileMap} a
+     *   A Box, Collection, or TileMap of objects.
+     * @param {Box/Collection/TileMap} b
+     *   A Box, Collection, or TileMap of objects that collide with the objects
+     *   in `a`.
+     * @param {Object} [options]
+     *   Settings for this pair of groups.
+     * @param {Boolean} [options.solid=false]
+     *   If true, Actors in `a` are kept from moving through the objects in `b`
+     *   by calling {@link Actor#collideSolid collideSolid(b)} before checking
+     *   for collisions.
+     *
+     * @static
+     */
+    add: function(a, b, options) {
+      pairs.push({a: a, b: b, solid: !!(options && options.solid)});
+    },
+    /**
+     * Stop checking for collisions between two groups of objects.
+     *
+     * @param {Box/Collection/TileMap} a
+     *   The first group passed to App.Collisions.add().
+     * @param {Box/Collection/TileMap} b
+     *   The second group passed to App.Collisions.add().
+     *
+     * @static
+     */
+    remove: function(a, b) {
+      for (var i = pairs.length-1; i >= 0; i--) {
+        if (pairs[i].a === a && pairs[i].b === b) {
+          pairs.splice(i, 1);
+        }
+      }
+    },
+    /**
+     * Stop checking for all collisions.
+     *
+     * @static
+     */
+    clear: function() {
+      pairs = [];
+      contacts = {};
+    },
+    /**
+     * Get the bit representing a named collision layer.
+     *
+     * Layers are created the first time their names are used. There can be
+     * at most 32 layers, including the "default" layer that Boxes belong to
+     * unless you change their {@link Box#COLLISION_CATEGORY COLLISION_CATEGORY}.
+     * Layers are not removed when the app is reset.
+     *
+     * @param {String} name
+     *   The name of the layer.
+     *
+     * @return {Number}
+     *   The layer's bit.
+     *
+     * @static
+     */
+    getLayer: function(name) {
+      if (!layers.hasOwnProperty(name)) {
+        if (numLayers >= 32) {
+          throw new Error('Collision layer "' + name + '" cannot be created because there are already 32 layers.');
+        }
+        layers[name] = 1 << numLayers++;
+      }
+      return layers[name];
+    },
+    /**
+     * Get the bitfield representing one or more collision layers.
+     *
+     * This is useful for setting {@link Box#COLLISION_CATEGORY COLLISION_CATEGORY}
+     * and {@link Box#COLLISION_MASK COLLISION_MASK} directly:
+     *
+     *     var Bullet = Actor.extend({
+     *       COLLISION_MASK: App.Collisions.getLayers(['default', 'enemies']),
+     *     });
+     *
+     * @param {String/String[]/Number} names
+     *   The name of a layer, an Array of layer names, or a bitfield (which is
+     *   returned as-is).
+     *
+     * @return {Number}
+     *   A bitfield including each layer.
+     *
+     * @static
+     */
+    getLayers: function(names) {
+      if (typeof names === 'number') {
+        return names;
+      }
+      if (typeof names === 'string') {
+        return App.Collisions.getLayer(names);
+      }
+      var bits = 0;
+      for (var i = 0, l = names.length; i < l; i++) {
+        bits |= App.Collisions.getLayer(names[i]);
+      }
+      return bits;
+    },
+    /**
+     * Get the objects an object touched during the last physics update.
+     *
+     * @param {Box} obj
+     *   The object whose contacts should be returned.
+     *
+     * @return {Box[]}
+     *   The objects touching `obj`.
+     *
+     * @static
+     */
+    getContacts: function(obj) {
+      var r = [];
+      for (var key in contacts) {
+        if (contacts.hasOwnProperty(key)) {
+          if (contacts[key].a === obj) {
+            r.push(contacts[key].b);
+          }
+          else if (contacts[key].b === obj) {
+            r.push(contacts[key].a);
+          }
+        }
+      }
+      return r;
+    },
+  };
+})();
@@ -0,0 +1,1054 @@
+/**
+ * @class App.Pathfinding
+ *   Finds paths through {@link TileMap TileMaps} for computer-controlled
+ *   {@link Actor Actors}.
+ *
+ * Paths are found using the A* algorithm on a {@link App.Pathfinding.Graph}
+ * of walkable cells built from a TileMap. By default, blank (null) cells are
+ * walkable and everything else is blocked. The simplest way to use it is to
+ * find a path between two points in the world and tell an Actor to follow it
+ * with Actor#followPath():
+ *
+ *     var path = App.Pathfinding.findWorldPath(solid, enemy, player);
+ *     if (path) {
+ *       enemy.followPath(path);
+ *     }
+ *     // Actor#update() will now move the enemy along the path.
+ *
+ * If you need to find a lot of paths on the same TileMap, build a
+ * {@link App.Pathfinding.Graph Graph} once and pass it instead of the
+ * TileMap. Graphs can also describe platformer levels, where Actors walk
+ * along the tops of solids and have to jump or fall to get between them;
+ * see the `platformer` option of the Graph.
+ *
+ * Paths found in a top-down Graph only move between cells orthogonally
+ * unless the `diagonal` option is set, and they never cut corners around
+ * blocked cells.
+ */
+App.Pathfinding = (function(undefined) {
+  // The cost of moving diagonally relative to moving orthogonally.
+  var DIAGONAL_COST = Math.SQRT2;
+
+  /**
+   * @class App.Pathfinding.Graph
+   *   A map of which cells in a {@link TileMap} can be walked through.
+   *
+   * The Graph is built when it is created. If the TileMap changes, call
+   * App.Pathfinding.Graph#update() to rebuild it.
+   *
+   * @constructor
+   *   Creates a new Graph.
+   *
+   * @param {TileMap} tileMap
+   *   The TileMap to build the Graph from.
+   * @param {Object} [options]
+   *   Settings that determine how the Graph is built.
+   * @param {Function} [options.isBlocked]
+   *   A function that determines whether a cell is blocked. It receives the
+   *   contents of the cell, its row, and its column, and it should return true
+   *   if the cell can't be walked through. By default, cells that aren't blank
+   *   are blocked.
+   * @param {Function} [options.cost]
+   *   A function that returns the cost of moving into a cell, for example to
+   *   make Actors avoid water or prefer roads. It receives the contents of the
+   *   cell, its row, and its column. By default every cell costs 1. Costs
+   *   should be positive numbers; returning Infinity blocks the cell.
+   * @param {Boolean} [options.diagonal=false]
+   *   Whether paths can move diagonally between cells in top-down Graphs.
+   *   Diagonal moves cost the square root of 2 times as much as orthogonal
+   *   moves.
+   * @param {Boolean} [options.platformer=false]
+   *   Whether the Graph describes a level viewed from the side. In platformer
+   *   Graphs, only walkable cells directly above blocked cells can be part of
+   *   a path, and Actors move between them by walking, jumping, and falling.
+   * @param {Number} [options.jumpHeight=0]
+   *   In platformer Graphs, the number of cells an Actor can jump upward.
+   * @param {Number} [options.jumpDistance=1]
+   *   In platformer Graphs, the number of cells an Actor can move
+   *   horizontally during a jump or fall. Neighboring cells can always be
+   *   reached by walking.
+   * @param {Number} [options.fallDistance=Infinity]
+   *   In platformer Graphs, the number of cells an Actor can safely fall.
+   */
+  function Graph(tileMap, options) {
+    options = options || {};
+    this.tileMap = tileMap;
+    this.options = {
+      isBlocked: options.isBlocked || null,
+      cost: options.cost || null,
+      diagonal: !!options.diagonal,
+      platformer: !!options.platformer,
+      jumpHeight: options.jumpHeight || 0,
+      jumpDistance: typeof options.jumpDistance === 'number' ? options.jumpDistance : 1,
+      fallDistance: typeof options.fallDistance === 'number' ? options.fallDistance : Infinity,
+    };
+    this.update();
+  }
+  Graph.prototype = {
+    /**
+     * Rebuild the Graph from its TileMap.
+     *
+     * Call this after changing cells in the TileMap.
+     */
+    update: function() {
+      var rows = this.tileMap.getRows(),
+          cols = this.tileMap.getCols(),
+          isBlocked = this.options.isBlocked,
+          cost = this.options.cost;
+      this.rows = rows;
+      this.cols = cols;
+      this.costs = new Array(rows * cols);
+      // The lowest cost of any cell, used to keep A* estimates optimistic.
+      this.minCost = Infinity;
+      for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+          var cell = this.tileMap.getCell(row, col),
+              c = (isBlocked ? isBlocked(cell, row, col) : cell !== null) ? Infinity :
+                (cost ? cost(cell, row, col) : 1);
+          this.costs[row * cols + col] = c;
+          if (c < this.minCost) {
+            this.minCost = c;
+          }
+        }
+      }
+      if (this.minCost === Infinity) {
+        this.minCost = 1;
+      }
+      return this;
+    },
+    /**
+     * Check whether a cell can be walked through.
+     *
+     * @param {Number} row The row of the cell.
+     * @param {Number} col The column of the cell.
+     *
+     * @return {Boolean}
+     *   true if the cell is inside the TileMap and isn't blocked; false
+     *   otherwise.
+     */
+    isWalkable: function(row, col) {
+      return row >= 0 && col >= 0 && row < this.rows && col < this.cols &&
+        this.costs[row * this.cols + col] !== Infinity;
+    },
+    /**
+     * Check whether an Actor can stand in a cell in a platformer Graph.
+     *
+     * @param {Number} row The row of the cell.
+     * @param {Number} col The column of the cell.
+     *
+     * @return {Boolean}
+     *   true if the cell can be walked through and the cell below it can't;
+     *   false otherwise. The bottom of the TileMap counts as solid ground.
+     */
+    isStandable: function(row, col) {
+      return this.isWalkable(row, col) &&
+        (row == this.rows - 1 || !this.isWalkable(row + 1, col));
+    },
+    /**
+     * Check whether a cell can be part of a path.
+     *
+     * @param {Number} row The row of the cell.
+     * @param {Number} col The column of the cell.
+     *
+     * @return {Boolean}
+     *   true if the cell is {@link App.Pathfinding.Graph#isStandable standable}
+     *   in platformer Graphs or {@link App.Pathfinding.Graph#isWalkable
+     *   walkable} in top-down Graphs; false otherwise.
+     */
+    isNode: function(row, col) {
+      return this.options.platformer ? this.isStandable(row, col) : this.isWalkable(row, col);
+    },
+    /**
+     * Get the cost of moving into a cell.
+     *
+     * @param {Number} row The row of the cell.
+     * @param {Number} col The column of the cell.
+     *
+     * @return {Number}
+     *   The cost of the cell, or Infinity if it is blocked.
+     */
+    getCost: function(row, col) {
+      return this.isWalkable(row, col) ? this.costs[row * this.cols + col] : Infinity;
+    },
+    /**
+     * Get the cells that can be reached directly from a cell.
+     *
+     * @param {Number} row The row of the cell.
+     * @param {Number} col The column of the cell.
+     *
+     * @return {Object[]}
+     *   An Array of objects with `row`, `col`, and `cost` properties. In
+     *   platformer Graphs, the objects also have a `jump` property that is
+     *   true if an Actor has to jump to get to the cell.
+     */
+    getNeighbors: function(row, col) {
+      return this.options.platformer ? this._getPlatformerNeighbors(row, col) :
+        this._getTopDownNeighbors(row, col);
+    },
+    /**
+     * Get the neighbors of a cell in a top-down Graph.
+     *
+     * @ignore
+     */
+    _getTopDownNeighbors: function(row, col) {
+      var neighbors = [];
+      for (var dr = -1; dr <= 1; dr++) {
+        for (var dc = -1; dc <= 1; dc++) {
+          if ((!dr && !dc) || (dr && dc && !this.options.diagonal)) {
+            continue;
+          }
+          var r = row + dr, c = col + dc;
+          if (!this.isWalkable(r, c) ||
+              // Don't cut corners around blocked cells.
+              (dr && dc && (!this.isWalkable(row, c) || !this.isWalkable(r, col)))) {
+            continue;
+          }
+          neighbors.push({
+            row: r,
+            col: c,
+            cost: this.getCost(r, c) * (dr && dc ? DIAGONAL_COST : 1),
+          });
+        }
+      }
+      return neighbors;
+    },
+    /**
+     * Get the neighbors of a cell in a platformer Graph.
+     *
+     * Actors can walk to the cells beside them. They can also jump or fall to
+     * any standable cell within range if there is room to get there by going
+     * up, then across, then down.
+     *
+     * @ignore
+     */
+    _getPlatformerNeighbors: function(row, col) {
+      var neighbors = [],
+          o = this.options,
+          reach = Math.max(o.jumpDistance, 1);
+      for (var dc = -reach; dc <= reach; dc++) {
+        var c = col + dc,
+            top = Math.max(row - o.jumpHeight, 0),
+            bottom = Math.min(row + o.fallDistance, this.rows - 1);
+        for (var r = top; r <= bottom; r++) {
+          if ((!dc && r == row) || !this.isStandable(r, c)) {
+            continue;
+          }
+          var walk = r == row && Math.abs(dc) == 1;
+          // Actors can always fall into the next column, but getting any
+          // farther away requires jumping.
+          if (!walk && (Math.abs(dc) > (r > row ? reach : o.jumpDistance) ||
+              !this._isArcClear(row, col, r, c))) {
+            continue;
+          }
+          neighbors.push({
+            row: r,
+            col: c,
+            cost: this.getCost(r, c) * (Math.abs(dc) + Math.abs(r - row)),
+            jump: r < row || Math.abs(dc) > 1,
+          });
+        }
+      }
+      return neighbors;
+    },
+    /**
+     * Check whether there is room to jump or fall between two cells.
+     *
+     * @ignore
+     */
+    _isArcClear: function(fromRow, fromCol, toRow, toCol) {
+      var apex = Math.min(fromRow, toRow),
+          step = toCol > fromCol ? 1 : -1,
+          r, c;
+      // Rise in the starting column...
+      for (r = fromRow; r >= apex; r--) {
+        if (!this.isWalkable(r, fromCol)) {
+          return false;
+        }
+      }
+      // ...move across...
+      for (c = fromCol; c != toCol; c += step) {
+        if (!this.isWalkable(apex, c)) {
+          return false;
+        }
+      }
+      // ...and drop into the destination column.
+      for (r = apex; r <= toRow; r++) {
+        if (!this.isWalkable(r, toCol)) {
+          return false;
+        }
+      }
+      return true;
+    },
+  };
+
+  // A binary min-heap of A* nodes ordered by their estimated total cost.
+  function Heap() {
+    this.items = [];
+  }
+  Heap.prototype = {
+    push: function(node) {
+      var items = this.items, i = items.length;
+      items.push(node);
+      while (i > 0) {
+        var parent = (i - 1) >> 1;
+        if (items[parent].f <= node.f) {
+          break;
+        }
+        items[i] = items[parent];
+        i = parent;
+      }
+      items[i] = node;
+    },
+    pop: function() {
+      var items = this.items, top = items[0], last = items.pop(), l = items.length;
+      if (l) {
+        var i = 0;
+        while (true) {
+          var child = i * 2 + 1;
+          if (child >= l) {
+            break;
+          }
+          if (child + 1 < l && items[child + 1].f < items[child].f) {
+            child++;
+          }
+          if (items[child].f >= last.f) {
+            break;
+          }
+          items[i] = items[child];
+          i = child;
+        }
+        items[i] = last;
+      }
+      return top;
+    },
+    size: function() {
+      return this.items.length;
+    },
+  };
+
+  // Estimate the cost of getting between two cells without overestimating.
+  function heuristic(graph, a, b) {
+    var dr = Math.abs(a.row - b.row), dc = Math.abs(a.col - b.col);
+    if (graph.options.diagonal && !graph.options.platformer) {
+      return graph.minCost * (Math.max(dr, dc) + (DIAGONAL_COST - 1) * Math.min(dr, dc));
+    }
+    return graph.minCost * (dr + dc);
+  }
+
+  // Use a Graph as-is or build one from a TileMap.
+  function getGraph(map, options) {
+    return map instanceof Graph ? map : new Graph(map, options);
+  }
+
+  // Get the cell an Actor or point is in.
+  function getCell(graph, from) {
+    var x = from.x, y = from.y;
+    if (from instanceof Box) {
+      x = from.xC();
+      // In platformer levels, what matters is where the Box's feet are.
+      y = graph.options.platformer ? from.y + from.height - 1 : from.yC();
+    }
+    return graph.tileMap.worldToCell(x, y);
+  }
+
+  return {
+    Graph: Graph,
+    /**
+     * Find the cheapest path between two cells.
+     *
+     * @param {TileMap/App.Pathfinding.Graph} map
+     *   The TileMap through which to find a path, or a Graph built from it.
+     * @param {Object} start
+     *   An object with `row` and `col` properties identifying the cell where
+     *   the path should start.
+     * @param {Object} goal
+     *   An object with `row` and `col` properties identifying the cell where
+     *   the path should end.
+     * @param {Object} [options]
+     *   If `map` is a TileMap, the options used to build a Graph from it. See
+     *   App.Pathfinding.Graph.
+     *
+     * @return {Object[]}
+     *   An Array of objects with `row` and `col` properties identifying each
+     *   cell in the path, including the start and goal, or null if there is no
+     *   path. In platformer Graphs, cells that must be jumped to have a `jump`
+     *   property set to true.
+     *
+     * @static
+     */
+    findPath: function(map, start, goal, options) {
+      var graph = getGraph(map, options);
+      if (!graph.isNode(start.row, start.col) || !graph.isNode(goal.row, goal.col)) {
+        return null;
+      }
+      var open = new Heap(),
+          nodes = {},
+          cols = graph.cols,
+          startNode = {row: start.row, col: start.col, g: 0, parent: null, closed: false};
+      startNode.f = heuristic(graph, start, goal);
+      nodes[start.row * cols + start.col] = startNode;
+      open.push(startNode);
+      while (open.size()) {
+        var node = open.pop();
+        if (node.closed) {
+          continue;
+        }
+        if (node.row == goal.row && node.col == goal.col) {
+          var path = [];
+          while (node) {
+            var cell = {row: node.row, col: node.col};
+            if (node.jump) {
+              cell.jump = true;
+            }
+            path.unshift(cell);
+            node = node.parent;
+          }
+          return path;
+        }
+        node.closed = true;
+        var neighbors = graph.getNeighbors(node.row, node.col);
+        for (var i = 0, l = neighbors.length; i < l; i++) {
+          var n = neighbors[i],
+              key = n.row * cols + n.col,
+              next = nodes[key],
+              g = node.g + n.cost;
+          if (next && (next.closed || next.g <= g)) {
+            continue;
+          }
+          // Re-add improved nodes instead of updating them in place; the stale
+          // copies are skipped when they come off the heap.
+          next = {row: n.row, col: n.col, g: g, parent: node, jump: n.jump, closed: false};
+          next.f = g + heuristic(graph, n, goal);
+          nodes[key] = next;
+          open.push(next);
+        }
+      }
+      return null;
+    },
+    /**
+     * Find the cheapest path between two points in the world.
+     *
+     * @param {TileMap/App.Pathfinding.Graph} map
+     *   The TileMap through which to find a path, or a Graph built from it.
+     * @param {Box/Object} from
+     *   The Box (usually an {@link Actor}) that will follow the path, or an
+     *   object with `x` and `y` properties indicating where the path starts.
+     *   Paths start in the cell containing the center of a Box, or in
+     *   platformer Graphs the cell containing the bottom of a Box.
+     * @param {Box/Object} to
+     *   A Box or an object with `x` and `y` properties indicating where the
+     *   path should end.
+     * @param {Object} [options]
+     *   If `map` is a TileMap, the options used to build a Graph from it. See
+     *   App.Pathfinding.Graph.
+     *
+     * @return {Object[]}
+     *   An Array of waypoints (see App.Pathfinding.toWorldPath()) that can be
+     *   passed to Actor#followPath(), or null if there is no path.
+     *
+     * @static
+     */
+    findWorldPath: function(map, from, to, options) {
+      var graph = getGraph(map, options),
+          path = this.findPath(graph, getCell(graph, from), getCell(graph, to));
+      return path ? this.toWorldPath(graph.tileMap, path) : null;
+    },
+    /**
+     * Convert a path of cells into a path of points in the world.
+     *
+     * @param {TileMap} tileMap
+     *   The TileMap in which the path was found.
+     * @param {Object[]} path
+     *   An Array of cells returned from App.Pathfinding.findPath().
+     *
+     * @return {Object[]}
+     *   An Array of objects with `x` and `y` properties indicating the center
+     *   of each cell in the path, plus the `row`, `col`, and `jump` properties
+     *   of the cells.
+     *
+     * @static
+     */
+    toWorldPath: function(tileMap, path) {
+      var size = tileMap.options.cellSize, points = [];
+      for (var i = 0, l = path.length; i < l; i++) {
+        var pos = tileMap.cellToWorld(path[i].row, path[i].col);
+        points.push({
+          x: pos.x + size[0] / 2,
+          y: pos.y + size[1] / 2,
+          row: path[i].row,
+          col: path[i].col,
+          jump: !!path[i].jump,
+        });
+      }
+      return points;
+    },
+  };
+})();
+
+/**
+ * @class App.Steering
+ *   Steering behaviors that make {@link Actor Actors} move naturally toward,
+ *   away from, and around things.
+ *
+ * Each behavior calculates a steering force: an object with `x` and `y`
+ * properties indicating how the Actor should change its velocity, in pixels
+ * per second-squared. Pass one or more forces to Actor#steer() before
+ * updating the Actor to apply them. Behaviors can be combined by passing
+ * several forces at once, and App.Steering.scale() makes some behaviors more
+ * important than others:
+ *
+ *     enemies.forEach(function(enemy) {
+ *       if (App.Steering.distance(enemy, player) < 300) {
+ *         enemy.steer(App.Steering.pursue(enemy, player));
+ *       }
+ *       else {
+ *         enemy.steer(App.Steering.wander(enemy));
+ *       }
+ *       enemy.steer(App.Steering.scale(App.Steering.separation(enemy, enemies), 2));
+ *       enemy.update();
+ *     });
+ *
+ * Targets can be {@link Box Boxes}, in which case their centers are used, or
+ * objects with `x` and `y` properties indicating points in the world.
+ *
+ * Behaviors are based on Craig Reynolds'
+ * [Steering Behaviors For Autonomous Characters](http://www.red3d.com/cwr/steer/).
+ *
+ * @static
+ */
+App.Steering = (function(undefined) {
+  // Get the point to steer relative to.
+  function getPosition(target) {
+    return target instanceof Box ? {x: target.xC(), y: target.yC()} : target;
+  }
+
+  // Get the force that changes an Actor's velocity to a desired velocity
+  // within one update. Actor#steer() limits how strong it can be.
+  function steerToward(actor, x, y, speed) {
+    var distance = Math.sqrt(x*x + y*y),
+        delta = App.physicsDelta || 1;
+    if (distance === 0) {
+      speed = 0;
+      distance = 1;
+    }
+    return {
+      x: (x / distance * speed - actor.xVelocity) / delta,
+      y: (y / distance * speed - actor.yVelocity) / delta,
+    };
+  }
+
+  // Predict where a moving target will be when an Actor catches up to it.
+  function predict(actor, target) {
+    var pos = getPosition(target),
+        dx = pos.x - actor.xC(),
+        dy = pos.y - actor.yC(),
+        // Look further ahead the further away the target is.
+        time = Math.sqrt(dx*dx + dy*dy) / actor.MOVEAMOUNT;
+    return {
+      x: pos.x + (target.xVelocity || 0) * time,
+      y: pos.y + (target.yVelocity || 0) * time,
+    };
+  }
+
+  return {
+    /**
+     * Move toward a target at full speed.
+     *
+     * @param {Actor} actor The Actor to steer.
+     * @param {Box/Object} target The target to seek.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    seek: function(actor, target) {
+      var pos = getPosition(target);
+      return steerToward(actor, pos.x - actor.xC(), pos.y - actor.yC(), actor.MOVEAMOUNT);
+    },
+    /**
+     * Move away from a target at full speed.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Box/Object} target
+     *   The target to flee.
+     * @param {Number} [distance=Infinity]
+     *   The Actor only flees if it is closer than this many pixels to the
+     *   target.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    flee: function(actor, target, distance) {
+      var pos = getPosition(target),
+          dx = actor.xC() - pos.x,
+          dy = actor.yC() - pos.y;
+      if (typeof distance === 'number' && dx*dx + dy*dy > distance*distance) {
+        return {x: 0, y: 0};
+      }
+      return steerToward(actor, dx, dy, actor.MOVEAMOUNT);
+    },
+    /**
+     * Move toward a target and slow down to stop on it.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Box/Object} target
+     *   The target at which to arrive.
+     * @param {Number} [slowingDistance=100]
+     *   The distance in pixels from the target at which the Actor starts
+     *   slowing down.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    arrive: function(actor, target, slowingDistance) {
+      var pos = getPosition(target),
+          dx = pos.x - actor.xC(),
+          dy = pos.y - actor.yC(),
+          distance = Math.sqrt(dx*dx + dy*dy);
+      if (typeof slowingDistance !== 'number') {
+        slowingDistance = 100;
+      }
+      return steerToward(actor, dx, dy, actor.MOVEAMOUNT * Math.min(distance / slowingDistance, 1));
+    },
+    /**
+     * Move toward where a moving target is going to be.
+     *
+     * @param {Actor} actor The Actor to steer.
+     * @param {Actor/Object} target The target to pursue.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    pursue: function(actor, target) {
+      return this.seek(actor, predict(actor, target));
+    },
+    /**
+     * Move away from where a moving target is going to be.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Actor/Object} target
+     *   The target to evade.
+     * @param {Number} [distance=Infinity]
+     *   The Actor only evades if it is closer than this many pixels to the
+     *   target's predicted position.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    evade: function(actor, target, distance) {
+      return this.flee(actor, predict(actor, target), distance);
+    },
+    /**
+     * Wander around randomly.
+     *
+     * The Actor steers toward a point on a circle in front of it that moves
+     * a little bit randomly every update, so it meanders smoothly instead of
+     * jittering around.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Object} [options]
+     *   Settings that control how the Actor wanders.
+     * @param {Number} [options.distance=60]
+     *   How far in front of the Actor the circle is, in pixels.
+     * @param {Number} [options.radius=30]
+     *   The radius of the circle, in pixels. Larger circles make the Actor
+     *   turn more sharply.
+     * @param {Number} [options.jitter=4]
+     *   The most the point on the circle can move in one second, in radians.
+     * @param {App.Utils.PRNG} [options.rng=App.Utils.rng]
+     *   The random number generator to use.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    wander: function(actor, options) {
+      options = options || {};
+      var distance = typeof options.distance === 'number' ? options.distance : 60,
+          radius = typeof options.radius === 'number' ? options.radius : 30,
+          jitter = typeof options.jitter === 'number' ? options.jitter : 4,
+          rng = options.rng || App.Utils.rng,
+          heading = actor.xVelocity || actor.yVelocity ?
+            actor.getVelocityVector().direction : 0;
+      actor.__wanderAngle = (actor.__wanderAngle || 0) +
+        (rng.random() * 2 - 1) * jitter * App.physicsDelta;
+      return steerToward(actor,
+        Math.cos(heading) * distance + Math.cos(heading + actor.__wanderAngle) * radius,
+        Math.sin(heading) * distance + Math.sin(heading + actor.__wanderAngle) * radius,
+        actor.MOVEAMOUNT
+      );
+    },
+    /**
+     * Move between waypoints.
+     *
+     * The Actor remembers which waypoint it is heading toward, so pass the
+     * same Array of waypoints every time. Passing a different Array starts
+     * over from the first waypoint.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Box[]/Object[]} waypoints
+     *   The targets to move between.
+     * @param {Object} [options]
+     *   Settings that control how the Actor patrols.
+     * @param {Boolean} [options.loop=true]
+     *   If true, the Actor goes back to the first waypoint after reaching the
+     *   last one. Otherwise, it turns around and visits the waypoints in
+     *   reverse order.
+     * @param {Number} [options.radius=10]
+     *   How close in pixels the Actor has to get to a waypoint before heading
+     *   to the next one.
+     *
+     * @return {Object} The steering force.
+     *
+     * @static
+     */
+    patrol: function(actor, waypoints, options) {
+      options = options || {};
+      var radius = typeof options.radius === 'number' ? options.radius : 10,
+          patrol = actor.__patrol;
+      if (!patrol || patrol.waypoints !== waypoints) {
+        patrol = actor.__patrol = {waypoints: waypoints, index: 0, step: 1};
+      }
+      if (waypoints.length > 1) {
+        var pos = getPosition(waypoints[patrol.index]),
+            dx = pos.x - actor.xC(),
+            dy = pos.y - actor.yC();
+        if (dx*dx + dy*dy <= radius*radius) {
+          if (options.loop === false &&
+              (patrol.index + patrol.step < 0 || patrol.index + patrol.step >= waypoints.length)) {
+            patrol.step = -patrol.step;
+          }
+          patrol.index = (patrol.index + patrol.step + waypoints.length) % waypoints.length;
+        }
+      }
+      return waypoints.length ? this.seek(actor, waypoints[patrol.index]) : {x: 0, y: 0};
+    },
+    /**
+     * Move away from nearby Boxes to avoid crowding them.
+     *
+     * @param {Actor} actor
+     *   The Actor to steer.
+     * @param {Collection/Box[]} others
+     *   The Boxes to keep away from. This can include the Actor itself, which
+     *   is ignored. Collections with a {@link Collection#enableSpatialIndex
+     *   spatial index} only check nearby Boxes.
+     * @param {Number} [radius]
+     *   How close in pixels the center of another Box has to be to the
+     *   Actor's center for the Actor to move away from it. Defaults to twice
+     *   the larger of the Actor's width and height.
+     *
+     * @return {Object}
+     *   The steering force. Closer Boxes push harder.
+     *
+     * @static
+     */
+    separation: function(actor, others, radius) {
+      var cx = actor.xC(),
+          cy = actor.yC(),
+          x = 0,
+          y = 0;
+      if (typeof radius !== 'number') {
+        radius = Math.max(actor.width, actor.height) * 2;
+      }
+      if (others instanceof Collection) {
+        others = others.queryRadius(cx, cy, radius);
+      }
+      for (var i = 0, l = others.length; i < l; i++) {
+        var other = others[i];
+        if (other === actor) {
+          continue;
+        }
+        var dx = cx - other.xC(),
+            dy = cy - other.yC(),
+            distance = Math.sqrt(dx*dx + dy*dy);
+        if (distance > 0 && distance < radius) {
+          // Push away at full strength when touching, fading out at the radius.
+          var strength = actor.STEERING_FORCE * (1 - distance / radius);
+          x += dx / distance * strength;
+          y += dy / distance * strength;
+        }
+      }
+      return {x: x, y: y};
+    },
+    /**
+     * Get the distance between two targets.
+     *
+     * @param {Box/Object} a The first target.
+     * @param {Box/Object} b The second target.
+     *
+     * @return {Number}
+     *   The distance in pixels between the targets (or their centers, for
+     *   Boxes).
+     *
+     * @static
+     */
+    distance: function(a, b) {
+      a = getPosition(a);
+      b = getPosition(b);
+      return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+    },
+    /**
+     * Scale a steering force to change how much it matters.
+     *
+     * @param {Object} force The steering force to scale.
+     * @param {Number} factor The number by which to multiply the force.
+     *
+     * @return {Object} The scaled steering force.
+     *
+     * @static
+     */
+    scale: function(force, factor) {
+      return {x: force.x * factor, y: force.y * factor};
+    },
+  };
+})();
+
+/**
+ * @class App.StateMachine
+ *   Switches an object (usually an {@link Actor}) between behaviors.
+ *
+ * Each state is an object with any of the following methods (all optional):
+ *
+ * - `enter(previousState, ...)`: Runs when the machine switches into the
+ *   state. Receives the name of the previous state (or null) and any extra
+ *   arguments passed to App.StateMachine#setState().
+ * - `update(delta, timeElapsed)`: Runs every time App.StateMachine#update()
+ *   is called while the machine is in the state. If it returns the name of
+ *   another state, the machine switches to that state.
+ * - `exit(nextState)`: Runs when the machine switches out of the state.
+ *   Receives the name of the next state.
+ *
+ * The hooks run with `this` set to the machine's owner, so they can use the
+ * owner's properties and methods directly. For example:
+ *
+ *     var enemyStates = {
+ *       patrol: {
+ *         update: function() {
+ *           this.steer(App.Steering.patrol(this, this.waypoints));
+ *           if (App.Steering.distance(this, player) < 200) {
+ *             return 'chase';
+ *           }
+ *         },
+ *       },
+ *       chase: {
+ *         enter: function() {
+ *           this.MOVEAMOUNT *= 2;
+ *         },
+ *         update: function() {
+ *           this.steer(App.Steering.pursue(this, player));
+ *           if (this.ai.getTimeInState() > 5) {
+ *             return 'patrol';
+ *           }
+ *         },
+ *         exit: function() {
+ *           this.MOVEAMOUNT /= 2;
+ *         },
+ *       },
+ *     };
+ *     var Enemy = Actor.extend({
+ *       init: function() {
+ *         this._super.apply(this, arguments);
+ *         this.ai = new App.StateMachine(this, enemyStates, 'patrol');
+ *       },
+ *       update: function() {
+ *         this.ai.update();
+ *         this._super.apply(this, arguments);
+ *       },
+ *       // Saved machines don't include their owner or states.
+ *       fromJSON: function(data) {
+ *         this._super(data);
+ *         this.ai.attach(this, enemyStates);
+ *         return this;
+ *       },
+ *     }, 'Enemy');
+ *
+ * Machines can be saved with App.Storage along with their owners. Only the
+ * names of the current and previous states and the time spent in the current
+ * state are saved, so after a machine is loaded, App.StateMachine#attach()
+ * must be called to give it its owner and states back (usually in the
+ * owner's `fromJSON()` method, as above). Until then, updating it does
+ * nothing.
+ *
+ * @constructor
+ *   Creates a new StateMachine.
+ *
+ * @param {Object} owner
+ *   The object whose behavior the machine controls. State hooks run with
+ *   `this` set to the owner.
+ * @param {Object} states
+ *   A map of state names to states.
+ * @param {String} [initialState]
+ *   The name of the state to start in. If not specified, the machine doesn't
+ *   start in any state until App.StateMachine#setState() is called.
+ */
+App.StateMachine = function(owner, states, initialState) {
+  this.owner = owner;
+  this.states = states;
+  this.state = null;
+  this.previousState = null;
+  this.enteredAt = App.physicsTimeElapsed;
+  if (initialState) {
+    this.setState(initialState);
+  }
+};
+App.StateMachine.prototype = {
+  /**
+   * Switch to a different state.
+   *
+   * The current state's `exit` hook runs first, then the new state's `enter`
+   * hook. Switching to the current state exits and re-enters it.
+   *
+   * @param {String} name
+   *   The name of the state to switch to.
+   * @param {Arguments} ...
+   *   Additional arguments are passed to the new state's `enter` hook.
+   *
+   * @chainable
+   */
+  setState: function(name) {
+    if (!this.states.hasOwnProperty(name)) {
+      throw new Error('State "' + name + '" does not exist.');
+    }
+    var args = Array.prototype.slice.call(arguments, 1),
+        previous = this.state;
+    this._invoke(previous, 'exit', [name]);
+    this.previousState = previous;
+    this.state = name;
+    this.enteredAt = App.physicsTimeElapsed;
+    this._invoke(name, 'enter', [previous].concat(args));
+    return this;
+  },
+  /**
+   * Get the name of the current state.
+   *
+   * @return {String}
+   *   The name of the current state, or null if the machine isn't in a state.
+   */
+  getState: function() {
+    return this.state;
+  },
+  /**
+   * Get the name of the state the machine was in before the current one.
+   *
+   * @return {String}
+   *   The name of the previous state, or null if there wasn't one.
+   */
+  getPreviousState: function() {
+    return this.previousState;
+  },
+  /**
+   * Check whether the machine is in a given state.
+   *
+   * @param {String} name The name of the state to check.
+   *
+   * @return {Boolean} true if the machine is in the state; false otherwise.
+   */
+  is: function(name) {
+    return this.state === name;
+  },
+  /**
+   * Get how long the machine has been in the current state.
+   *
+   * @return {Number}
+   *   The number of seconds of {@link App#physicsTimeElapsed physics time}
+   *   since the machine entered the current state.
+   */
+  getTimeInState: function() {
+    return App.physicsTimeElapsed - this.enteredAt;
+  },
+  /**
+   * Run the current state's `update` hook.
+   *
+   * Call this during every physics update, usually at the start of the
+   * owner's own update() method.
+   *
+   * @return {String}
+   *   The name of the state the machine is in after updating.
+   */
+  update: function() {
+    var next = this._invoke(this.state, 'update', [App.physicsDelta, App.physicsTimeElapsed]);
+    if (typeof next === 'string' && next !== this.state) {
+      this.setState(next);
+    }
+    return this.state;
+  },
+  /**
+   * Give the machine an owner and states after it has been loaded.
+   *
+   * Unlike App.StateMachine#setState(), this doesn't run any hooks, and the
+   * machine stays in the state it was saved in.
+   *
+   * @param {Object} owner
+   *   The object whose behavior the machine controls.
+   * @param {Object} states
+   *   A map of state names to states. It must include the current state.
+   *
+   * @chainable
+   */
+  attach: function(owner, states) {
+    if (this.state !== null && !states.hasOwnProperty(this.state)) {
+      throw new Error('State "' + this.state + '" does not exist.');
+    }
+    this.owner = owner;
+    this.states = states;
+    return this;
+  },
+  /**
+   * Get a representation of the machine that can be converted to JSON.
+   *
+   * The owner and the states are left out because the owner usually refers
+   * back to the machine (which would make it impossible to convert to JSON)
+   * and the states are made of functions. See App.StateMachine#attach().
+   *
+   * @return {Object}
+   *   A plain object representing the machine.
+   */
+  toJSON: function() {
+    return {
+      __class: this.__className,
+      state: this.state,
+      previousState: this.previousState,
+      // Physics time starts over when the app is reset, so save how long
+      // the machine has been in its state instead of when it got there.
+      timeInState: this.getTimeInState(),
+    };
+  },
+  /**
+   * Restore the machine from the output of App.StateMachine#toJSON().
+   *
+   * This is called automatically by Class.revive(). The machine has no owner
+   * or states until App.StateMachine#attach() is called.
+   *
+   * @param {Object} data
+   *   The output of App.StateMachine#toJSON().
+   */
+  fromJSON: function(data) {
+    this.owner = null;
+    this.states = {};
+    this.state = data.state;
+    this.previousState = data.previousState;
+    this.enteredAt = App.physicsTimeElapsed - (data.timeInState || 0);
+    return this;
+  },
+  /**
+   * Invoke a state's hook if it exists.
+   *
+   * @ignore
+   */
+  _invoke: function(name, hook, args) {
+    var state = name === null ? null : this.states[name];
+    if (state && typeof state[hook] == 'function') {
+      return state[hook].apply(this.owner, args);
+    }
+  },
+};
+Class.register('App.StateMachine', App.StateMachine);
@@ -76,6 +76,27 @@ App.MIN_FPS = 4;
  * @static
  */
 App.MAX_FPS = 100;
+/**
+ * @property
+ *   Whether physics should always be updated using a fixed time-step.
+ *
+ * By default, each frame's elapsed time is broken down into physics updates
+ * of no more than `1 / App.MAX_FPS` seconds, but the last update in each frame
+ * simulates whatever time is left over, so the length of each update varies.
+ * That means the same inputs can produce slightly different results each time,
+ * which matters for things like replays and networked simulations.
+ *
+ * When this is enabled, update() is always called with a delta of exactly
+ * `1 / App.MAX_FPS` seconds. Time left over at the end of a frame is carried
+ * forward to the next frame, and draw() receives an interpolation factor
+ * (also available as App.physicsAlpha) indicating how far the frame is
+ * between the last physics state and the next one. {@link Actor}s use this to
+ * draw themselves smoothly in between their last and current positions.
+ *
+ * @member App
+ * @static
+ */
+App.FIXED_TIMESTEP = false;
 /**
  * @property
  *   The total amount of time simulated, in seconds.
@@ -99,6 +120,34 @@ App.MAX_FPS = 100;
 App.physicsTimeElapsed = 0;
 // Defined later as the amount of simulated physics time since the last update.
 App.physicsDelta = 0;
+/**
+ * @property
+ *   The number of physics updates that have run since the app was reset.
+ *
+ * This is useful for determining whether something was updated during the
+ * most recent physics update, which happens when it was updated at
+ * `App.physicsSteps - 1`.
+ *
+ * @member App
+ * @static
+ * @readonly
+ */
+App.physicsSteps = 0;
+/**
+ * @property
+ *   How far the current frame is between the last two physics states.
+ *
+ * When App.FIXED_TIMESTEP is enabled, this is a number between 0 and 1
+ * indicating the fraction of a time-step that has not yet been simulated. For
+ * example, 0.25 means the frame should be drawn a quarter of the way from the
+ * previous physics state to the current one. Otherwise it is always 1 (i.e.
+ * the current state should be drawn as-is).
+ *
+ * @member App
+ * @static
+ * @readonly
+ */
+App.physicsAlpha = 1;
 /**
  * @property
  *   Whether an {@link Actor} is being dragged.
@@ -172,6 +221,10 @@ jQuery(document).ready(function() {
         // Prevent window scrolling on iPhone and display freeze on Android
         e.preventDefault();
       }
+      // The recorded mouse position is used during replays.
+      if (App.Input.isReplaying()) {
+        return;
+      }
       Mouse.coords = {
           x: e.pageX - $this.offset().left,
           y: e.pageY - $this.offset().top,
@@ -179,27 +232,16 @@ jQuery(document).ready(function() {
     });
   }, function() {
     jQuery(this).off('.coords');
-    Mouse.coords = {x: -9999, y: -9999};
-  });
-
-  // Track and delegate click events.
-  $canvas.on('mousedown mouseup click touchstart touchend', function(e) {
-    if (isAnimating()) {
-      App.Events.trigger(e.type, e);
+    if (!App.Input.isReplaying()) {
+      Mouse.coords = {x: -9999, y: -9999};
     }
   });
 
-  // Track and delegate dragend events.
-  $canvas.on('mouseup.drag touchend.drag', function(e) {
-    App.Events.trigger('canvasdragstop', e);
-    App.isSomethingBeingDragged = false;
-    /**
-     * @event canvasdragstop
-     *   Fires on the document when the player stops dragging an object,
-     *   i.e. when the player releases the mouse or stops touching the canvas.
-     * @member global
-     */
-    jQuery(document).trigger('canvasdragstop');
+  // Track and delegate click and dragend events. App.Input takes care of
+  // delegating them to objects on the canvas so that they can be recorded
+  // and replayed.
+  $canvas.on('mousedown mouseup click touchstart touchend', function(e) {
+    App.Input._handleCanvasEvent(e);
   });
 
   // Track and delegate drop events.
@@ -256,9 +298,8 @@ App.reset = function(first) {
     jQuery(document).trigger('canvasdragstop');
   }
 
-  // If the world already exists, reset it to the origin.
+  // If the world already exists, reset its resolution.
   if (typeof world !== 'undefined') {
-    context.translate(world.xOffset, world.yOffset);
     world.scaleResolution(1/world.scale);
   }
 
@@ -266,7 +307,6 @@ App.reset = function(first) {
   // Lots of drawing depends on the world size, so set this before anything
   // else and try not to change it.
   world = new World();
-  context.__layer = world;
 
   /**
    * @property {Timer} timer
@@ -291,12 +331,32 @@ App.reset = function(first) {
   // Reset global flags
   App.isGameOver = false;
   App.physicsTimeElapsed = 0;
+  App.physicsSteps = 0;
+  App.physicsAlpha = 1;
   App.Debug.updateTimeElapsed = 0;
   App.Debug.clearTimeElapsed = 0;
   App.Debug.drawTimeElapsed = 0;
 
+  /**
+   * @event resetApp
+   *   Fires on the document when the app is reset, before setup() runs.
+   *
+   * Useful for clearing state that is not tied to the game objects created
+   * in setup().
+   *
+   * @param {Boolean} first
+   *   true if the app is being set up for the first time; false if it has
+   *   been reset and is starting over.
+   *
+   * @member global
+   */
+  jQuery(document).trigger('resetApp', [!!first]);
+
+  // Tear down any scenes left over from before the reset.
+  App.Scenes.clear();
+
   // Run the developer's setup code.
-  var start = setup(!!first);
+  var start = typeof setup === 'function' ? setup(!!first) : undefined;
 
   // Start animating!
   Timer.event('app start');
@@ -483,12 +543,88 @@ if (Sprite) {
   Sprite.preloadImages = Caches.preloadImages;
 }
 
+// Allow saving SpriteMaps, e.g. as the src of a Box.
+if (SpriteMap) {
+  Class.register('SpriteMap', SpriteMap);
+  /**
+   * Get a representation of the SpriteMap that can be converted to JSON.
+   *
+   * This includes the image file path, the animation sequences, the active
+   * sequence, and the current frame. SpriteMaps whose image was not loaded
+   * from a file path can't be saved.
+   *
+   * @member SpriteMap
+   */
+  SpriteMap.prototype.toJSON = function() {
+    var s = this.sprite;
+    return {
+      __class: 'SpriteMap',
+      src: s.sourceFile,
+      maps: this.maps,
+      options: {
+        frameW: s.frameW,
+        frameH: s.frameH,
+        projectedW: s.projectedW,
+        projectedH: s.projectedH,
+        interval: s.interval,
+        useTimer: s.useTimer,
+        advanceFramesManually: s.advanceFramesManually,
+      },
+      activeLoop: this.activeLoop,
+      row: s.row,
+      col: s.col,
+      running: !!s.lastFrameUpdateTime,
+    };
+  };
+  /**
+   * Re-create a SpriteMap from the output of SpriteMap#toJSON().
+   *
+   * This is called automatically by Class.revive().
+   *
+   * @param {Object} data
+   *   The output of SpriteMap#toJSON().
+   *
+   * @member SpriteMap
+   * @static
+   */
+  SpriteMap.fromJSON = function(data) {
+    var spriteMap, options = jQuery.extend({}, data.options);
+    var restore = function(sprite) {
+      if (data.activeLoop) {
+        spriteMap.use(data.activeLoop);
+      }
+      if (data.running) {
+        spriteMap.start();
+      }
+      if (typeof data.row === 'number') {
+        sprite.setFrame(data.row, data.col);
+      }
+    };
+    // If the image isn't cached, the Sprite initializes when it loads.
+    options.postInitCallback = function(sprite) {
+      if (spriteMap) {
+        restore(sprite);
+      }
+    };
+    spriteMap = new SpriteMap(data.src, data.maps, options);
+    if (spriteMap.sprite.image) {
+      restore(spriteMap.sprite);
+    }
+    return spriteMap;
+  };
+}
+
 // EVENTS ---------------------------------------------------------------------
 
 (function() {
 
 function _handlePointerBehavior() {
-  return App.isHovered(this);
+  // Let objects decide for themselves whether the pointer is over them.
+  return typeof this.isHovered === 'function' ? this.isHovered() : App.isHovered(this);
+}
+
+function _handleTargetBehavior(e, target) {
+  return this === target;
 }
 
 var _listeners = {};
@@ -666,25 +802,35 @@ App.Events = {
    *
    * @static
    */
-  trigger: function(eventName) {
-    eventName = Array.prototype.shift.call(arguments);
+  trigger: function() {
+    // eventName isn't a named parameter because assigning to a named
+    // parameter would also overwrite the first remaining argument.
+    var eventName = Array.prototype.shift.call(arguments);
     var e = _listeners[eventName]; // All listeners for this event
     if (e) {
       // Sort listeners by weight (lowest last, then we'll iterate in reverse).
       e.sort(function(a, b) {
         return b.weight - a.weight;
       });
+      // Callbacks can add or remove listeners (for example by destroying the
+      // object they belong to), so work from a copy of the list.
+      var list = e.slice();
       // Execute the callback for each listener for the relevant event.
-      for (var i = e.length-1; i >= 0; i--) {
+      for (var i = list.length-1; i >= 0; i--) {
+        var listener = list[i];
+        // Skip listeners that an earlier callback removed.
+        if (e.indexOf(listener) === -1) {
+          continue;
+        }
         if (!App.Events.Behaviors[eventName] ||
-            App.Events.Behaviors[eventName].apply(e[i].object, arguments)) {
-          e[i].callback.apply(e[i].object, arguments);
+            App.Events.Behaviors[eventName].apply(listener.object, arguments)) {
+          listener.callback.apply(listener.object, arguments);
           // Remove listeners that should only be called once.
-          if (e[i].once) {
-            App.Events.unlisten(e[i].object, eventName + '.' + e[i].namespace);
+          if (listener.once) {
+            App.Events.unlisten(listener.object, eventName + '.' + listener.namespace);
           }
           // Stop processing overlapping objects if propagation is stopped.
-          var event = Array.prototype.shift.call(arguments);
+          var event = arguments[0];
           if (event && event.isPropagationStopped && event.isPropagationStopped()) {
             break;
           }
@@ -771,6 +917,75 @@ App.Events = {
     canvasdrop: function(e, target) {
       return this === target;
     },
+    /**
+     * @event collisionstart
+     *   The collisionstart event is sent to an object when it starts touching
+     *   an object it has been set up to collide with using App.Collisions.
+     * @param {Event} e The event object.
+     * @param {Box} target The object receiving the event. (You can use `this` instead.)
+     * @param {Box} other The object that `target` touched.
+     * @param {Object} contact Details about the contact. See App.Collisions.
+     * @member Box
+     */
+    collisionstart: _handleTargetBehavior,
+    /**
+     * @event collisionstay
+     *   The collisionstay event is sent to an object during every physics
+     *   update after the first in which it touches an object it has been set
+     *   up to collide with using App.Collisions.
+     * @param {Event} e The event object.
+     * @param {Box} target The object receiving the event. (You can use `this` instead.)
+     * @param {Box} other The object that `target` is touching.
+     * @param {Object} contact Details about the contact. See App.Collisions.
+     * @member Box
+     */
+    collisionstay: _handleTargetBehavior,
+    /**
+     * @event collisionend
+     *   The collisionend event is sent to an object when it stops touching an
+     *   object it has been set up to collide with using App.Collisions.
+     * @param {Event} e The event object.
+     * @param {Box} target The object receiving the event. (You can use `this` instead.)
+     * @param {Box} other The object that `target` stopped touching.
+     * @param {Object} contact Details about the last contact between the
+     *   objects. See App.Collisions.
+     * @member Box
+     */
+    collisionend: _handleTargetBehavior,
+    /**
+     * @event pathend
+     *   The pathend event is sent to an {@link Actor} when it reaches the end
+     *   of the path it was following. See Actor#followPath().
+     * @param {Event} e The event object.
+     * @param {Actor} target The Actor that reached the end of its path. (You can use `this` instead.)
+     * @param {Object[]} path The path the Actor followed.
+     * @member Actor
+     */
+    pathend: _handleTargetBehavior,
+    /**
+     * @event tweencomplete
+     *   The tweencomplete event is sent to an object when a {@link Tween}
+     *   that changes its properties finishes.
+     * @param {Event} e The event object.
+     * @param {Object} target The object the Tween changed. (You can use `this` instead.)
+     * @param {Tween} tween The Tween that finished.
+     * @member Box
+     */
+    tweencomplete: _handleTargetBehavior,
+    /**
+     * @event tilechange
+     *   The tilechange event is sent to a {@link TileMap} when one of its
+     *   tiles is set or cleared with TileMap#setCell() or
+     *   TileMap#clearCell().
+     * @param {Event} e The event object.
+     * @param {TileMap} target The TileMap that changed. (You can use `this` instead.)
+     * @param {Number} row The row of the tile that changed.
+     * @param {Number} col The column of the tile that changed.
+     * @param {Object} obj The object now in the tile, or `null` if it was cleared.
+     * @param {Object} previous The object that was in the tile before.
+     * @member TileMap
+     */
+    tilechange: _handleTargetBehavior,
   },
 };
 
@@ -793,6 +1008,10 @@ window.requestAnimFrame = (function() {
 (function() {
   // Indicates whether the canvas is animating or focused.
   var _animate = false, _blurred = false;
+  // Simulated time carried over between frames when using a fixed time-step.
+  var _accumulator = 0;
+  // Functions to run after each physics update. See App.onPhysicsStep().
+  var _physicsStepCallbacks = [];
 
 /**
  * Start animating the canvas.
@@ -805,6 +1024,7 @@ window.requestAnimFrame = (function() {
 window.startAnimating = function() {
   if (!_animate) {
     _animate = true;
+    _accumulator = 0;
     /**
      * @event startAnimating
      *   Fires on the document when the animation loop is about to begin.
@@ -922,22 +1142,34 @@ function animate() {
 
   // update
   Mouse.Scroll._update();
-  while (frameDelta > 0 && !App.isGameOver) {
-    // Break the physics updates down into discrete chunks of no more than
-    // 1 / App.MAX_FPS in order to keep them as small as possible for accuracy.
-    /**
-     * @property physicsDelta
-     *   The amount of simulated time in seconds since the last physics update.
-     *
-     * Use this to smooth animation.
-     *
-     * @member App
-     * @static
-     */
-    App.physicsDelta = Math.min(frameDelta, 1 / App.MAX_FPS);
-    update(App.physicsDelta, App.physicsTimeElapsed);
-    frameDelta -= App.physicsDelta;
-    App.physicsTimeElapsed += App.physicsDelta;
+  if (App.FIXED_TIMESTEP) {
+    // Always simulate exactly 1 / App.MAX_FPS seconds per physics update and
+    // carry any leftover time forward to the next frame so that the same
+    // inputs always produce the same results.
+    var step = 1 / App.MAX_FPS;
+    _accumulator += frameDelta;
+    while (_accumulator >= step && !App.isGameOver) {
+      physicsStep(step);
+      _accumulator -= step;
+    }
+    if (App.isGameOver) {
+      // Nothing is moving anymore, so there is nothing to interpolate.
+      _accumulator = 0;
+      App.physicsAlpha = 1;
+    }
+    else {
+      App.physicsAlpha = _accumulator / step;
+    }
+  }
+  else {
+    while (frameDelta > 0 && !App.isGameOver) {
+      // Break the physics updates down into discrete chunks of no more than
+      // 1 / App.MAX_FPS in order to keep them as small as possible for
+      // accuracy.
+      physicsStep(Math.min(frameDelta, 1 / App.MAX_FPS));
+      frameDelta -= App.physicsDelta;
+    }
+    App.physicsAlpha = 1;
   }
 
   if (App.debugMode) {
@@ -954,7 +1186,7 @@ function animate() {
   }
 
   // draw
-  draw();
+  App.Viewports._draw();
 
   if (App.debugMode) {
     App.Debug.drawTimeElapsed += Timer.getTimeSince('debug timer draw');
@@ -966,6 +1198,66 @@ function animate() {
   }
 }
 
+/**
+ * Run a single physics update.
+ *
+ * @param {Number} delta
+ *   The amount of time to simulate, in seconds.
+ *
+ * @ignore
+ */
+function physicsStep(delta) {
+  /**
+   * @property physicsDelta
+   *   The amount of simulated time in seconds since the last physics update.
+   *
+   * Use this to smooth animation.
+   *
+   * @member App
+   * @static
+   */
+  App.physicsDelta = delta;
+  App.Input._step();
+  App.Scenes._update(delta, App.physicsTimeElapsed);
+  for (var i = 0, l = _physicsStepCallbacks.length; i < l; i++) {
+    _physicsStepCallbacks[i](delta, App.physicsTimeElapsed);
+  }
+  App.physicsTimeElapsed += delta;
+  App.physicsSteps++;
+}
+
+/**
+ * Run a function after every physics update.
+ *
+ * The function runs after the {@link global#update update()} function (or
+ * the update() method of the {@link App.Scenes current scene}). This is
+ * useful for systems that need to process everything once it has moved, like
+ * App.Collisions.
+ *
+ * @param {Function} callback
+ *   The function to run. It receives the same parameters as
+ *   {@link global#update update()}.
+ *
+ * @member App
+ * @static
+ */
+App.onPhysicsStep = function(callback) {
+  _physicsStepCallbacks.push(callback);
+};
+
+/**
+ * Stop running a function after every physics update.
+ *
+ * @param {Function} callback
+ *   A function previously passed to App.onPhysicsStep().
+ *
+ * @member App
+ * @static
+ */
+App.offPhysicsStep = function(callback) {
+  _physicsStepCallbacks.remove(callback);
+};
+
 /**
  * Stops animating when the window (tab) goes out of focus.
  *
@@ -989,6 +1281,261 @@ jQuery(window).on('blur.animFocus', function() {
 
 })();
 
+// SCENES ---------------------------------------------------------------------
+
+/**
+ * @class App.Scenes
+ *   Manages a stack of scenes, like a title screen, a pause menu, or a level.
+ *
+ * A scene is an object with any of the following methods (all optional):
+ *
+ * - `setup(...)`: Runs when the scene is pushed onto the stack. Receives any
+ *   extra arguments passed to App.Scenes.push() or App.Scenes.replace().
+ * - `update(delta, timeElapsed)`: Runs during every physics update while the
+ *   scene is on top of the stack. The parameters are the same as for the
+ *   magic update() function in main.js.
+ * - `draw(alpha)`: Runs every frame while the scene is visible. `alpha` is the
+ *   same as App.physicsAlpha.
+ * - `teardown()`: Runs when the scene is popped or replaced, or when the app
+ *   is {@link App#reset reset}.
+ * - `pause()`: Runs when another scene is pushed on top of this one.
+ * - `resume()`: Runs when the scene on top of this one is popped.
+ *
+ * Only the scene on top of the stack is updated. If that scene has an
+ * `overlay` property set to `true`, the scene below it is drawn first, which
+ * is useful for pause menus and dialogs that should appear over the game.
+ * Overlays can be stacked.
+ *
+ * The magic update(), draw(), and setup() functions in main.js act as an
+ * implicit default scene at the bottom of the stack, so projects that don't
+ * use scenes work the same way they always have. When the app is reset, all
+ * scenes are torn down and setup() runs again, so setup() is a good place to
+ * push your first scene.
+ *
+ * Example:
+ *
+ *     App.Scenes.register('pause', {
+ *       overlay: true,
+ *       update: function() {
+ *         if (App.Input.areKeysDown('esc')) {
+ *           App.Scenes.pop();
+ *         }
+ *       },
+ *       draw: function() {
+ *         context.clear('rgba(0, 0, 0, 0.5)');
+ *       },
+ *     });
+ *     jQuery(document).keyup('p', function() {
+ *       App.Scenes.push('pause');
+ *     });
+ *
+ * @static
+ */
+App.Scenes = (function() {
+  var registry = {}, stack = [];
+  // Wraps the magic global functions so they act like any other scene.
+  var defaultScene = {
+    name: 'default',
+    update: function(delta, timeElapsed) {
+      if (typeof update === 'function') {
+        update(delta, timeElapsed);
+      }
+    },
+    draw: function(alpha) {
+      if (typeof draw === 'function') {
+        draw(alpha);
+      }
+    },
+  };
+  // Invoke a scene's hook if it exists.
+  function invoke(scene, hook, args) {
+    if (scene && typeof scene[hook] == 'function') {
+      return scene[hook].apply(scene, args || []);
+    }
+  }
+  // Look up a scene by name if necessary.
+  function resolve(scene) {
+    if (typeof scene == 'string') {
+      if (!registry[scene]) {
+        throw new Error('Scene "' + scene + '" has not been registered.');
+      }
+      return registry[scene];
+    }
+    return scene;
+  }
+  function notify(newScene, oldScene) {
+    /**
+     * @event scenechange
+     *   Fires on the document when the active scene changes.
+     * @param {Object} newScene The scene that is now on top of the stack.
+     * @param {Object} oldScene The scene that was previously on top.
+     * @member global
+     */
+    jQuery(document).trigger('scenechange', [newScene, oldScene]);
+  }
+  return {
+    /**
+     * Register a scene so it can be referred to by name.
+     *
+     * @param {String} name
+     *   The name of the scene.
+     * @param {Object} scene
+     *   The scene. See {@link App.Scenes} for the hooks it can define.
+     *
+     * @return {Object}
+     *   The registered scene.
+     *
+     * @static
+     */
+    register: function(name, scene) {
+      scene.name = scene.name || name;
+      registry[name] = scene;
+      return scene;
+    },
+    /**
+     * Get a registered scene by name.
+     *
+     * @param {String} name
+     *   The name of the scene.
+     *
+     * @return {Object}
+     *   The registered scene, or undefined if no such scene exists.
+     *
+     * @static
+     */
+    get: function(name) {
+      return registry[name];
+    },
+    /**
+     * Push a scene onto the top of the stack, pausing the active scene.
+     *
+     * @param {Object/String} scene
+     *   The scene to push, or the name of a registered scene.
+     * @param {Arguments} ...
+     *   Additional arguments are passed to the scene's setup() hook.
+     *
+     * @return {Mixed}
+     *   The return value of the scene's setup() hook.
+     *
+     * @static
+     */
+    push: function(scene) {
+      var args = Array.prototype.slice.call(arguments, 1),
+          oldScene = this.current();
+      scene = resolve(scene);
+      invoke(oldScene, 'pause');
+      stack.push(scene);
+      var result = invoke(scene, 'setup', args);
+      notify(scene, oldScene);
+      return result;
+    },
+    /**
+     * Remove the scene on top of the stack and resume the one below it.
+     *
+     * The implicit default scene (the magic functions in main.js) cannot be
+     * popped.
+     *
+     * @return {Object}
+     *   The scene that was removed, or undefined if there were no scenes to
+     *   remove.
+     *
+     * @static
+     */
+    pop: function() {
+      if (!stack.length) {
+        return;
+      }
+      var scene = stack.pop();
+      invoke(scene, 'teardown');
+      invoke(this.current(), 'resume');
+      notify(this.current(), scene);
+      return scene;
+    },
+    /**
+     * Replace the scene on top of the stack with a different scene.
+     *
+     * The scene below the one being replaced is not paused or resumed. If
+     * there are no scenes on the stack, this is the same as
+     * App.Scenes.push().
+     *
+     * @param {Object/String} scene
+     *   The new scene, or the name of a registered scene.
+     * @param {Arguments} ...
+     *   Additional arguments are passed to the new scene's setup() hook.
+     *
+     * @return {Mixed}
+     *   The return value of the new scene's setup() hook.
+     *
+     * @static
+     */
+    replace: function(scene) {
+      if (!stack.length) {
+        return this.push.apply(this, arguments);
+      }
+      var args = Array.prototype.slice.call(arguments, 1),
+          oldScene = stack.pop();
+      scene = resolve(scene);
+      invoke(oldScene, 'teardown');
+      stack.push(scene);
+      var result = invoke(scene, 'setup', args);
+      notify(scene, oldScene);
+      return result;
+    },
+    /**
+     * Tear down every scene on the stack, leaving only the default scene.
+     *
+     * This is called automatically when the app is {@link App#reset reset}.
+     *
+     * @static
+     */
+    clear: function() {
+      var oldScene = this.current();
+      while (stack.length) {
+        invoke(stack.pop(), 'teardown');
+      }
+      if (oldScene !== defaultScene) {
+        notify(defaultScene, oldScene);
+      }
+    },
+    /**
+     * Get the scene on top of the stack.
+     *
+     * @return {Object}
+     *   The active scene. If no scenes have been pushed, this is the implicit
+     *   default scene that wraps the magic functions in main.js.
+     *
+     * @static
+     */
+    current: function() {
+      return stack.length ? stack[stack.length-1] : defaultScene;
+    },
+    /**
+     * Get the number of scenes that have been pushed onto the stack.
+     *
+     * The implicit default scene is not counted.
+     *
+     * @static
+     */
+    depth: function() {
+      return stack.length;
+    },
+    // Update the active scene. Called from animate().
+    _update: function(delta, timeElapsed) {
+      invoke(this.current(), 'update', [delta, timeElapsed]);
+    },
+    // Draw every visible scene, bottom to top. Called from animate().
+    _draw: function() {
+      var scenes = [defaultScene].concat(stack), i = scenes.length-1;
+      while (i > 0 && scenes[i].overlay) {
+        i--;
+      }
+      for (var l = scenes.length; i < l; i++) {
+        invoke(scenes[i], 'draw', [App.physicsAlpha]);
+      }
+    },
+  };
+})();
+
 // RENDERING ------------------------------------------------------------------
 
 /**
@@ -1005,13 +1552,13 @@ jQuery(window).on('blur.animFocus', function() {
 /**
  * Clear the canvas.
  *
- * If the rendering context is the {@link global#context global context} for
- * the main canvas or if it belongs to a {@link Layer}, the visible area of the
- * relevant canvas will be cleared. Otherwise, the context doesn't know its
- * transformation matrix, so we have to temporarily reset it to clear the
- * canvas. This has the effect of clearing the visible area of the canvas, but
- * if the fillStyle is being used to draw something, it will not scroll with
- * the rest of the canvas.
+ * If the rendering context belongs to a {@link Layer}, the visible area of the
+ * Layer will be cleared. Otherwise (including for the
+ * {@link global#context global context}, which may be zoomed or rotated by the
+ * {@link World#camera camera}), we temporarily reset the transformation matrix
+ * to clear the canvas. This has the effect of clearing the visible area of the
+ * canvas, but if the fillStyle is being used to draw something, it will not
+ * scroll with the rest of the canvas.
  *
  * @param {Mixed} [fillStyle]
  *   If this parameter is passed, the visible area of the canvas will be filled
@@ -1178,7 +1725,7 @@ CanvasRenderingContext2D.prototype.drawImage = function(src, sx, sy, sw, sh, x,
     t.save();
     t.globalAlpha = src.opacity;
     if (src.relative == 'canvas') {
-      t.translate(world.xOffset, world.yOffset);
+      world.activeCamera.undoTransform(t);
     }
     var f = finished;
     finished = undefined; // Don't call finished() until after translating back
@@ -1345,7 +1892,7 @@ CanvasRenderingContext2D.prototype.drawPattern = function(src, x, y, w, h, rpt,
     this.save();
     this.globalAlpha = src.opacity;
     if (src.relative == 'canvas') {
-      this.translate(world.xOffset, world.yOffset);
+      world.activeCamera.undoTransform(this);
     }
     this.fillStyle = this.createPattern(src.canvas, rpt);
     this.fillRect(x, y, w, h);
@@ -1642,11 +2189,9 @@ App.preventDefaultKeyEvents = function(combinations) {
  * @static
  */
 App.isHovered = function(obj) {
-  var offsets = world.getOffsets(),
-      xPos = obj.x - offsets.x,
-      yPos = obj.y - offsets.y;
-  return Mouse.coords.x > xPos && Mouse.coords.x < xPos + obj.width &&
-      Mouse.coords.y > yPos && Mouse.coords.y < yPos + obj.height;
+  var mouse = App.Viewports.screenToWorld(Mouse.coords.x, Mouse.coords.y);
+  return mouse.x > obj.x && mouse.x < obj.x + obj.width &&
+      mouse.y > obj.y && mouse.y < obj.y + obj.height;
 };
 
 /**
@@ -1658,27 +2203,27 @@ App.isHovered = function(obj) {
 Mouse.Scroll = (function() {
   var THRESHOLD = 0.2, MOVEAMOUNT = 350;
   var translating = false, scrolled = {x: 0, y: 0}, enabled = false;
+  function scroll(x, y) {
+    var camera = world.camera, oldX = camera.x, oldY = camera.y;
+    camera.move(x / camera.zoom, y / camera.zoom);
+    scrolled.x += camera.x - oldX;
+    scrolled.y += camera.y - oldY;
+  }
   function translate(doOffset) {
-    var t = false, ma;
+    var t = false, ma = Math.round(MOVEAMOUNT * App.physicsDelta);
     if (doOffset === undefined) doOffset = true;
 
     // Left
     if (Mouse.coords.x < canvas.width * THRESHOLD) {
       if (doOffset) {
-        ma = Math.round(Math.min(world.xOffset, MOVEAMOUNT * App.physicsDelta));
-        world.xOffset -= ma;
-        scrolled.x -= ma;
-        context.translate(ma, 0);
+        scroll(-ma, 0);
       }
       t = true;
     }
     // Right
     else if (Mouse.coords.x > canvas.width * (1-THRESHOLD)) {
       if (doOffset) {
-        ma = Math.round(Math.min(world.width - canvas.width - world.xOffset, MOVEAMOUNT * App.physicsDelta));
-        world.xOffset += ma;
-        scrolled.x += ma;
-        context.translate(-ma, 0);
+        scroll(ma, 0);
       }
       t = true;
     }
@@ -1686,20 +2231,14 @@ Mouse.Scroll = (function() {
     // Up
     if (Mouse.coords.y < canvas.height * THRESHOLD) {
       if (doOffset) {
-        ma = Math.round(Math.min(world.yOffset, MOVEAMOUNT * App.physicsDelta));
-        world.yOffset -= ma;
-        scrolled.y -= ma;
-        context.translate(0, ma);
+        scroll(0, -ma);
       }
       t = true;
     }
     // Down
     else if (Mouse.coords.y > canvas.height * (1-THRESHOLD)) {
       if (doOffset) {
-        ma = Math.round(Math.min(world.height - canvas.height - world.yOffset, MOVEAMOUNT * App.physicsDelta));
-        world.yOffset += ma;
-        scrolled.y += ma;
-        context.translate(0, -ma);
+        scroll(0, ma);
       }
       t = true;
     }
@@ -1839,6 +2378,407 @@ Mouse.Scroll = (function() {
   };
 })();
 
+/**
+ * @class App.Input
+ *   Provides the input that drives each physics update, and records and
+ *   replays it.
+ *
+ * Normally input comes straight from the user: App.Input.getKeysDown()
+ * returns the same keys as `jQuery.hotkeys.keysDown`, {@link Mouse#coords}
+ * tracks the real mouse, and mouse and touch events on the canvas are
+ * delegated to {@link App.Events} as they happen.
+ *
+ * While recording, a snapshot of the keys being held down, the mouse
+ * position, the canvas mouse/touch events that occurred, and the keys that
+ * were released is saved before every physics update. While replaying, real
+ * input is ignored and each snapshot is fed back in its place before the
+ * corresponding update, so the game plays out the same way it did when it
+ * was recorded. This is useful for reproducing bugs and building demos.
+ *
+ * Replays are only exact if the game behaves the same way given the same
+ * input. The state of the default random number generator,
+ * {@link App.Utils#rng App.Utils.rng}, is saved with each recording and
+ * restored during replays, so use it (or the App.Utils random helpers)
+ * instead of `Math.random()` for anything that affects gameplay. Also,
+ * {@link App#FIXED_TIMESTEP} is enabled automatically while replaying if it
+ * was enabled while recording; recording with it enabled is strongly
+ * recommended, since otherwise each update simulates a different amount of
+ * time depending on how fast frames are drawn.
+ *
+ * To support replays, read keyboard input from App.Input.getKeysDown() or
+ * App.Input.areKeysDown() rather than directly from `jQuery.hotkeys`, and
+ * listen for the {@link global#event-inputrelease inputrelease event} rather
+ * than `keyup` events when you need to know that a key was released.
+ * {@link Player}s do this automatically.
+ *
+ * Example:
+ *
+ *     // Start recording. This resets the app so the replay starts from the
+ *     // same place.
+ *     App.Input.record();
+ *     // ...later...
+ *     var recording = App.Input.stopRecording();
+ *     App.Input.save('bug-1234', recording);
+ *     // ...later still...
+ *     App.Input.replay(App.Input.load('bug-1234'));
+ *
+ * @static
+ */
+App.Input = (function() {
+  // The format version of recordings.
+  var VERSION = 1;
+  // 'live', 'recording', or 'replaying'
+  var mode = 'live';
+  // The recording being created or replayed.
+  var recording = null, frameIndex = 0;
+  // Input that has occurred since the last physics update while recording.
+  var pendingEvents = [], pendingReleases = [];
+  // The keys that are considered to be held down during a replay.
+  var replayKeys = [];
+  // The settings that a replay overrides, restored when it ends.
+  var liveSettings = null;
+
+  // Build a snapshot of the current mouse position.
+  function mouseSnapshot() {
+    return {x: Mouse.coords.x, y: Mouse.coords.y};
+  }
+
+  // Delegate a canvas mouse or touch event to the objects on the canvas.
+  function dispatch(e) {
+    if (isAnimating()) {
+      App.Events.trigger(e.type, e);
+    }
+    if (e.type == 'mouseup' || e.type == 'touchend') {
+      App.Events.trigger('canvasdragstop', e);
+      App.isSomethingBeingDragged = false;
+      /**
+       * @event canvasdragstop
+       *   Fires on the document when the player stops dragging an object,
+       *   i.e. when the player releases the mouse or stops touching the
+       *   canvas.
+       * @member global
+       */
+      jQuery(document).trigger('canvasdragstop');
+    }
+  }
+
+  // Notify listeners that keys were released.
+  function release(keys) {
+    /**
+     * @event inputrelease
+     *   Fires on the document when keys are released.
+     *
+     * While a {@link App.Input#replay replay} is running, this fires for the
+     * recorded key releases instead of for real ones.
+     *
+     * @param {String[]} keys
+     *   The keys that were released. See {@link jQuery.hotkeys} for key names.
+     *
+     * @member global
+     */
+    jQuery(document).trigger('inputrelease', [keys]);
+  }
+
+  // Notify listeners that a replay has finished and return to live input.
+  function endReplay() {
+    var r = recording;
+    mode = 'live';
+    recording = null;
+    replayKeys = [];
+    App.MAX_FPS = liveSettings.maxFps;
+    App.FIXED_TIMESTEP = liveSettings.fixedTimestep;
+    App.Utils.rng = liveSettings.rng;
+    liveSettings = null;
+    /**
+     * @event replayend
+     *   Fires on the document when a {@link App.Input#replay replay} ends.
+     *
+     * @param {Object} recording
+     *   The recording that was being replayed.
+     * @param {Boolean} finished
+     *   Whether the replay ran to the end of the recording (as opposed to
+     *   being stopped early with App.Input.stopReplaying()).
+     *
+     * @member global
+     */
+    jQuery(document).trigger('replayend', [r, frameIndex >= r.frames.length]);
+  }
+
+  // Record real key releases, or ignore them during a replay.
+  jQuery(document).on('keyup.input', function() {
+    if (mode == 'replaying') {
+      return;
+    }
+    // lastKeyPressed() actually contains all keys that were pressed at the
+    // last key event, whereas event.keyPressed just holds the single key that
+    // triggered the event.
+    var keys = [jQuery.hotkeys.lastKeyPressed()];
+    if (mode == 'recording') {
+      pendingReleases = pendingReleases.concat(keys);
+    }
+    release(keys);
+  });
+
+  return {
+    /**
+     * Get the keys that are currently being held down.
+     *
+     * During a replay, these are the recorded keys rather than the keys the
+     * user is actually pressing.
+     *
+     * @return {String[]}
+     *   An array of key names. See {@link jQuery.hotkeys} for key names.
+     *
+     * @static
+     */
+    getKeysDown: function() {
+      return mode == 'replaying' ? replayKeys : jQuery.hotkeys.keysDown;
+    },
+    /**
+     * Determine whether the given keys are currently being held down.
+     *
+     * This works the same way as `jQuery.hotkeys.areKeysDown()` except that
+     * it respects replays.
+     *
+     * @param {String/String[]} keyArray
+     *   The keys to check. See `jQuery.hotkeys.areKeysDown()` for details.
+     *
+     * @return {Boolean}
+     *   Whether the keys are being held down.
+     *
+     * @static
+     */
+    areKeysDown: function(keyArray) {
+      // Borrow the hotkeys implementation, which calls itself for strings.
+      var hotkeys = jQuery.extend({}, jQuery.hotkeys, {keysDown: this.getKeysDown()});
+      return hotkeys.areKeysDown(keyArray);
+    },
+    /**
+     * Start recording input.
+     *
+     * This {@link App#reset resets} the app so that the recording can be
+     * replayed from the same starting state. Any replay or recording already
+     * in progress is stopped.
+     *
+     * @static
+     */
+    record: function() {
+      if (mode == 'replaying') {
+        endReplay();
+      }
+      mode = 'recording';
+      recording = {
+        version: VERSION,
+        maxFps: App.MAX_FPS,
+        fixedTimestep: App.FIXED_TIMESTEP,
+        rng: App.Utils.rng.toJSON(),
+        frames: [],
+      };
+      frameIndex = 0;
+      pendingEvents = [];
+      pendingReleases = [];
+      App.reset();
+    },
+    /**
+     * Stop recording input.
+     *
+     * @return {Object}
+     *   The recording, which can be passed to App.Input.replay(). The
+     *   recording is a plain object, so it can be converted to JSON and back.
+     *   Returns null if nothing was being recorded.
+     *
+     * @static
+     */
+    stopRecording: function() {
+      if (mode != 'recording') {
+        return null;
+      }
+      var r = recording;
+      mode = 'live';
+      recording = null;
+      return r;
+    },
+    /**
+     * Replay a recording.
+     *
+     * This {@link App#reset resets} the app and then feeds the recorded input
+     * into each physics update instead of the user's input. When the
+     * recording runs out, input goes back to normal and the
+     * {@link global#event-replayend replayend event} fires. Any replay or
+     * recording already in progress is stopped.
+     *
+     * The recording's App.MAX_FPS, App.FIXED_TIMESTEP, and
+     * {@link App.Utils#rng App.Utils.rng} are used while replaying, and the
+     * previous values are restored when the replay ends or is stopped.
+     *
+     * @param {Object} r
+     *   A recording returned from App.Input.stopRecording().
+     *
+     * @static
+     */
+    replay: function(r) {
+      if (mode == 'replaying') {
+        endReplay();
+      }
+      mode = 'replaying';
+      recording = r;
+      frameIndex = 0;
+      replayKeys = [];
+      liveSettings = {
+        maxFps: App.MAX_FPS,
+        fixedTimestep: App.FIXED_TIMESTEP,
+        rng: App.Utils.rng,
+      };
+      App.MAX_FPS = r.maxFps;
+      App.FIXED_TIMESTEP = r.fixedTimestep;
+      if (r.rng) {
+        App.Utils.rng = App.Utils.PRNG.fromJSON(r.rng);
+      }
+      App.reset();
+    },
+    /**
+     * Stop replaying a recording and go back to using the user's input.
+     *
+     * @static
+     */
+    stopReplaying: function() {
+      if (mode == 'replaying') {
+        endReplay();
+      }
+    },
+    /**
+     * Determine whether input is currently being recorded.
+     *
+     * @static
+     */
+    isRecording: function() {
+      return mode == 'recording';
+    },
+    /**
+     * Determine whether a recording is currently being replayed.
+     *
+     * @static
+     */
+    isReplaying: function() {
+      return mode == 'replaying';
+    },
+    /**
+     * Save a recording using {@link App.Storage}.
+     *
+     * @param {String} key
+     *   The name under which to save the recording.
+     * @param {Object} r
+     *   The recording to save.
+     *
+     * @static
+     */
+    save: function(key, r) {
+      App.Storage.set(key, r);
+    },
+    /**
+     * Load a recording saved with App.Input.save().
+     *
+     * @param {String} key
+     *   The name under which the recording was saved.
+     *
+     * @return {Object}
+     *   The recording, or null if there is no recording saved with that name.
+     *
+     * @static
+     */
+    load: function(key) {
+      return App.Storage.get(key, null);
+    },
+    /**
+     * Prompt the user to download a recording as a JSON file.
+     *
+     * @param {Object} r
+     *   The recording to download.
+     * @param {String} [filename="recording.json"]
+     *   The name of the file to download.
+     *
+     * @static
+     */
+    download: function(r, filename) {
+      var url = URL.createObjectURL(new Blob([JSON.stringify(r)], {type: 'application/json'})),
+          a = document.createElement('a');
+      a.href = url;
+      a.download = filename || 'recording.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(function() {
+        URL.revokeObjectURL(url);
+      }, 0);
+    },
+    /**
+     * Handle a mouse or touch event on the canvas.
+     *
+     * Real canvas events are passed through here automatically; there is
+     * normally no reason to call this directly.
+     *
+     * @param {Event} e
+     *   The event object.
+     *
+     * @static
+     * @ignore
+     */
+    _handleCanvasEvent: function(e) {
+      if (mode == 'replaying') {
+        return;
+      }
+      if (mode == 'recording') {
+        pendingEvents.push({
+          type: e.type,
+          which: e.which,
+          mouse: mouseSnapshot(),
+        });
+      }
+      dispatch(e);
+    },
+    /**
+     * Prepare input for the next physics update.
+     *
+     * This is called automatically before each physics update; there is no
+     * reason to call it directly.
+     *
+     * @static
+     * @ignore
+     */
+    _step: function() {
+      if (mode == 'recording') {
+        recording.frames.push({
+          keys: jQuery.hotkeys.keysDown.slice(),
+          mouse: mouseSnapshot(),
+          events: pendingEvents,
+          released: pendingReleases,
+        });
+        pendingEvents = [];
+        pendingReleases = [];
+      }
+      else if (mode == 'replaying') {
+        if (frameIndex >= recording.frames.length) {
+          endReplay();
+          return;
+        }
+        var frame = recording.frames[frameIndex++], events = frame.events;
+        // Replay input in the same order it happened originally: events and
+        // key releases occurred after the last update and before the
+        // snapshot of the keys and mouse position for this update.
+        for (var i = 0, l = events.length; i < l; i++) {
+          Mouse.coords = {x: events[i].mouse.x, y: events[i].mouse.y};
+          dispatch(jQuery.Event(events[i].type, {which: events[i].which}));
+        }
+        if (frame.released.length) {
+          release(frame.released);
+        }
+        replayKeys = frame.keys;
+        Mouse.coords = {x: frame.mouse.x, y: frame.mouse.y};
+      }
+    },
+  };
+})();
+
 // TIMER ----------------------------------------------------------------------
 
 // performance.now() shim
@@ -2021,16 +2961,19 @@ App.Utils.percentToPixels = function(percent, relativeToCanvas) {
  *
  * @param {Number} lo The first number.
  * @param {Number} hi The second number.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. This can be an App.Utils.PRNG or a
+ *   function that returns a number in [0, 1), like `Math.random`.
  * @return {Number} A random number between lo and hi.
  * @static
  */
-App.Utils.getRandBetween = function(lo, hi) {
+App.Utils.getRandBetween = function(lo, hi, gen) {
   if (lo > hi) {
     var t = lo;
     lo = hi;
     hi = t;
   }
-  return Math.random() * (hi - lo) + lo;
+  return App.Utils.random(gen) * (hi - lo) + lo;
 };
 
 /**
@@ -2044,10 +2987,12 @@ App.Utils.getRandBetween = function(lo, hi) {
  *
  * @param {Number} lo The first number.
  * @param {Number} hi The second number.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
  * @return {Number} A random integer between lo and hi.
  * @static
  */
-App.Utils.getRandIntBetween = function(lo, hi) {
+App.Utils.getRandIntBetween = function(lo, hi, gen) {
   if (lo > hi) {
     var t = lo;
     lo = hi;
@@ -2055,7 +3000,7 @@ App.Utils.getRandIntBetween = function(lo, hi) {
   }
   lo = Math.ceil(lo);
   hi = Math.floor(hi);
-  return Math.floor(Math.random()*(hi-lo+1)+lo);
+  return Math.floor(App.Utils.random(gen)*(hi-lo+1)+lo);
 };
 
 /**
@@ -2100,32 +3045,370 @@ App.Utils.almostEqual = function(a, b, e) {
  *
  * @param {Number} [n=32]
  *   The number of characters in the generated string.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
  *
  * @return {String}
  *   A random string n characters long.
  *
  * @static
  */
-App.Utils.randomString = function(n) {
+App.Utils.randomString = function(n, gen) {
   var c = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_',
       s = '';
   n = n || 32;
   for (var i = 0; i < n; i++) {
-    s += c.charAt(Math.floor(Math.random() * c.length));
+    s += c.charAt(Math.floor(App.Utils.random(gen) * c.length));
   }
   return s;
 };
 
+/**
+ * Choose a random element, where some elements are more likely than others.
+ *
+ * Example:
+ *
+ *     // "grass" is three times as likely as "rock."
+ *     App.Utils.weightedChoice(['grass', 'rock'], [3, 1]);
+ *     // The same thing.
+ *     App.Utils.weightedChoice({grass: 3, rock: 1});
+ *     // With a seeded generator and no weights, each element is equally likely.
+ *     App.Utils.weightedChoice(['grass', 'rock'], new App.Utils.PRNG(42));
+ *
+ * @param {Array/Object} items
+ *   The elements to choose from, or an object whose keys are the elements to
+ *   choose from and whose values are the corresponding weights.
+ * @param {Number[]} [weights]
+ *   The relative likelihood of choosing each element in `items`. If `items` is
+ *   an Array and `weights` is not specified, each element is equally likely.
+ *   Ignored if `items` is an Object. Can be left out entirely, in which case
+ *   `gen` can be passed in its place.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
+ *
+ * @return {Mixed}
+ *   The chosen element, or undefined if there was nothing to choose from.
+ *
+ * @static
+ */
+App.Utils.weightedChoice = function(items, weights, gen) {
+  var i, l, total = 0;
+  // Allow passing the generator in place of the weights.
+  if (weights && (typeof weights == 'function' || typeof weights.random == 'function')) {
+    gen = weights;
+    weights = undefined;
+  }
+  if (!(items instanceof Array)) {
+    weights = [];
+    var keys = [];
+    for (i in items) {
+      if (items.hasOwnProperty(i)) {
+        keys.push(i);
+        weights.push(items[i]);
+      }
+    }
+    items = keys;
+  }
+  else if (!(weights instanceof Array)) {
+    weights = [];
+    for (i = 0, l = items.length; i < l; i++) {
+      weights.push(1);
+    }
+  }
+  for (i = 0, l = items.length; i < l; i++) {
+    total += weights[i];
+  }
+  var r = App.Utils.random(gen) * total;
+  for (i = 0, l = items.length; i < l; i++) {
+    r -= weights[i];
+    if (r < 0) {
+      return items[i];
+    }
+  }
+  // Floating point error can leave a tiny remainder; use the last element
+  // that has a chance of being chosen.
+  for (i = items.length-1; i >= 0; i--) {
+    if (weights[i] > 0) {
+      return items[i];
+    }
+  }
+};
+
+/**
+ * Randomly reorder the elements of an Array in place.
+ *
+ * @param {Array} arr
+ *   The Array to shuffle.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
+ *
+ * @return {Array}
+ *   The shuffled Array (the same object that was passed in).
+ *
+ * @static
+ */
+App.Utils.shuffle = function(arr, gen) {
+  // Fisher-Yates shuffle
+  for (var i = arr.length-1; i > 0; i--) {
+    var j = Math.floor(App.Utils.random(gen) * (i+1)), t = arr[i];
+    arr[i] = arr[j];
+    arr[j] = t;
+  }
+  return arr;
+};
+
+/**
+ * Get a random point inside a rectangle.
+ *
+ * @param {Box} box
+ *   The rectangle inside which to choose a point. This can be any object with
+ *   `x`, `y`, `width`, and `height` properties, like a {@link Box} or the
+ *   {@link World} (whose `x` and `y` are assumed to be zero).
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
+ *
+ * @return {Object}
+ *   An object with `x` and `y` properties.
+ *
+ * @static
+ */
+App.Utils.randomPointInBox = function(box, gen) {
+  var x = box.x || 0, y = box.y || 0;
+  return {
+    x: x + App.Utils.random(gen) * box.width,
+    y: y + App.Utils.random(gen) * box.height,
+  };
+};
+
+/**
+ * Get a random number from a normal (Gaussian) distribution.
+ *
+ * This is useful for things that should usually be close to an average value
+ * but occasionally vary a lot, like the spread of bullets or the size of
+ * clouds.
+ *
+ * @param {Number} [mean=0]
+ *   The mean (average) of the distribution.
+ * @param {Number} [stdDev=1]
+ *   The standard deviation of the distribution. About 68% of results will be
+ *   within one standard deviation of the mean and about 95% will be within
+ *   two.
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. See App.Utils.getRandBetween().
+ *
+ * @return {Number}
+ *   A normally distributed random number.
+ *
+ * @static
+ */
+App.Utils.gaussian = function(mean, stdDev, gen) {
+  mean = mean || 0;
+  stdDev = typeof stdDev === 'undefined' ? 1 : stdDev;
+  // Box-Muller transform. 1 - random() is in (0, 1] so the log is finite.
+  var u = 1 - App.Utils.random(gen), v = App.Utils.random(gen);
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Get a random number from a generator.
+ *
+ * @param {App.Utils.PRNG/Function} [gen=App.Utils.rng]
+ *   The random number generator to use. This can be an App.Utils.PRNG or a
+ *   function that returns a number in [0, 1), like `Math.random`.
+ *
+ * @return {Number}
+ *   A random number that is at least 0 and less than 1.
+ *
+ * @static
+ */
+App.Utils.random = function(gen) {
+  gen = gen || App.Utils.rng;
+  return typeof gen == 'function' ? gen() : gen.random();
+};
+
+(function() {
+
+// Multiply two 32-bit integers the way C would.
+var imul = Math.imul || function(a, b) {
+  var ah = (a >>> 16) & 0xffff, al = a & 0xffff,
+      bh = (b >>> 16) & 0xffff, bl = b & 0xffff;
+  return ((al * bl) + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+};
+
+/**
+ * @class App.Utils.PRNG
+ *   A seedable pseudo-random number generator.
+ *
+ * `Math.random()` can't be seeded, so anything that uses it can't be
+ * reproduced. A PRNG always generates the same sequence of numbers from the
+ * same seed, which makes it possible to generate the same level from a seed or
+ * to make enemies behave the same way in a {@link App.Input replay}. You can
+ * create as many independent PRNGs as you want, e.g. one for level generation
+ * and one for gameplay, so that using one doesn't affect the other.
+ *
+ * All of the random helpers in App.Utils accept a PRNG as their last
+ * parameter and use App.Utils.rng by default.
+ *
+ * This uses the Mulberry32 algorithm, which is fast and statistically good
+ * enough for games but is not suitable for cryptography.
+ *
+ * Example:
+ *
+ *     var levelRNG = new App.Utils.PRNG('level 1');
+ *     var x = App.Utils.getRandIntBetween(0, 10, levelRNG); // always the same
+ *
+ * @constructor
+ *   Create a new PRNG.
+ *
+ * @param {Number/String} [seed]
+ *   The seed from which to generate numbers. Strings are hashed into a number.
+ *   If not specified, a random seed is used.
+ *
+ * @alternateClassName PRNG
+ */
+App.Utils.PRNG = function(seed) {
+  this.seed(seed);
+};
+App.Utils.PRNG.prototype = {
+  /**
+   * Start generating a new sequence of numbers from a seed.
+   *
+   * @param {Number/String} [seed]
+   *   The seed from which to generate numbers. Strings are hashed into a
+   *   number. If not specified, a random seed is used.
+   *
+   * @chainable
+   */
+  seed: function(seed) {
+    if (typeof seed === 'undefined') {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+    else if (typeof seed == 'string') {
+      // FNV-1a hash
+      var h = 2166136261;
+      for (var i = 0, l = seed.length; i < l; i++) {
+        h = imul(h ^ seed.charCodeAt(i), 16777619);
+      }
+      seed = h;
+    }
+    /**
+     * @property {Number} initialSeed
+     *   The numeric seed from which this PRNG started generating numbers.
+     * @readonly
+     */
+    this.initialSeed = seed >>> 0;
+    this.state = this.initialSeed;
+    return this;
+  },
+  /**
+   * Get a pseudo-random number.
+   *
+   * This can be used anywhere you would otherwise use `Math.random()`.
+   *
+   * @return {Number}
+   *   A pseudo-random number that is at least 0 and less than 1.
+   */
+  random: function() {
+    // Mulberry32
+    var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = imul(t ^ (t >>> 15), t | 1);
+    t ^= t + imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  },
+  /**
+   * Get the internal state of the generator.
+   *
+   * Passing the returned value to PRNG#setState() later will cause the PRNG
+   * to continue generating the same sequence of numbers from this point.
+   *
+   * @return {Number}
+   *   The generator's state.
+   */
+  getState: function() {
+    return this.state;
+  },
+  /**
+   * Restore a state returned from PRNG#getState().
+   *
+   * @param {Number} state
+   *   The state to restore.
+   *
+   * @chainable
+   */
+  setState: function(state) {
+    this.state = state >>> 0;
+    return this;
+  },
+  /**
+   * Create an independent copy of the generator in its current state.
+   *
+   * @return {App.Utils.PRNG}
+   *   A PRNG that will generate the same numbers as this one from now on.
+   */
+  clone: function() {
+    return new App.Utils.PRNG(this.initialSeed).setState(this.state);
+  },
+  /**
+   * Get a representation of the generator that can be converted to JSON.
+   *
+   * `JSON.stringify()` uses this automatically. Use App.Utils.PRNG.fromJSON()
+   * to turn the result back into a PRNG.
+   *
+   * @return {Object}
+   *   An object with `seed` and `state` properties.
+   */
+  toJSON: function() {
+    return {seed: this.initialSeed, state: this.state};
+  },
+};
+
+/**
+ * Re-create a PRNG from the output of PRNG#toJSON().
+ *
+ * @param {Object/String} data
+ *   The output of PRNG#toJSON() or its JSON string representation.
+ *
+ * @return {App.Utils.PRNG}
+ *   A PRNG that will continue generating numbers where the serialized one
+ *   left off.
+ *
+ * @static
+ */
+App.Utils.PRNG.fromJSON = function(data) {
+  if (typeof data == 'string') {
+    data = JSON.parse(data);
+  }
+  return new App.Utils.PRNG(data.seed).setState(data.state);
+};
+
+})();
+
+/**
+ * @property {App.Utils.PRNG} rng
+ *   The default pseudo-random number generator.
+ *
+ * All of the random helpers in App.Utils use this generator unless a
+ * different one is specified. It is seeded randomly when the page loads; call
+ * `App.Utils.rng.seed()` with a specific seed to make the results
+ * reproducible. Its state is saved with {@link App.Input input recordings} so
+ * that replays see the same random numbers.
+ *
+ * @member App.Utils
+ * @static
+ */
+App.Utils.rng = new App.Utils.PRNG();
+
 /**
  * Position a DOM element at a specific location over the canvas.
  *
  * Useful for placing forms, text, menus, and other UI elements that are more
  * easily handled in HTML.
  *
- * To place the DOM element at a specific location in the world, first subtract
- * the {@link World#getOffsets world offsets} from the `x` and `y` positions.
- * For example, to place an item at the player's x-position, you would use
- * `player.x-world.getOffsets().x` to get the canvas position.
+ * To place the DOM element at a specific location in the world, first convert
+ * the location to a position on the canvas with
+ * {@link Camera#worldToScreen world.camera.worldToScreen()}. For example, to
+ * place an item at the player's position, you would use
+ * `world.camera.worldToScreen(player.x, player.y)` to get the canvas position.
  *
  * @param {HTMLElement} elem
  *   A DOM element or jQuery representation of a DOM element to position over
@@ -2175,8 +3458,9 @@ App.gameOver = function() {
     context.shadowColor = 'black';
     context.shadowBlur = 8;
     context.lineWidth = 5;
-    var x = Math.round(world.xOffset+canvas.width/2);
-    var y = Math.round(world.yOffset+canvas.height/2);
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    var x = Math.round(canvas.width/2);
+    var y = Math.round(canvas.height/2);
     context.strokeText("GAME OVER", x, y);
     context.fillText("GAME OVER", x, y);
     context.restore();
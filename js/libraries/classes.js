@@ -7,6 +7,8 @@
 // Inspired by base2 and Prototype
 (function() {
   var initializing = false, fnTest = /xyz/.test(function(){xyz;}) ? /\b_super\b/ : /.*/;
+  // Maps class names to constructors. See Class.register().
+  var registry = {};
 
   /**
    * @class Class
@@ -38,13 +40,29 @@
    *      var myChild = new MyChildClass();
    *      alert(myChild instanceof MyChildClass && myChild instanceof myClass); // true
    *      myChild.myMethod(); // hi there
+   *
+   * Classes can be given a name so that their instances can be serialized to
+   * JSON and then turned back into instances of the same class with
+   * Class.revive():
+   *
+   *      var MyClass = Class.extend({
+   *        // ...
+   *      }, 'MyClass');
    */
   this.Class = function() {};
  
   /**
    * Create a new Class that inherits from this class.
+   *
+   * @param {Object} prop
+   *   The properties and methods of the new class.
+   * @param {String} [name]
+   *   A unique name for the new class. If specified, the class is
+   *   {@link Class#register registered} under this name.
+   *
+   * @static
    */
-  Class.extend = function(prop) {
+  Class.extend = function(prop, name) {
     var _super = this.prototype;
    
     // Instantiate a base class (but only create the instance,
@@ -92,7 +110,113 @@
 
     // And make this class extendable
     Class.extend = arguments.callee;
+
+    if (name) {
+      register(name, Class);
+    }
    
     return Class;
   };
+
+  /**
+   * Register a class so that its instances can be revived from JSON.
+   *
+   * Classes created with Class.extend() can be registered by passing a name
+   * as the second parameter. This is also useful for classes that don't use
+   * Class.extend().
+   *
+   * The name is stored in the `__className` property of the class prototype.
+   * Serialized instances keep their class name in their `__class` property.
+   * Subclasses that are not registered themselves inherit the name of their
+   * closest registered ancestor, so they will be revived as instances of that
+   * ancestor.
+   *
+   * @param {String} name
+   *   A unique name for the class.
+   * @param {Function} ctor
+   *   The class constructor.
+   *
+   * @static
+   */
+  function register(name, ctor) {
+    registry[name] = ctor;
+    ctor.prototype.__className = name;
+  }
+  Class.register = register;
+
+  /**
+   * Get a registered class.
+   *
+   * @param {String} name
+   *   The name with which the class was {@link Class#register registered}.
+   *
+   * @return {Function}
+   *   The class constructor, or undefined if no class has been registered
+   *   with the given name.
+   *
+   * @static
+   */
+  Class.lookup = function(name) {
+    return registry[name];
+  };
+
+  /**
+   * Turn serialized data back into instances of registered classes.
+   *
+   * Any object in `data` (including `data` itself) with a `__class` property
+   * is turned into an instance of the corresponding
+   * {@link Class#register registered} class. Nested objects are revived
+   * first. Objects are revived in one of these ways, in order of preference:
+   *
+   * - If the class constructor has a static `fromJSON()` method, it is called
+   *   with the data and its return value is used.
+   * - Otherwise, an instance is created without calling its constructor and
+   *   its `fromJSON()` method is called with the data.
+   * - If there is no `fromJSON()` method, the data's properties are copied
+   *   onto the new instance.
+   *
+   * @param {Mixed} data
+   *   The data to revive, usually the result of `JSON.parse()`.
+   *
+   * @return {Mixed}
+   *   The revived data.
+   *
+   * @static
+   */
+  Class.revive = function(data) {
+    var key;
+    if (data === null || typeof data !== 'object') {
+      return data;
+    }
+    if (data instanceof Array) {
+      for (var i = 0, l = data.length; i < l; i++) {
+        data[i] = Class.revive(data[i]);
+      }
+      return data;
+    }
+    for (key in data) {
+      if (data.hasOwnProperty(key)) {
+        data[key] = Class.revive(data[key]);
+      }
+    }
+    var ctor = data.__class ? registry[data.__class] : null;
+    if (!ctor) {
+      return data;
+    }
+    if (typeof ctor.fromJSON == 'function') {
+      return ctor.fromJSON(data);
+    }
+    var obj = Object.create(ctor.prototype);
+    if (typeof obj.fromJSON == 'function') {
+      obj.fromJSON(data);
+    }
+    else {
+      for (key in data) {
+        if (data.hasOwnProperty(key) && key != '__class') {
+          obj[key] = data[key];
+        }
+      }
+    }
+    return obj;
+  };
 })();
@@ -37,8 +37,14 @@ function update(delta, timeElapsed) {
 
 /**
  * A magic-named function where all drawing should occur.
+ *
+ * @param {Number} alpha
+ *   How far this frame is between the last two physics updates, from 0 to 1.
+ *   This is only interesting if App.FIXED_TIMESTEP is enabled; Actors use it
+ *   automatically to smooth their movement. This has the same value as the
+ *   global App.physicsAlpha.
  */
-function draw() {
+function draw(alpha) {
   // Draw a background. This is just for illustration so we can see scrolling.
   context.drawBkgdRadialGradient();
 
@@ -0,0 +1,389 @@
+/**
+ * @class Minimap
+ *   A small map of a {@link TileMap} showing where things are and what part
+ *   of the world is in view.
+ *
+ * The TileMap is drawn once at a reduced scale onto a {@link Layer}, so
+ * drawing the Minimap in each frame is cheap even for huge maps. Tiles that
+ * change through TileMap#setCell() or TileMap#clearCell() are re-drawn
+ * automatically; if you change the TileMap any other way (for example with
+ * TileMap#clearAll()), call Minimap#render() afterwards.
+ *
+ * On top of the terrain, the Minimap draws a marker for each object it
+ * {@link Minimap#track tracks} and a rectangle showing what the camera can
+ * see. Clicking on the Minimap centers the camera on the clicked location.
+ * Minimaps receive {@link App.Events canvas events} like Boxes do, so you can
+ * also listen for clicks yourself:
+ *
+ *     var minimap = new Minimap(tileMap, {x: 10, y: 10, scale: 0.1});
+ *     minimap.track(enemies, {color: 'red'});
+ *     minimap.track(player, {color: 'lime', size: 6});
+ *     // In draw():
+ *     minimap.draw();
+ *
+ * The Minimap is always drawn relative to the canvas, not the world, and
+ * stops listening for events when it is {@link Minimap#destroy destroyed}.
+ *
+ * @constructor
+ *   Creates a new Minimap.
+ *
+ * @param {TileMap} tileMap
+ *   The TileMap to show.
+ * @param {Object} [options]
+ *   Settings for the Minimap. See Minimap.defaults for the default values.
+ * @param {Number} [options.x=0]
+ *   The x-coordinate on the canvas of the upper-left corner of the Minimap.
+ * @param {Number} [options.y=0]
+ *   The y-coordinate on the canvas of the upper-left corner of the Minimap.
+ * @param {Number} [options.scale=0.1]
+ *   The size of the Minimap compared to the TileMap.
+ * @param {Function} [options.tileStyle=null]
+ *   A function that returns the fill style with which to draw a tile, or a
+ *   falsey value to leave the tile blank. It receives the object in the tile,
+ *   the row, and the column. Drawing tiles as solid colors usually looks
+ *   clearer than shrinking them. If not specified, tiles are drawn the same
+ *   way they are in the world, just smaller.
+ * @param {Mixed} [options.background="rgba(0, 0, 0, 0.5)"]
+ *   The fill style of empty tiles, or `null` to leave them transparent.
+ * @param {Mixed} [options.viewStyle="white"]
+ *   The stroke style of the rectangle showing what the camera can see, or
+ *   `null` to hide it.
+ * @param {Camera} [options.camera=world.camera]
+ *   The camera whose view to show and to move when the Minimap is clicked.
+ * @param {Boolean} [options.panOnClick=true]
+ *   Whether clicking the Minimap centers the camera on the clicked location.
+ * @param {Number} [options.opacity=1]
+ *   The opacity of the Minimap, from 0 to 1.
+ */
+function Minimap(tileMap, options) {
+  this.options = jQuery.extend({}, Minimap.defaults, options);
+  /**
+   * @property {TileMap} tileMap
+   *   The TileMap that the Minimap shows.
+   * @readonly
+   */
+  this.tileMap = tileMap;
+  /**
+   * @property {Number} x
+   *   The x-coordinate on the canvas of the upper-left corner of the Minimap.
+   */
+  this.x = this.options.x;
+  /**
+   * @property {Number} y
+   *   The y-coordinate on the canvas of the upper-left corner of the Minimap.
+   */
+  this.y = this.options.y;
+  /**
+   * @property {Number} width
+   *   The width of the Minimap in pixels.
+   * @readonly
+   */
+  this.width = Math.max(1, Math.ceil(tileMap.getCols() * tileMap.options.cellSize[0] * this.options.scale));
+  /**
+   * @property {Number} height
+   *   The height of the Minimap in pixels.
+   * @readonly
+   */
+  this.height = Math.max(1, Math.ceil(tileMap.getRows() * tileMap.options.cellSize[1] * this.options.scale));
+  /**
+   * @property {Layer} layer
+   *   The Layer onto which the TileMap is rendered.
+   * @readonly
+   */
+  this.layer = new Layer({width: this.width, height: this.height});
+  // The objects being tracked and their markers.
+  this.__tracked = [];
+  // Namespace for events so that they can be removed later.
+  this.__namespace = 'minimap' + (Minimap._nextId++);
+  var minimap = this;
+  App.Events.listen(tileMap, 'tilechange.' + this.__namespace, function(e, tileMap, row, col) {
+    minimap.renderCell(row, col);
+  });
+  // Run before objects in the world underneath the Minimap so that they
+  // don't receive the click too.
+  App.Events.listen(this, 'click.' + this.__namespace, function(e) {
+    if (this.options.panOnClick) {
+      var p = this.minimapToWorld(Mouse.coords.x, Mouse.coords.y);
+      (this.options.camera || world.camera).centerOn(p.x, p.y);
+      e.stopPropagation();
+    }
+  }, -1);
+  this.render();
+}
+Minimap.prototype = {
+  /**
+   * Re-draw the whole TileMap onto the Minimap's Layer.
+   *
+   * @chainable
+   */
+  render: function() {
+    var ctx = this.layer.context, o = this.options;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.layer.clear(o.background || undefined);
+    for (var i = 0, l = this.tileMap.getRows(); i < l; i++) {
+      for (var j = 0, m = this.tileMap.getCols(); j < m; j++) {
+        this._drawTile(i, j);
+      }
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return this;
+  },
+  /**
+   * Re-draw one tile onto the Minimap's Layer.
+   *
+   * This is called automatically when a tile is changed with
+   * TileMap#setCell() or TileMap#clearCell().
+   *
+   * @param {Number} row The row of the tile to re-draw.
+   * @param {Number} col The column of the tile to re-draw.
+   *
+   * @chainable
+   */
+  renderCell: function(row, col) {
+    var ctx = this.layer.context, s = this.options.scale,
+        cw = this.tileMap.options.cellSize[0], ch = this.tileMap.options.cellSize[1],
+        // Round outward so that no trace of the old tile is left behind.
+        x = Math.floor(col * cw * s), y = Math.floor(row * ch * s),
+        w = Math.ceil((col + 1) * cw * s) - x, h = Math.ceil((row + 1) * ch * s) - y;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(x, y, w, h);
+    if (this.options.background) {
+      ctx.fillStyle = this.options.background;
+      ctx.fillRect(x, y, w, h);
+    }
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    this._drawTile(row, col);
+    ctx.restore();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return this;
+  },
+  /**
+   * Show markers for objects on the Minimap.
+   *
+   * @param {Box/Box[]/Collection} items
+   *   The objects to show. Collections and Arrays are checked each time the
+   *   Minimap is drawn, so objects added to or removed from them later appear
+   *   and disappear automatically.
+   * @param {Object} [marker]
+   *   Describes how to draw the markers. It can have these properties:
+   * @param {Mixed} [marker.color="red"]
+   *   The fill style of the markers.
+   * @param {Number} [marker.size=4]
+   *   The width and height of the markers in pixels.
+   * @param {"circle"/"square"} [marker.shape="circle"]
+   *   The shape of the markers.
+   * @param {Function} [marker.draw]
+   *   A function to draw each marker instead. It receives the graphics
+   *   context, the x- and y-coordinates on the canvas of the center of the
+   *   object, and the object itself.
+   *
+   * @chainable
+   */
+  track: function(items, marker) {
+    this.untrack(items);
+    this.__tracked.push({
+      items: items,
+      marker: jQuery.extend({color: 'red', size: 4, shape: 'circle'}, marker),
+    });
+    return this;
+  },
+  /**
+   * Stop showing markers for objects on the Minimap.
+   *
+   * @param {Box/Box[]/Collection} items
+   *   The objects that were passed to Minimap#track().
+   *
+   * @chainable
+   */
+  untrack: function(items) {
+    for (var i = this.__tracked.length - 1; i >= 0; i--) {
+      if (this.__tracked[i].items === items) {
+        this.__tracked.splice(i, 1);
+      }
+    }
+    return this;
+  },
+  /**
+   * Convert a location in the world to a position on the canvas.
+   *
+   * @param {Number} x The x-coordinate in the world.
+   * @param {Number} y The y-coordinate in the world.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties indicating where on the canvas
+   *   the location appears on the Minimap.
+   */
+  worldToMinimap: function(x, y) {
+    var start = this.tileMap.options.startCoords, s = this.options.scale;
+    return {
+      x: this.x + (x - start[0]) * s,
+      y: this.y + (y - start[1]) * s,
+    };
+  },
+  /**
+   * Convert a position on the canvas to a location in the world.
+   *
+   * @param {Number} x The x-coordinate in pixels from the left of the canvas.
+   * @param {Number} y The y-coordinate in pixels from the top of the canvas.
+   *
+   * @return {Object}
+   *   An object with `x` and `y` properties indicating the location in the
+   *   world shown at that position on the Minimap.
+   */
+  minimapToWorld: function(x, y) {
+    var start = this.tileMap.options.startCoords, s = this.options.scale;
+    return {
+      x: start[0] + (x - this.x) / s,
+      y: start[1] + (y - this.y) / s,
+    };
+  },
+  /**
+   * Determine whether the mouse is hovering over the Minimap.
+   */
+  isHovered: function() {
+    return Mouse.coords.x >= this.x && Mouse.coords.x < this.x + this.width &&
+      Mouse.coords.y >= this.y && Mouse.coords.y < this.y + this.height;
+  },
+  /**
+   * Draw the Minimap.
+   *
+   * @param {CanvasRenderingContext2D} [ctx]
+   *   A canvas graphics context onto which to draw the Minimap. Defaults to
+   *   the {@link global#context global context}.
+   *
+   * @chainable
+   */
+  draw: function(ctx) {
+    ctx = ctx || context;
+    var o = this.options, i, l;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = o.opacity;
+    ctx.beginPath();
+    ctx.rect(this.x, this.y, this.width, this.height);
+    ctx.clip();
+    ctx.drawImage(this.layer.canvas, this.x, this.y);
+    for (i = 0, l = this.__tracked.length; i < l; i++) {
+      var t = this.__tracked[i], items = t.items;
+      if (items instanceof Collection) {
+        items = items.items;
+      }
+      else if (!(items instanceof Array)) {
+        items = [items];
+      }
+      for (var j = 0, m = items.length; j < m; j++) {
+        this._drawMarker(ctx, items[j], t.marker);
+      }
+    }
+    if (o.viewStyle) {
+      var b = (o.camera || world.camera).getVisibleBounds(),
+          p = this.worldToMinimap(b.x, b.y);
+      ctx.strokeStyle = o.viewStyle;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(Math.round(p.x) + 0.5, Math.round(p.y) + 0.5,
+          Math.round(b.width * o.scale) - 1, Math.round(b.height * o.scale) - 1);
+    }
+    ctx.restore();
+    return this;
+  },
+  /**
+   * Listen for a specific event.
+   *
+   * See App.Events.listen() and Box#listen().
+   *
+   * @chainable
+   */
+  listen: function(eventName, callback, weight) {
+    return App.Events.listen(this, eventName, callback, weight);
+  },
+  /**
+   * Stop listening for a specific event.
+   *
+   * See App.Events.unlisten() and Box#unlisten().
+   *
+   * @chainable
+   */
+  unlisten: function(eventName) {
+    return App.Events.unlisten(this, eventName);
+  },
+  /**
+   * Stop listening for events and forget the tracked objects.
+   */
+  destroy: function() {
+    App.Events.unlisten(this.tileMap, '.' + this.__namespace);
+    App.Events.unlisten(this, '.' + this.__namespace);
+    this.__tracked = [];
+  },
+  /**
+   * Draw a tile onto the Minimap's Layer.
+   *
+   * @ignore
+   */
+  _drawTile: function(row, col) {
+    var o = this.tileMap.grid[row][col], ctx = this.layer.context, s = this.options.scale;
+    if (o === null || o === undefined) {
+      return;
+    }
+    if (this.options.tileStyle) {
+      var style = this.options.tileStyle(o, row, col);
+      if (style) {
+        var cw = this.tileMap.options.cellSize[0], ch = this.tileMap.options.cellSize[1];
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = style;
+        ctx.fillRect(col * cw * s, row * ch * s, cw * s, ch * s);
+      }
+    }
+    else if (typeof o.draw === 'function') {
+      var start = this.tileMap.options.startCoords;
+      ctx.setTransform(s, 0, 0, s, -start[0] * s, -start[1] * s);
+      o.draw(ctx, false);
+    }
+  },
+  /**
+   * Draw the marker for a tracked object.
+   *
+   * @ignore
+   */
+  _drawMarker: function(ctx, item, marker) {
+    var p = this.worldToMinimap(item.x + (item.width || 0) / 2, item.y + (item.height || 0) / 2);
+    if (marker.draw) {
+      marker.draw.call(this, ctx, p.x, p.y, item);
+      return;
+    }
+    ctx.fillStyle = marker.color;
+    if (marker.shape == 'square') {
+      ctx.fillRect(p.x - marker.size / 2, p.y - marker.size / 2, marker.size, marker.size);
+    }
+    else {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, marker.size / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+};
+
+/**
+ * The default options for new Minimaps.
+ *
+ * Change these to change the defaults for all Minimaps created afterwards.
+ * See the {@link Minimap constructor} for what each option does.
+ *
+ * @static
+ */
+Minimap.defaults = {
+  x: 0,
+  y: 0,
+  scale: 0.1,
+  tileStyle: null,
+  background: 'rgba(0, 0, 0, 0.5)',
+  viewStyle: 'white',
+  camera: null,
+  panOnClick: true,
+  opacity: 1,
+};
+
+// The next unique ID to use in a Minimap's event namespace.
+Minimap._nextId = 1;
@@ -0,0 +1,441 @@
+/**
+ * @class ParticleEmitter
+ *   Emits and draws lots of small, short-lived particles, like sparks, smoke,
+ *   and dust.
+ *
+ * Particles are much lighter than {@link Actor Actors}: they don't process
+ * input, animate, or collide with anything. They just move according to their
+ * velocity, gravity, and drag, change color, size, and opacity over their
+ * lifetime, and disappear when they get old. Dead particles are reused for
+ * new ones, so emitters don't create garbage while they run.
+ *
+ * Emitters update themselves automatically after every physics update (see
+ * App.onPhysicsStep()), so they pause when animation stops and stay in sync
+ * during replays. All you have to do is draw them:
+ *
+ *     var sparks = new ParticleEmitter({
+ *       follow: player,
+ *       rate: 60,
+ *       lifetime: [0.3, 0.6],
+ *       speed: [50, 150],
+ *       gravity: 400,
+ *       color: ['#ffff00', '#ff0000'],
+ *       size: [4, 0],
+ *     });
+ *     // In draw():
+ *     sparks.draw();
+ *
+ * For one-off effects like explosions, emit a burst of particles instead:
+ *
+ *     var explosion = new ParticleEmitter({x: 100, y: 100, lifetime: 0.5});
+ *     explosion.burst(50);
+ *
+ * Emitters are {@link ParticleEmitter#destroy destroyed} automatically when
+ * the app is {@link App#reset reset}.
+ *
+ * @constructor
+ *   Creates a new ParticleEmitter.
+ *
+ * @param {Object} [options]
+ *   Settings for the emitter. These are stored in the `options` property and
+ *   can be changed at any time; changes affect particles emitted afterwards.
+ * @param {Number} [options.x=0]
+ *   The x-coordinate in the world from which particles are emitted.
+ * @param {Number} [options.y=0]
+ *   The y-coordinate in the world from which particles are emitted.
+ * @param {Number} [options.width=0]
+ *   The width of the area centered on (x, y) in which particles are emitted.
+ * @param {Number} [options.height=0]
+ *   The height of the area centered on (x, y) in which particles are emitted.
+ * @param {Box} [options.follow=null]
+ *   A Box whose center the emitter follows. If set, `x` and `y` are updated
+ *   automatically.
+ * @param {Number} [options.rate=0]
+ *   The number of particles to emit per second while the emitter is
+ *   {@link ParticleEmitter#start emitting}.
+ * @param {Number} [options.maxParticles=500]
+ *   The most particles that can be alive at once. No particles are emitted
+ *   while the emitter is full.
+ * @param {Number/Number[]} [options.lifetime=1]
+ *   How long particles live, in seconds. If this is a two-element Array,
+ *   each particle lives for a random time between the two values.
+ * @param {Number/Number[]} [options.speed=100]
+ *   How fast particles move when they are emitted, in pixels per second. If
+ *   this is a two-element Array, each particle gets a random speed between
+ *   the two values.
+ * @param {Number} [options.angle=-Math.PI/2]
+ *   The direction in radians in which particles are emitted. The default is
+ *   straight up.
+ * @param {Number} [options.spread=Math.PI*2]
+ *   The size in radians of the arc centered on `angle` in which particles are
+ *   emitted. The default emits particles in every direction.
+ * @param {Number} [options.gravity=0]
+ *   Downward acceleration in pixels per second-squared. Negative values make
+ *   particles rise, like smoke.
+ * @param {Number} [options.drag=0]
+ *   The fraction of their velocity particles lose per second.
+ * @param {String/String[]} [options.color='black']
+ *   The color of particles. If this is an Array, particles fade between the
+ *   colors evenly over their lifetime. Colors are blended if they are
+ *   specified as hex values (like `#ff0000`) or with rgb() or rgba();
+ *   otherwise particles switch between them.
+ * @param {Number/Number[]} [options.size=4]
+ *   The diameter of particles in pixels. If this is an Array, particles
+ *   change size evenly between the values over their lifetime.
+ * @param {Number/Number[]} [options.opacity=1]
+ *   The opacity of particles, from 0 to 1. If this is an Array, particles
+ *   fade between the values evenly over their lifetime.
+ * @param {"circle"/"square"} [options.shape="circle"]
+ *   The shape of particles, if `src` isn't specified.
+ * @param {Mixed} [options.src=null]
+ *   An image to draw for each particle instead of a shape. Anything that
+ *   {@link CanvasRenderingContext2D#drawImage drawImage()} can draw works.
+ * @param {String} [options.compositeOperation=null]
+ *   The globalCompositeOperation with which to draw particles, e.g.
+ *   "lighter" to make overlapping particles glow.
+ * @param {Layer} [options.layer=null]
+ *   A Layer to draw the particles onto by default. The Layer is cleared each
+ *   time the particles are drawn, so it should only be used by this emitter.
+ * @param {App.Utils.PRNG} [options.rng=App.Utils.rng]
+ *   The random number generator used to vary particles.
+ * @param {Boolean} [options.autoUpdate=true]
+ *   Whether to update the emitter automatically after every physics update.
+ *   If false, call ParticleEmitter#update() yourself.
+ */
+function ParticleEmitter(options) {
+  this.options = jQuery.extend({}, ParticleEmitter.defaults, options);
+  /**
+   * The particles that are currently alive.
+   *
+   * Each particle is an object with `x`, `y`, `xVelocity`, `yVelocity`,
+   * `age`, and `lifetime` properties. Particles are reused, so don't keep
+   * references to them.
+   */
+  this.particles = [];
+  /**
+   * Whether the emitter is emitting particles at its
+   * {@link ParticleEmitter#options rate}.
+   */
+  this.emitting = this.options.rate > 0;
+  this.lastUpdateStep = -1;
+  // Dead particles waiting to be reused.
+  this.__pool = [];
+  // Fractional particles left over from the last update.
+  this.__toEmit = 0;
+  if (this.options.autoUpdate) {
+    ParticleEmitter._emitters.push(this);
+  }
+}
+ParticleEmitter.prototype = {
+  /**
+   * Start emitting particles at the emitter's rate.
+   *
+   * @chainable
+   */
+  start: function() {
+    this.emitting = true;
+    return this;
+  },
+  /**
+   * Stop emitting particles.
+   *
+   * Particles that are already alive keep going until they die.
+   *
+   * @chainable
+   */
+  stop: function() {
+    this.emitting = false;
+    this.__toEmit = 0;
+    return this;
+  },
+  /**
+   * Emit a number of particles at once.
+   *
+   * @param {Number} count
+   *   The number of particles to emit. Fewer are emitted if the emitter
+   *   would exceed its maximum number of particles.
+   *
+   * @chainable
+   */
+  burst: function(count) {
+    this._followTarget();
+    for (var i = 0; i < count && this.particles.length < this.options.maxParticles; i++) {
+      this.particles.push(this._initParticle(this.__pool.pop() || {}));
+    }
+    return this;
+  },
+  /**
+   * Move the emitter.
+   *
+   * @param {Number} x The new x-coordinate of the emitter in the world.
+   * @param {Number} y The new y-coordinate of the emitter in the world.
+   *
+   * @chainable
+   */
+  moveTo: function(x, y) {
+    this.options.x = x;
+    this.options.y = y;
+    return this;
+  },
+  /**
+   * Get the number of particles that are alive.
+   */
+  count: function() {
+    return this.particles.length;
+  },
+  /**
+   * Remove all particles.
+   *
+   * @chainable
+   */
+  clear: function() {
+    while (this.particles.length) {
+      this.__pool.push(this.particles.pop());
+    }
+    return this;
+  },
+  /**
+   * Stop updating the emitter automatically and remove its particles.
+   */
+  destroy: function() {
+    this.stop();
+    this.clear();
+    ParticleEmitter._emitters.remove(this);
+  },
+  /**
+   * Move and age particles, and emit new ones.
+   *
+   * This is called automatically after every physics update unless the
+   * emitter's `autoUpdate` option is false.
+   *
+   * @param {Number} [delta=App.physicsDelta]
+   *   The amount of time to simulate, in seconds.
+   */
+  update: function(delta) {
+    if (typeof delta !== 'number') {
+      delta = App.physicsDelta;
+    }
+    var o = this.options,
+        particles = this.particles,
+        drag = Math.max(1 - o.drag * delta, 0),
+        i, p;
+    for (i = particles.length - 1; i >= 0; i--) {
+      p = particles[i];
+      p.age += delta;
+      if (p.age >= p.lifetime) {
+        // Swap the last particle into this one's place to avoid splicing.
+        particles[i] = particles[particles.length - 1];
+        particles.pop();
+        this.__pool.push(p);
+        continue;
+      }
+      p.lastX = p.x;
+      p.lastY = p.y;
+      p.yVelocity += o.gravity * delta;
+      p.xVelocity *= drag;
+      p.yVelocity *= drag;
+      p.x += p.xVelocity * delta;
+      p.y += p.yVelocity * delta;
+    }
+    if (this.emitting && o.rate > 0) {
+      this.__toEmit += o.rate * delta;
+      var n = Math.floor(this.__toEmit);
+      this.__toEmit -= n;
+      this.burst(n);
+    }
+    this.lastUpdateStep = App.physicsSteps;
+  },
+  /**
+   * Draw the particles.
+   *
+   * @param {CanvasRenderingContext2D} [ctx]
+   *   A canvas graphics context onto which the particles should be drawn. If
+   *   not specified, defaults to the context of the emitter's `layer` (which
+   *   is cleared first) if it has one, or the
+   *   {@link global#context global context} otherwise.
+   */
+  draw: function(ctx) {
+    var o = this.options;
+    if (!ctx) {
+      if (o.layer) {
+        ctx = o.layer.context;
+        o.layer.clear();
+      }
+      else {
+        ctx = context;
+      }
+    }
+    // Interpolate between physics updates like Actor#getDrawPosition().
+    var a = App.FIXED_TIMESTEP && this.lastUpdateStep === App.physicsSteps - 1 ? App.physicsAlpha : 1;
+    ctx.save();
+    if (o.compositeOperation) {
+      ctx.globalCompositeOperation = o.compositeOperation;
+    }
+    for (var i = 0, l = this.particles.length; i < l; i++) {
+      var p = this.particles[i],
+          t = p.age / p.lifetime,
+          size = ParticleEmitter._interpolate(o.size, t),
+          x = p.lastX + (p.x - p.lastX) * a - size / 2,
+          y = p.lastY + (p.y - p.lastY) * a - size / 2;
+      if (size <= 0) {
+        continue;
+      }
+      ctx.globalAlpha = ParticleEmitter._interpolate(o.opacity, t);
+      if (o.src) {
+        ctx.drawImage(o.src, x, y, size, size);
+      }
+      else if (o.shape == 'square') {
+        ctx.fillStyle = ParticleEmitter._interpolateColor(o.color, t);
+        ctx.fillRect(x, y, size, size);
+      }
+      else {
+        ctx.circle(x + size / 2, y + size / 2, size / 2, ParticleEmitter._interpolateColor(o.color, t));
+      }
+    }
+    ctx.restore();
+  },
+  /**
+   * Move the emitter to the center of the Box it follows, if any.
+   *
+   * @ignore
+   */
+  _followTarget: function() {
+    var target = this.options.follow;
+    if (target) {
+      this.options.x = target.xC();
+      this.options.y = target.yC();
+    }
+  },
+  /**
+   * Set up a new or reused particle.
+   *
+   * @ignore
+   */
+  _initParticle: function(p) {
+    var o = this.options,
+        rng = o.rng || App.Utils.rng,
+        angle = o.angle + (rng.random() - 0.5) * o.spread,
+        speed = ParticleEmitter._randomIn(o.speed, rng);
+    p.x = p.lastX = o.x + (rng.random() - 0.5) * o.width;
+    p.y = p.lastY = o.y + (rng.random() - 0.5) * o.height;
+    p.xVelocity = Math.cos(angle) * speed;
+    p.yVelocity = Math.sin(angle) * speed;
+    p.age = 0;
+    p.lifetime = ParticleEmitter._randomIn(o.lifetime, rng);
+    return p;
+  },
+};
+
+/**
+ * The default options for new ParticleEmitters.
+ *
+ * Change these to change the defaults for all emitters created afterwards.
+ * See the {@link ParticleEmitter constructor} for what each option does.
+ *
+ * @static
+ */
+ParticleEmitter.defaults = {
+  x: 0,
+  y: 0,
+  width: 0,
+  height: 0,
+  follow: null,
+  rate: 0,
+  maxParticles: 500,
+  lifetime: 1,
+  speed: 100,
+  angle: -Math.PI / 2,
+  spread: Math.PI * 2,
+  gravity: 0,
+  drag: 0,
+  color: 'black',
+  size: 4,
+  opacity: 1,
+  shape: 'circle',
+  src: null,
+  compositeOperation: null,
+  layer: null,
+  rng: null,
+  autoUpdate: true,
+};
+
+// Emitters that are updated automatically after every physics update.
+ParticleEmitter._emitters = [];
+
+// Get a random value in a [min, max] range, or a single value.
+ParticleEmitter._randomIn = function(value, rng) {
+  if (value instanceof Array) {
+    return value[0] + rng.random() * (value[1] - value[0]);
+  }
+  return value;
+};
+
+// Get the value at a fraction t of the way through a list of evenly spaced
+// values, or a single value.
+ParticleEmitter._interpolate = function(value, t) {
+  if (!(value instanceof Array)) {
+    return value;
+  }
+  if (value.length < 2) {
+    return value[0];
+  }
+  var pos = t * (value.length - 1), i = Math.min(Math.floor(pos), value.length - 2);
+  return value[i] + (value[i+1] - value[i]) * (pos - i);
+};
+
+// Like ParticleEmitter._interpolate(), but for colors.
+ParticleEmitter._interpolateColor = function(value, t) {
+  if (!(value instanceof Array)) {
+    return value;
+  }
+  if (value.length < 2) {
+    return value[0];
+  }
+  var pos = t * (value.length - 1),
+      i = Math.min(Math.floor(pos), value.length - 2),
+      a = ParticleEmitter._parseColor(value[i]),
+      b = ParticleEmitter._parseColor(value[i+1]),
+      f = pos - i;
+  // Switch between colors we don't know how to blend.
+  if (!a || !b) {
+    return f < 0.5 ? value[i] : value[i+1];
+  }
+  return 'rgba(' +
+    Math.round(a[0] + (b[0] - a[0]) * f) + ', ' +
+    Math.round(a[1] + (b[1] - a[1]) * f) + ', ' +
+    Math.round(a[2] + (b[2] - a[2]) * f) + ', ' +
+    (a[3] + (b[3] - a[3]) * f) + ')';
+};
+
+// Parse a hex, rgb(), or rgba() color into an [r, g, b, a] Array (or null).
+// Results are cached since the same colors are parsed for every particle.
+ParticleEmitter._parseColor = function(color) {
+  var cache = ParticleEmitter._colorCache, m;
+  if (cache.hasOwnProperty(color)) {
+    return cache[color];
+  }
+  if ((m = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color))) {
+    cache[color] = [parseInt(m[1]+m[1], 16), parseInt(m[2]+m[2], 16), parseInt(m[3]+m[3], 16), 1];
+  }
+  else if ((m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color))) {
+    cache[color] = [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16), 1];
+  }
+  else if ((m = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color))) {
+    cache[color] = [+m[1], +m[2], +m[3], m[4] === undefined ? 1 : +m[4]];
+  }
+  else {
+    cache[color] = null;
+  }
+  return cache[color];
+};
+ParticleEmitter._colorCache = {};
+
+App.onPhysicsStep(function(delta) {
+  for (var i = ParticleEmitter._emitters.length - 1; i >= 0; i--) {
+    ParticleEmitter._emitters[i].update(delta);
+  }
+});
+// Emitters created before a reset usually don't exist anymore afterwards.
+jQuery(document).on('resetApp', function() {
+  ParticleEmitter._emitters = [];
+});
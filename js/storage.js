@@ -5,15 +5,509 @@
  * Behavior is very similar to using localStorage directly except that it
  * supports storing any kind of object rather than just strings.
  *
+ * Objects are stored as JSON. Instances of classes that support it (like
+ * {@link Box}, {@link Actor}, {@link Collection}, {@link TileMap},
+ * {@link Layer}, {@link SpriteMap}, and the {@link World}) are turned back
+ * into instances of the same class when they are retrieved, so saving a game
+ * can be as simple as:
+ *
+ *     App.Storage.set('save', {player: player, enemies: enemies, world: world});
+ *     // ...later, e.g. after App.reset()...
+ *     var save = App.Storage.get('save');
+ *     player = save.player;
+ *     enemies = save.enemies;
+ *
+ * See Box#toJSON() and Class.revive() for details.
+ *
+ * For saved games, App.Storage.saveSlot() and App.Storage.loadSlot() are
+ * usually more convenient. Save slots keep track of when they were saved, how
+ * long the game had been played, and what the game looked like at the time.
+ * They also record the {@link App.Storage#setVersion version} of the game
+ * that saved them so that old saves can be
+ * {@link App.Storage#addMigration migrated} when the structure of the saved
+ * data changes.
+ *
+ * Everything is stored under a {@link App.Storage#setNamespace namespace} so
+ * that multiple games on the same domain don't interfere with each other.
+ *
+ * If there is no room left to store something, App.Storage.set() and
+ * App.Storage.saveSlot() return false and the
+ * {@link global#event-storagefull storagefull event} fires instead of an
+ * error being thrown.
+ *
  * Note that local storage does not work in some browsers on documents accessed
  * via the file:// protocol.
  */
 App.Storage = (function(window, undefined) {
   var api = {enabled: true},
       namespace = '__appstore__',
-      storage = window.localStorage,
-      internal = {},
-      fake = false;
+      // The synchronous backend used by most of the API.
+      backend,
+      // The backend used by App.Storage.async.
+      asyncBackend,
+      // Save slot records are stored under these prefixes (in the namespace).
+      SLOT_PREFIX = '__slot__',
+      SLOT_INFO_PREFIX = '__slotinfo__',
+      // The maximum width of save slot thumbnails.
+      THUMBNAIL_WIDTH = 160,
+      // Schema versioning. See api.setVersion() and api.addMigration().
+      version = 0,
+      migrations = {},
+      // Play time carried over from a loaded save slot, in seconds.
+      playTimeOffset = 0;
+  /**
+   * @class App.Storage.LocalStorageBackend
+   *   Stores values in localStorage.
+   *
+   * This is the backend App.Storage uses by default.
+   *
+   * App.Storage backends all have the same interface, so you can write your
+   * own (for example, to save games on a server) and use it with
+   * App.Storage.setBackend() or App.Storage.async.setBackend(). Backends
+   * store strings at string keys and have the following members:
+   *
+   * - `sync`: true if the backend's methods return their results directly;
+   *   false if they return promises (like those created by
+   *   [jQuery.Deferred()](http://api.jquery.com/category/deferred-object/))
+   *   that resolve with the results. Only synchronous backends can be used
+   *   with App.Storage.setBackend().
+   * - `getItem(key)`: Returns the value stored at key, or null if there is no
+   *   such value.
+   * - `setItem(key, value)`: Stores value at key.
+   * - `removeItem(key)`: Removes the value at key.
+   * - `keys()`: Returns an Array of all keys in the backend.
+   *
+   * @constructor
+   *   Creates a new LocalStorageBackend.
+   *
+   * @param {Storage} [storage=window.localStorage]
+   *   The Storage object to use. For example, pass `window.sessionStorage` to
+   *   only keep values until the browser is closed.
+   */
+  function LocalStorageBackend(storage) {
+    this.storage = storage || window.localStorage;
+  }
+  LocalStorageBackend.prototype = {
+    /**
+     * Whether the backend is synchronous.
+     */
+    sync: true,
+    /**
+     * Get the value stored at key.
+     *
+     * @param {String} key
+     *   The key of the value to retrieve.
+     *
+     * @return {String}
+     *   The value at key, or null if there is no such value.
+     */
+    getItem: function(key) {
+      return this.storage.getItem(key);
+    },
+    /**
+     * Store a value at key.
+     *
+     * @param {String} key
+     *   The key at which to store the value.
+     * @param {String} value
+     *   The value to store.
+     */
+    setItem: function(key, value) {
+      this.storage.setItem(key, value);
+    },
+    /**
+     * Remove the value at key.
+     *
+     * @param {String} key
+     *   The key of the value to remove.
+     */
+    removeItem: function(key) {
+      this.storage.removeItem(key);
+    },
+    /**
+     * Get all keys in the backend.
+     *
+     * @return {String[]}
+     *   All keys in the backend, including keys set outside of App.Storage.
+     */
+    keys: function() {
+      var keys = [];
+      for (var i = 0, l = this.storage.length; i < l; i++) {
+        keys.push(this.storage.key(i));
+      }
+      return keys;
+    },
+  };
+  /**
+   * @class App.Storage.MemoryBackend
+   *   Stores values in memory, so they only last until the page is closed.
+   *
+   * App.Storage falls back to this backend if localStorage is unavailable.
+   * It is also useful for testing. See App.Storage.LocalStorageBackend for
+   * the interface all backends share.
+   *
+   * @constructor
+   *   Creates a new, empty MemoryBackend.
+   */
+  function MemoryBackend() {
+    this.data = {};
+  }
+  MemoryBackend.prototype = {
+    /**
+     * Whether the backend is synchronous.
+     */
+    sync: true,
+    /**
+     * Get the value stored at key.
+     *
+     * @param {String} key
+     *   The key of the value to retrieve.
+     *
+     * @return {String}
+     *   The value at key, or null if there is no such value.
+     */
+    getItem: function(key) {
+      return this.data.hasOwnProperty(key) ? this.data[key] : null;
+    },
+    /**
+     * Store a value at key.
+     *
+     * @param {String} key
+     *   The key at which to store the value.
+     * @param {String} value
+     *   The value to store.
+     */
+    setItem: function(key, value) {
+      this.data[key] = value + '';
+    },
+    /**
+     * Remove the value at key.
+     *
+     * @param {String} key
+     *   The key of the value to remove.
+     */
+    removeItem: function(key) {
+      delete this.data[key];
+    },
+    /**
+     * Get all keys in the backend.
+     *
+     * @return {String[]}
+     *   All keys in the backend.
+     */
+    keys: function() {
+      var keys = [];
+      for (var key in this.data) {
+        if (this.data.hasOwnProperty(key)) {
+          keys.push(key);
+        }
+      }
+      return keys;
+    },
+  };
+  /**
+   * @class App.Storage.IndexedDBBackend
+   *   Stores values in IndexedDB.
+   *
+   * IndexedDB can usually store much more data than localStorage, which makes
+   * it a better fit for large things like levels and
+   * {@link App.Input input recordings}. However, it is asynchronous, so it
+   * can only be used through App.Storage.async. App.Storage.async uses this
+   * backend by default if the browser supports IndexedDB.
+   *
+   * All methods return promises. See App.Storage.LocalStorageBackend for the
+   * interface all backends share.
+   *
+   * @constructor
+   *   Creates a new IndexedDBBackend.
+   *
+   * The database is not opened until it is first used.
+   *
+   * @param {String} [name="appstore"]
+   *   The name of the database to use.
+   */
+  function IndexedDBBackend(name) {
+    this.name = name || 'appstore';
+    this._db = null;
+  }
+  /**
+   * The name of the object store in which values are kept.
+   * @static
+   */
+  IndexedDBBackend.STORE = 'items';
+  IndexedDBBackend.prototype = {
+    /**
+     * Whether the backend is synchronous.
+     */
+    sync: false,
+    /**
+     * Whether the database could not be opened.
+     *
+     * Some browsers disable IndexedDB in private browsing mode.
+     */
+    failed: false,
+    /**
+     * Open the database.
+     *
+     * @return {Promise}
+     *   A promise that resolves with the IDBDatabase.
+     *
+     * @ignore
+     */
+    _open: function() {
+      if (this._db) {
+        return this._db;
+      }
+      var d = jQuery.Deferred(), self = this, request;
+      this._db = d.promise();
+      try {
+        request = window.indexedDB.open(this.name, 1);
+      } catch(e) {
+        this.failed = true;
+        d.reject(e);
+        return this._db;
+      }
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore(IndexedDBBackend.STORE);
+      };
+      request.onsuccess = function() {
+        d.resolve(request.result);
+      };
+      request.onerror = function() {
+        self.failed = true;
+        d.reject(request.error);
+      };
+      return this._db;
+    },
+    /**
+     * Run a request in a transaction.
+     *
+     * @param {String} mode
+     *   The transaction mode ("readonly" or "readwrite").
+     * @param {Function} fn
+     *   A function that makes a request.
+     * @param {IDBObjectStore} fn.store
+     *   The object store in which values are kept.
+     * @param {IDBRequest} fn.return
+     *   The request.
+     *
+     * @return {Promise}
+     *   A promise that resolves with the request's result when the
+     *   transaction completes.
+     *
+     * @ignore
+     */
+    _request: function(mode, fn) {
+      return this._open().then(function(db) {
+        var d = jQuery.Deferred(), tx, request;
+        try {
+          tx = db.transaction(IndexedDBBackend.STORE, mode);
+          request = fn(tx.objectStore(IndexedDBBackend.STORE));
+        } catch(e) {
+          return d.reject(e).promise();
+        }
+        tx.oncomplete = function() {
+          d.resolve(request.result);
+        };
+        tx.onerror = tx.onabort = function() {
+          d.reject(tx.error || request.error);
+        };
+        return d.promise();
+      });
+    },
+    /**
+     * Get the value stored at key.
+     *
+     * @param {String} key
+     *   The key of the value to retrieve.
+     *
+     * @return {Promise}
+     *   A promise that resolves with the value at key, or null if there is no
+     *   such value.
+     */
+    getItem: function(key) {
+      return this._request('readonly', function(store) {
+        return store.get(key);
+      }).then(function(value) {
+        return value === undefined ? null : value;
+      });
+    },
+    /**
+     * Store a value at key.
+     *
+     * @param {String} key
+     *   The key at which to store the value.
+     * @param {String} value
+     *   The value to store.
+     *
+     * @return {Promise}
+     *   A promise that resolves when the value has been stored.
+     */
+    setItem: function(key, value) {
+      return this._request('readwrite', function(store) {
+        return store.put(value + '', key);
+      });
+    },
+    /**
+     * Remove the value at key.
+     *
+     * @param {String} key
+     *   The key of the value to remove.
+     *
+     * @return {Promise}
+     *   A promise that resolves when the value has been removed.
+     */
+    removeItem: function(key) {
+      return this._request('readwrite', function(store) {
+        return store['delete'](key);
+      });
+    },
+    /**
+     * Get all keys in the backend.
+     *
+     * @return {Promise}
+     *   A promise that resolves with an Array of all keys in the database.
+     */
+    keys: function() {
+      var keys = [];
+      return this._request('readonly', function(store) {
+        var request = store.openCursor();
+        request.onsuccess = function() {
+          var cursor = request.result;
+          if (cursor) {
+            keys.push(cursor.key);
+            cursor['continue']();
+          }
+        };
+        return request;
+      }).then(function() {
+        return keys;
+      });
+    },
+  };
+  api.LocalStorageBackend = LocalStorageBackend;
+  api.MemoryBackend = MemoryBackend;
+  api.IndexedDBBackend = IndexedDBBackend;
+  /**
+   * @class App.Storage
+   */
+  // Determine whether an error was caused by running out of storage space.
+  function isQuotaError(e) {
+    return e && (e.code == 22 || e.code == 1014 ||
+        e.name == 'QuotaExceededError' ||
+        e.name == 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+  // Serialize and store a value at a key that includes the namespace.
+  function write(key, value) {
+    try {
+      backend.setItem(namespace + key, JSON.stringify(value));
+      return true;
+    } catch(e) {
+      if (isQuotaError(e)) {
+        /**
+         * @event storagefull
+         *   Fires on the document when App.Storage runs out of space.
+         *
+         * @param {String} key
+         *   The key at which a value could not be stored.
+         * @param {Error} error
+         *   The error thrown by the browser.
+         *
+         * @member global
+         */
+        jQuery(document).trigger('storagefull', [key, e]);
+      }
+      else if (console && console.error) {
+        console.error(e);
+      }
+    }
+    return false;
+  }
+  // Unserialize a value retrieved from a backend.
+  function parse(item, defaultValue) {
+    try {
+      // If it's a string, we probably put it there. Un-stringify it.
+      if (typeof item === 'string') {
+        return JSON.parse(item);
+      }
+      // Someone put something here.
+      else if (item !== null && item !== undefined) {
+        return item;
+      }
+    } catch(e) {
+      if (console && console.error) {
+        console.error(e);
+      }
+    }
+    // There is nothing at key or JSON.parse failed.
+    return defaultValue;
+  }
+  // Retrieve and unserialize a value (without reviving class instances).
+  function read(key, defaultValue) {
+    try {
+      return parse(backend.getItem(namespace + key), defaultValue);
+    } catch(e) {
+      if (console && console.error) {
+        console.error(e);
+      }
+    }
+    return defaultValue;
+  }
+  // Get the keys in the current namespace, without the namespace prefix.
+  function namespacedKeys(includeSlots, keys) {
+    keys = keys || backend.keys();
+    var r = [], n = namespace.length;
+    for (var i = 0, l = keys.length; i < l; i++) {
+      if (keys[i].indexOf(namespace) === 0 && keys[i].length > n) {
+        var key = keys[i].substring(n);
+        if (includeSlots || (key.indexOf(SLOT_PREFIX) !== 0 &&
+            key.indexOf(SLOT_INFO_PREFIX) !== 0)) {
+          r.push(key);
+        }
+      }
+    }
+    return r;
+  }
+  // Capture a small image of the main canvas.
+  function thumbnail() {
+    try {
+      var w = Math.min(THUMBNAIL_WIDTH, canvas.width),
+          h = Math.round(canvas.height * w / canvas.width),
+          c = document.createElement('canvas');
+      c.width = w;
+      c.height = h;
+      c.getContext('2d').drawImage(canvas, 0, 0, w, h);
+      return c.toDataURL('image/jpeg');
+    } catch(e) {
+      // The canvas can't be exported if it contains images from another
+      // domain.
+      return null;
+    }
+  }
+  /**
+   * Change the namespace under which everything is stored.
+   *
+   * Local storage is shared by every page on the same domain, so if there
+   * might be more than one game on your domain, give each one its own
+   * namespace. Call this before storing or retrieving anything, for example
+   * at the top of main.js. Values stored under other namespaces are not
+   * affected by anything App.Storage does.
+   *
+   * @param {String} name
+   *   The name of the namespace. Defaults to "appstore".
+   */
+  api.setNamespace = function(name) {
+    namespace = '__' + name + '__';
+  };
+  /**
+   * Get the name of the namespace under which everything is stored.
+   *
+   * @return {String}
+   *   The name of the namespace.
+   */
+  api.getNamespace = function() {
+    return namespace.substring(2, namespace.length-2);
+  };
   /**
    * Sets the value at key.
    *
@@ -23,13 +517,18 @@ App.Storage = (function(window, undefined) {
    *   The identifier for the value to set.
    * @param {Mixed} value
    *   The value to assign at the key.
+   *
+   * @return {Boolean}
+   *   true if the value was stored; false if it could not be stored (usually
+   *   because there is no space left, in which case the
+   *   {@link global#event-storagefull storagefull event} also fires).
    */
   api.set = function(key, value) {
-    key = namespace + key;
     if (value === undefined) {
-      return api.remove(key);
+      api.remove(key);
+      return true;
     }
-    storage.setItem(key, JSON.stringify(value));
+    return write(key, value);
   };
   /**
    * Get the value stored at key.
@@ -43,24 +542,8 @@ App.Storage = (function(window, undefined) {
    *   The value stored at key if it exists, or defaultValue otherwise.
    */
   api.get = function(key, defaultValue) {
-    key = namespace + key;
-    try {
-      var item = storage.getItem(key);
-      // If it's a string, we probably put it there. Un-stringify it.
-      if (typeof item === 'string') {
-        return JSON.parse(item);
-      }
-      // Someone put something here.
-      else if (item !== null) {
-        return item;
-      }
-    } catch(e) {
-      if (console && console.error) {
-        console.error(e);
-      }
-    }
-    // There is nothing at key or JSON.parse failed.
-    return defaultValue;
+    var item = read(key, api);
+    return item === api ? defaultValue : Class.revive(item);
   };
   /**
    * Removes the value at key.
@@ -69,37 +552,54 @@ App.Storage = (function(window, undefined) {
    *   The identifier for the value to remove.
    */
   api.remove = function(key) {
-    storage.removeItem(namespace + key);
+    backend.removeItem(namespace + key);
   };
   /**
-   * Removes all values from storage.
+   * Removes all values in the current namespace from storage.
+   *
+   * This includes save slots.
    */
   api.clear = function() {
-    storage.clear();
+    var keys = namespacedKeys(true);
+    for (var i = 0, l = keys.length; i < l; i++) {
+      api.remove(keys[i]);
+    }
+  };
+  /**
+   * Returns the keys of all values in the current namespace.
+   *
+   * Save slots are not included; use App.Storage.listSlots() for those.
+   *
+   * @return {String[]}
+   *   The keys of all stored values.
+   */
+  api.keys = function() {
+    return namespacedKeys();
   };
   /**
    * Returns the number of items in storage.
    *
    * @return {Number}
-   *   The number of items in storage.
+   *   The number of items in the current namespace, not including save slots.
    */
   api.length = function() {
-    if (fake) {
-      return internal.length;
-    }
-    return storage.length;
+    return namespacedKeys().length;
   };
   /**
-   * Returns the value at a numeric index.
+   * Returns the key at a numeric index.
+   *
+   * This is useful for iterating over everything in storage along with
+   * App.Storage.length(). The order of keys is not guaranteed.
    *
    * @param {Number} index
-   *   The index at which to retrieve the value.
+   *   The index at which to retrieve the key.
    *
-   * @return {Mixed}
-   *   The value at the specified numeric index.
+   * @return {String}
+   *   The key at the specified numeric index, or undefined if there is no such
+   *   index.
    */
   api.key = function(index) {
-    return storage.key(index);
+    return namespacedKeys()[index];
   };
   /**
    * Indicates whether persistent storage is supported in this browser.
@@ -113,51 +613,430 @@ App.Storage = (function(window, undefined) {
   api.isEnabled = function() {
     return api.enabled;
   };
+  /**
+   * Set the version of the structure of your saved data.
+   *
+   * Increase the version whenever you change the structure of what you save
+   * in {@link App.Storage#saveSlot save slots}, and use
+   * App.Storage.addMigration() to tell App.Storage how to update data saved
+   * by older versions.
+   *
+   * @param {Number} v
+   *   The current version. Versions should be non-negative integers. Defaults
+   *   to 0 (zero).
+   */
+  api.setVersion = function(v) {
+    version = v;
+  };
+  /**
+   * Get the version of the structure of your saved data.
+   *
+   * @return {Number}
+   *   The current version set by App.Storage.setVersion().
+   */
+  api.getVersion = function() {
+    return version;
+  };
+  /**
+   * Register a function that updates saved data from one version to the next.
+   *
+   * When a save slot is {@link App.Storage#loadSlot loaded}, each migration
+   * from the version that saved it up to the
+   * {@link App.Storage#setVersion current version} runs in order. Migrations
+   * receive the saved data as plain JSON, before it is turned back into
+   * instances of any classes.
+   *
+   * Example:
+   *
+   *     App.Storage.setVersion(2);
+   *     // Version 1 renamed "hp" to "health."
+   *     App.Storage.addMigration(0, function(data) {
+   *       data.health = data.hp;
+   *       delete data.hp;
+   *       return data;
+   *     });
+   *     // Version 2 started saving the player's score.
+   *     App.Storage.addMigration(1, function(data) {
+   *       data.score = 0;
+   *       return data;
+   *     });
+   *
+   * @param {Number} fromVersion
+   *   The version of the data that the migration updates. The migration
+   *   should return data in the structure expected by version
+   *   `fromVersion + 1`.
+   * @param {Function} migrate
+   *   A function that updates the data.
+   * @param {Mixed} migrate.data
+   *   The saved data.
+   * @param {Mixed} migrate.return
+   *   The updated data.
+   */
+  api.addMigration = function(fromVersion, migrate) {
+    migrations[fromVersion] = migrate;
+  };
+  /**
+   * Save data in a named save slot.
+   *
+   * In addition to the data, save slots store information about the save
+   * that can be retrieved with App.Storage.getSlotInfo() or
+   * App.Storage.listSlots() without loading the whole save (for example to
+   * show a "Load Game" menu).
+   *
+   * @param {String} name
+   *   The name of the save slot. If a save already exists in this slot, it is
+   *   overwritten.
+   * @param {Mixed} data
+   *   The data to save. See App.Storage for what kinds of objects are
+   *   supported.
+   * @param {Object} [info]
+   *   Additional information to store about the save, like a description or
+   *   level name. This can also override the default values of the
+   *   information described in App.Storage.getSlotInfo(); for example, pass
+   *   `{thumbnail: null}` to avoid saving a thumbnail.
+   *
+   * @return {Boolean}
+   *   true if the save succeeded; false if it failed (usually because there
+   *   is no space left, in which case the
+   *   {@link global#event-storagefull storagefull event} also fires).
+   */
+  api.saveSlot = function(name, data, info) {
+    var meta = {
+      name: name,
+      timestamp: Date.now(),
+      playTime: api.getPlayTime(),
+      thumbnail: thumbnail(),
+      version: version,
+    };
+    for (var key in info) {
+      if (info.hasOwnProperty(key)) {
+        meta[key] = info[key];
+      }
+    }
+    if (!write(SLOT_PREFIX + name, {version: version, data: data})) {
+      return false;
+    }
+    if (!write(SLOT_INFO_PREFIX + name, meta)) {
+      api.remove(SLOT_PREFIX + name);
+      return false;
+    }
+    return true;
+  };
+  /**
+   * Load the data stored in a save slot.
+   *
+   * If the data was saved by an older {@link App.Storage#setVersion version},
+   * the relevant {@link App.Storage#addMigration migrations} are run first.
+   * The play time recorded in the slot is carried over so that it continues
+   * to accumulate if the game is saved again.
+   *
+   * An error is thrown if the data needs a migration that has not been
+   * registered, or if it was saved by a newer version than the current one,
+   * since the game would not know how to use it. Check the `version` returned
+   * by App.Storage.getSlotInfo() first if you want to show a friendlier
+   * message.
+   *
+   * @param {String} name
+   *   The name of the save slot.
+   * @param {Mixed} [defaultValue=undefined]
+   *   The value to return if the save slot is empty.
+   *
+   * @return {Mixed}
+   *   The saved data, or defaultValue if the save slot is empty.
+   */
+  api.loadSlot = function(name, defaultValue) {
+    var record = read(SLOT_PREFIX + name), meta = read(SLOT_INFO_PREFIX + name);
+    if (!record) {
+      return defaultValue;
+    }
+    var data = record.data, v = record.version || 0;
+    if (v > version) {
+      throw new Error('Save slot "' + name + '" was saved by version ' + v + ', which is newer than the current version (' + version + ').');
+    }
+    for (; v < version; v++) {
+      if (typeof migrations[v] != 'function') {
+        throw new Error('Save slot "' + name + '" cannot be loaded because there is no migration from version ' + v + '.');
+      }
+      data = migrations[v](data);
+    }
+    playTimeOffset = (meta && meta.playTime || 0) - App.physicsTimeElapsed;
+    return Class.revive(data);
+  };
+  /**
+   * Delete a save slot.
+   *
+   * @param {String} name
+   *   The name of the save slot.
+   */
+  api.deleteSlot = function(name) {
+    api.remove(SLOT_PREFIX + name);
+    api.remove(SLOT_INFO_PREFIX + name);
+  };
+  /**
+   * Get information about a save slot.
+   *
+   * @param {String} name
+   *   The name of the save slot.
+   *
+   * @return {Object}
+   *   An object with the following properties (plus any additional
+   *   information passed to App.Storage.saveSlot()), or undefined if the save
+   *   slot is empty:
+   *
+   *   - `name`: The name of the save slot.
+   *   - `timestamp`: When the slot was saved, in milliseconds since the epoch.
+   *   - `playTime`: How long the game had been played when it was saved, in
+   *     seconds. See App.Storage.getPlayTime().
+   *   - `thumbnail`: A data URL of a small image of the canvas when the slot
+   *     was saved, or null if it could not be captured. This can be used as
+   *     the `src` of an image.
+   *   - `version`: The {@link App.Storage#setVersion version} that saved the
+   *     slot.
+   */
+  api.getSlotInfo = function(name) {
+    return read(SLOT_INFO_PREFIX + name);
+  };
+  /**
+   * List the save slots in use.
+   *
+   * @return {Object[]}
+   *   Information about each save slot, most recently saved first. See
+   *   App.Storage.getSlotInfo() for details.
+   */
+  api.listSlots = function() {
+    var keys = namespacedKeys(true), slots = [];
+    for (var i = 0, l = keys.length; i < l; i++) {
+      if (keys[i].indexOf(SLOT_INFO_PREFIX) === 0) {
+        var info = read(keys[i]);
+        if (info) {
+          slots.push(info);
+        }
+      }
+    }
+    return slots.sort(function(a, b) {
+      return b.timestamp - a.timestamp;
+    });
+  };
+  /**
+   * Get how long the current game has been played.
+   *
+   * This is the {@link App#physicsTimeElapsed simulated time} since the app
+   * was last reset, plus the play time of the last save slot loaded since
+   * then.
+   *
+   * @return {Number}
+   *   The play time in seconds.
+   */
+  api.getPlayTime = function() {
+    return playTimeOffset + App.physicsTimeElapsed;
+  };
+  // A reset starts a new game, so stop counting play time from old saves.
+  jQuery(document).on('resetApp', function() {
+    playTimeOffset = 0;
+  });
+  /**
+   * Change the backend used to store values.
+   *
+   * Values stored in the old backend are not copied to the new one.
+   *
+   * @param {Object} b
+   *   The new backend. Must be synchronous; use App.Storage.async for
+   *   asynchronous backends like App.Storage.IndexedDBBackend. See
+   *   App.Storage.LocalStorageBackend for the interface backends share.
+   */
+  api.setBackend = function(b) {
+    if (!b.sync) {
+      throw new Error('App.Storage.setBackend() requires a synchronous backend. Use App.Storage.async.setBackend() instead.');
+    }
+    backend = b;
+  };
+  /**
+   * Get the backend used to store values.
+   *
+   * @return {Object}
+   *   The synchronous backend used by App.Storage.
+   */
+  api.getBackend = function() {
+    return backend;
+  };
+  // Call a backend method and always return a promise, even if the backend is
+  // synchronous.
+  function call(b, method, args) {
+    if (!b.sync) {
+      return b[method].apply(b, args);
+    }
+    var d = jQuery.Deferred();
+    try {
+      d.resolve(b[method].apply(b, args));
+    } catch(e) {
+      d.reject(e);
+    }
+    return d.promise();
+  }
+  // Call a method of the asynchronous backend. If the database can't be
+  // opened (for example in private browsing mode), fall back to the
+  // synchronous backend from then on.
+  function callAsync(method, args) {
+    var b = asyncBackend;
+    return call(b, method, args).then(null, function(e) {
+      if (b.failed && asyncBackend === b) {
+        asyncBackend = backend;
+      }
+      if (asyncBackend === b) {
+        return jQuery.Deferred().reject(e).promise();
+      }
+      return call(asyncBackend, method, args);
+    });
+  }
+  /**
+   * @class App.Storage.async
+   *   Asynchronous storage that preserves object type.
+   *
+   * This works like App.Storage except that every method returns a promise
+   * (created by [jQuery.Deferred()](http://api.jquery.com/category/deferred-object/))
+   * instead of returning its result directly. It uses IndexedDB if the browser
+   * supports it, which usually allows storing much more data than
+   * localStorage. Otherwise (or if IndexedDB is disabled, as it is in some
+   * browsers' private browsing modes) it uses the same backend as App.Storage.
+   *
+   * Values are stored in the same {@link App.Storage#setNamespace namespace}
+   * as App.Storage uses.
+   *
+   * Example:
+   *
+   *     App.Storage.async.set('level', solid).done(function() {
+   *       App.Storage.async.get('level').done(function(level) {
+   *         solid = level;
+   *       });
+   *     });
+   */
+  api.async = {
+    /**
+     * Sets the value at key.
+     *
+     * If value is undefined, removes the value at key.
+     *
+     * @param {String} key
+     *   The identifier for the value to set.
+     * @param {Mixed} value
+     *   The value to assign at the key.
+     *
+     * @return {Promise}
+     *   A promise that resolves when the value has been stored. If there is
+     *   no space left, the promise is rejected and the
+     *   {@link global#event-storagefull storagefull event} fires.
+     */
+    set: function(key, value) {
+      if (value === undefined) {
+        return api.async.remove(key);
+      }
+      var v;
+      try {
+        v = JSON.stringify(value);
+      } catch(e) {
+        return jQuery.Deferred().reject(e).promise();
+      }
+      return callAsync('setItem', [namespace + key, v]).fail(function(e) {
+        if (isQuotaError(e)) {
+          jQuery(document).trigger('storagefull', [key, e]);
+        }
+      });
+    },
+    /**
+     * Get the value stored at key.
+     *
+     * @param {String} key
+     *   The identifier for the value to retrieve.
+     * @param {Mixed} [defaultValue=undefined]
+     *   If there is no value at key, this value is used instead.
+     *
+     * @return {Promise}
+     *   A promise that resolves with the value stored at key if it exists, or
+     *   defaultValue otherwise.
+     */
+    get: function(key, defaultValue) {
+      return callAsync('getItem', [namespace + key]).then(function(item) {
+        item = parse(item, api);
+        return item === api ? defaultValue : Class.revive(item);
+      });
+    },
+    /**
+     * Removes the value at key.
+     *
+     * @param {String} key
+     *   The identifier for the value to remove.
+     *
+     * @return {Promise}
+     *   A promise that resolves when the value has been removed.
+     */
+    remove: function(key) {
+      return callAsync('removeItem', [namespace + key]);
+    },
+    /**
+     * Returns the keys of all values in the current namespace.
+     *
+     * @return {Promise}
+     *   A promise that resolves with an Array of the keys of all stored
+     *   values.
+     */
+    keys: function() {
+      return callAsync('keys', []).then(function(keys) {
+        return namespacedKeys(false, keys);
+      });
+    },
+    /**
+     * Removes all values in the current namespace.
+     *
+     * @return {Promise}
+     *   A promise that resolves when all values have been removed.
+     */
+    clear: function() {
+      return callAsync('keys', []).then(function(keys) {
+        keys = namespacedKeys(true, keys);
+        var removals = [];
+        for (var i = 0, l = keys.length; i < l; i++) {
+          removals.push(api.async.remove(keys[i]));
+        }
+        return jQuery.when.apply(jQuery, removals);
+      });
+    },
+    /**
+     * Change the backend used to store values.
+     *
+     * @param {Object} b
+     *   The new backend. This can be synchronous or asynchronous. See
+     *   App.Storage.LocalStorageBackend for the interface backends share.
+     */
+    setBackend: function(b) {
+      asyncBackend = b;
+    },
+    /**
+     * Get the backend used to store values.
+     *
+     * @return {Object}
+     *   The backend used by App.Storage.async.
+     */
+    getBackend: function() {
+      return asyncBackend;
+    },
+  };
   // Safari Private mode throws an error when localStorage is used.
   // Learned at https://github.com/marcuswestin/store.js
   try {
-    api.set(namespace, namespace);
-    if (api.get(namespace) != namespace) {
+    window.localStorage.setItem(namespace, namespace);
+    if (window.localStorage.getItem(namespace) != namespace) {
       api.enabled = false;
     }
-    api.remove(namespace);
+    window.localStorage.removeItem(namespace);
   } catch(e) {
     api.enabled = false;
   }
   // If localStorage is unavailable, fake it. No point falling back to anything
   // else; all we're going for here is avoiding breaking errors. Doing this
   // avoids having to check for App.Storage.enabled every time you want to
-  // store something. If you wanted to be really comprehensive with local
-  // storage you could use something like
-  // [sticky.js](https://github.com/alexmng/sticky/blob/master/sticky-2.8.js).
-  // However, localStorage is supported in every browser that supports enough
-  // Canvas API operations to be useful, so that is all we need to support.
-  if (!api.enabled) {
-    storage = {
-        setItem: function(key, value) {
-          internal[key] = value;
-        },
-        getItem: function(key) {
-          return internal[key];
-        },
-        removeItem: function(key) {
-          delete internal[key];
-        },
-        clear: function() {
-          internal = {};
-        },
-        key: function(index) {
-          var i = 0;
-          for (var k in internal) {
-            if (internal.hasOwnProperty(k)) {
-              if (i == index) {
-                return internal[k];
-              }
-              i++;
-            }
-          }
-        }
-    };
-  }
+  // store something. If you need more space than localStorage provides, use
+  // App.Storage.async, which stores values in IndexedDB where possible.
+  backend = api.enabled ? new LocalStorageBackend() : new MemoryBackend();
+  asyncBackend = window.indexedDB ? new IndexedDBBackend() : backend;
   return api;
 })(window);
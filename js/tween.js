@@ -0,0 +1,472 @@
+/**
+ * @class Tween
+ *   Smoothly changes numeric properties of an object over time.
+ *
+ * Tweens work on any object with numeric properties, like the position or
+ * {@link Box#radians rotation} of a {@link Box} or the opacity of a
+ * {@link Layer}:
+ *
+ *     new Tween(box, {x: 400, radians: Math.PI}, 2, {
+ *       easing: 'easeInOutQuad',
+ *       onComplete: function() {
+ *         this.fillStyle = 'red'; // "this" is the box
+ *       },
+ *     }).start();
+ *
+ * Tweens advance during physics updates (see App.onPhysicsStep()), so they
+ * pause when animation {@link global#method-stopAnimating stops} and stay in
+ * sync with everything else in the simulation. Tweens that are running when
+ * the app is {@link App#reset reset} are stopped.
+ *
+ * Tweens can be repeated, optionally reversing direction every other time
+ * with the `yoyo` option, and {@link Tween#chain chained} so that one starts
+ * when another finishes. To run several tweens one after another or all at
+ * once as a unit, use Tween.sequence() or Tween.parallel().
+ *
+ * When a tween finishes, the {@link Box#event-tweencomplete tweencomplete}
+ * event is sent to its target through App.Events, so targets that are Boxes
+ * can {@link Box#listen listen} for it.
+ *
+ * @constructor
+ *   Creates a new Tween. The Tween doesn't do anything until it is
+ *   {@link Tween#start started}.
+ *
+ * @param {Object} target
+ *   The object whose properties should change.
+ * @param {Object} to
+ *   A map of property names to the values they should have when the tween
+ *   finishes.
+ * @param {Number} duration
+ *   How long the tween takes, in seconds (not counting the delay or
+ *   repeats).
+ * @param {Object} [options]
+ *   Settings for the tween.
+ * @param {Object} [options.from]
+ *   A map of property names to the values they should start from. By
+ *   default, properties start from whatever values they have when the tween
+ *   starts moving (after the delay).
+ * @param {Function/String} [options.easing="linear"]
+ *   An easing function, or the name of one of the functions in
+ *   Tween.Easing. Easing functions receive the fraction of the tween's
+ *   duration that has passed, from 0 to 1, and return the fraction of the
+ *   way the properties should have changed.
+ * @param {Number} [options.delay=0]
+ *   How long to wait after the tween starts before changing anything, in
+ *   seconds.
+ * @param {Number} [options.repeat=0]
+ *   How many times to repeat the tween after it runs the first time. Use
+ *   Infinity to repeat forever.
+ * @param {Boolean} [options.yoyo=false]
+ *   Whether repeats should alternate between going backward and forward.
+ * @param {Function} [options.onStart]
+ *   A function to run when the tween starts changing properties (after the
+ *   delay). It runs with `this` set to the target and receives the Tween.
+ * @param {Function} [options.onUpdate]
+ *   A function to run every time the tween changes properties. It runs with
+ *   `this` set to the target and receives the Tween and the eased progress.
+ * @param {Function} [options.onComplete]
+ *   A function to run when the tween finishes (after all repeats). It runs
+ *   with `this` set to the target and receives the Tween.
+ */
+function Tween(target, to, duration, options) {
+  options = options || {};
+  this.target = target;
+  this.to = to;
+  this.duration = duration;
+  this.from = options.from || null;
+  this.easing = typeof options.easing == 'string' ? Tween.Easing[options.easing] :
+    (options.easing || Tween.Easing.linear);
+  if (typeof this.easing !== 'function') {
+    throw new Error('Easing function "' + options.easing + '" does not exist.');
+  }
+  this.delay = options.delay || 0;
+  this.repeat = options.repeat || 0;
+  this.yoyo = !!options.yoyo;
+  this.onStart = options.onStart || null;
+  this.onUpdate = options.onUpdate || null;
+  this.onComplete = options.onComplete || null;
+  this.active = false;
+  // Tweens to start when this one finishes. See Tween#chain().
+  this.__chained = [];
+}
+Tween.prototype = {
+  /**
+   * Start the tween from the beginning.
+   *
+   * If the tween is already running, it starts over.
+   *
+   * @chainable
+   */
+  start: function() {
+    this._reset();
+    if (Tween._active.indexOf(this) === -1) {
+      Tween._active.push(this);
+    }
+    return this;
+  },
+  /**
+   * Stop the tween where it is.
+   *
+   * The tween doesn't complete, so its `onComplete` callback doesn't run and
+   * chained tweens don't start.
+   *
+   * @chainable
+   */
+  stop: function() {
+    this.active = false;
+    Tween._active.remove(this);
+    return this;
+  },
+  /**
+   * Check whether the tween is running.
+   */
+  isActive: function() {
+    return this.active;
+  },
+  /**
+   * Start other tweens when this one finishes.
+   *
+   * @param {Tween} ...
+   *   Any number of Tweens (or groups created with Tween.sequence() or
+   *   Tween.parallel()) to start.
+   *
+   * @chainable
+   */
+  chain: function() {
+    this.__chained.push.apply(this.__chained, arguments);
+    return this;
+  },
+  /**
+   * Advance the tween.
+   *
+   * This is called automatically during every physics update for tweens
+   * that have been {@link Tween#start started}.
+   *
+   * @param {Number} delta
+   *   The amount of time to advance, in seconds.
+   *
+   * @return {Number}
+   *   The part of `delta` that was left over after the tween finished, or 0
+   *   if the tween is still running.
+   */
+  update: function(delta) {
+    if (!this.active) {
+      return delta;
+    }
+    this.elapsed += delta;
+    if (this.elapsed < this.delay) {
+      return 0;
+    }
+    if (!this.__started) {
+      this.__started = true;
+      this.__from = {};
+      for (var prop in this.to) {
+        if (this.to.hasOwnProperty(prop)) {
+          this.__from[prop] = this.from && this.from.hasOwnProperty(prop) ?
+            this.from[prop] : this.target[prop];
+        }
+      }
+      if (this.onStart) {
+        this.onStart.call(this.target, this);
+      }
+    }
+    var time = this.elapsed - this.delay,
+        // Allow for rounding errors from adding up physics deltas.
+        end = this.duration - 1e-9;
+    // Move on to the next repeat if this one is done.
+    while (time >= end && this.repeated < this.repeat) {
+      time -= this.duration;
+      this.elapsed -= this.duration;
+      this.repeated++;
+      if (this.yoyo) {
+        this.reversed = !this.reversed;
+      }
+      if (this.duration <= 0) {
+        break;
+      }
+    }
+    var progress = time >= end ? 1 : time / this.duration;
+    this._apply(this.easing(this.reversed ? 1 - progress : progress));
+    if (time < end) {
+      return 0;
+    }
+    this._complete();
+    return Math.max(time - this.duration, 0);
+  },
+  /**
+   * Get ready to run from the beginning.
+   *
+   * @ignore
+   */
+  _reset: function() {
+    this.active = true;
+    this.elapsed = 0;
+    this.repeated = 0;
+    this.reversed = false;
+    this.__started = false;
+  },
+  /**
+   * Set the target's properties to a fraction of the way to their end values.
+   *
+   * @ignore
+   */
+  _apply: function(fraction) {
+    for (var prop in this.__from) {
+      if (this.__from.hasOwnProperty(prop)) {
+        this.target[prop] = this.__from[prop] + (this.to[prop] - this.__from[prop]) * fraction;
+      }
+    }
+    if (this.onUpdate) {
+      this.onUpdate.call(this.target, this, fraction);
+    }
+  },
+  /**
+   * Finish the tween and start any chained tweens.
+   *
+   * @ignore
+   */
+  _complete: function() {
+    this.stop();
+    if (this.onComplete) {
+      this.onComplete.call(this.target, this);
+    }
+    App.Events.trigger('tweencomplete', jQuery.Event('tweencomplete'), this.target, this);
+    for (var i = 0, l = this.__chained.length; i < l; i++) {
+      this.__chained[i].start();
+    }
+  },
+};
+
+/**
+ * @class TweenGroup
+ *   Runs several {@link Tween Tweens} one after another or all at once.
+ *
+ * Create TweenGroups with Tween.sequence() or Tween.parallel() rather than
+ * calling the constructor directly. TweenGroups have the same methods as
+ * Tweens, so they can be started, stopped, chained, and nested in other
+ * groups. Tweens in a group are run by the group, so don't start them
+ * yourself.
+ *
+ * @extends Tween
+ *
+ * @constructor
+ *   Creates a new TweenGroup.
+ *
+ * @param {Tween[]} tweens
+ *   The Tweens (or other TweenGroups) to run.
+ * @param {Boolean} parallel
+ *   Whether to run the tweens all at once rather than one after another.
+ * @param {Object} [options]
+ *   Settings for the group.
+ * @param {Function} [options.onComplete]
+ *   A function to run when every tween in the group has finished. It runs
+ *   with `this` set to the group and receives the group.
+ */
+function TweenGroup(tweens, parallel, options) {
+  this.tweens = tweens;
+  this.parallel = parallel;
+  this.target = this;
+  this.onComplete = (options && options.onComplete) || null;
+  this.active = false;
+  this.__chained = [];
+}
+TweenGroup.prototype = jQuery.extend({}, Tween.prototype, {
+  /**
+   * Advance the tweens in the group.
+   *
+   * @inheritdoc Tween#update
+   */
+  update: function(delta) {
+    if (!this.active) {
+      return delta;
+    }
+    var tweens = this.tweens, left = delta, i, l;
+    if (this.parallel) {
+      left = Infinity;
+      for (i = 0, l = tweens.length; i < l; i++) {
+        left = Math.min(left, tweens[i].update(delta));
+        if (tweens[i].isActive()) {
+          left = 0;
+        }
+      }
+      if (left === Infinity) {
+        left = delta;
+      }
+    }
+    else {
+      while (this.__index < tweens.length) {
+        left = tweens[this.__index].update(left);
+        if (tweens[this.__index].isActive()) {
+          return 0;
+        }
+        this.__index++;
+        if (this.__index < tweens.length) {
+          tweens[this.__index]._reset();
+        }
+      }
+    }
+    for (i = 0, l = tweens.length; i < l; i++) {
+      if (tweens[i].isActive()) {
+        return 0;
+      }
+    }
+    this._complete();
+    return left;
+  },
+  /**
+   * Get ready to run from the beginning.
+   *
+   * @ignore
+   */
+  _reset: function() {
+    this.active = true;
+    this.__index = 0;
+    for (var i = 0, l = this.tweens.length; i < l; i++) {
+      if (this.parallel || i === 0) {
+        this.tweens[i]._reset();
+      }
+      else {
+        this.tweens[i].active = false;
+      }
+    }
+  },
+});
+
+/**
+ * Run tweens one after another.
+ *
+ * @param {Tween[]} tweens
+ *   The Tweens (or TweenGroups) to run, in order.
+ * @param {Object} [options]
+ *   Settings for the group. See {@link TweenGroup}.
+ *
+ * @return {TweenGroup}
+ *   A group that runs the tweens when it is started.
+ *
+ * @static
+ */
+Tween.sequence = function(tweens, options) {
+  return new TweenGroup(tweens, false, options);
+};
+
+/**
+ * Run tweens at the same time.
+ *
+ * @param {Tween[]} tweens
+ *   The Tweens (or TweenGroups) to run.
+ * @param {Object} [options]
+ *   Settings for the group. See {@link TweenGroup}.
+ *
+ * @return {TweenGroup}
+ *   A group that runs the tweens when it is started. It finishes when the
+ *   longest tween finishes.
+ *
+ * @static
+ */
+Tween.parallel = function(tweens, options) {
+  return new TweenGroup(tweens, true, options);
+};
+
+/**
+ * Easing functions for use with {@link Tween Tweens}.
+ *
+ * These are Robert Penner's
+ * [easing equations](http://robertpenner.com/easing/). Each function
+ * receives the fraction of a tween's duration that has passed, from 0 to 1,
+ * and returns how far the tween's properties should have moved, where 0 is
+ * their start values and 1 is their end values. Some functions (like the
+ * elastic and back functions) overshoot, returning values outside of that
+ * range partway through.
+ *
+ * @static
+ */
+Tween.Easing = (function() {
+  var easing = {
+    linear: function(t) {
+      return t;
+    },
+  };
+  // Each curve eases in; the out and in-out versions are derived from it.
+  var curves = {
+    Quad: function(t) {
+      return t * t;
+    },
+    Cubic: function(t) {
+      return t * t * t;
+    },
+    Quart: function(t) {
+      return t * t * t * t;
+    },
+    Quint: function(t) {
+      return t * t * t * t * t;
+    },
+    Sine: function(t) {
+      return 1 - Math.cos(t * Math.PI / 2);
+    },
+    Expo: function(t) {
+      return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
+    },
+    Circ: function(t) {
+      return 1 - Math.sqrt(1 - t * t);
+    },
+    Elastic: function(t) {
+      if (t === 0 || t === 1) {
+        return t;
+      }
+      return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.075) * 2 * Math.PI / 0.3);
+    },
+    Back: function(t) {
+      var s = 1.70158;
+      return t * t * ((s + 1) * t - s);
+    },
+    Bounce: function(t) {
+      t = 1 - t;
+      var b;
+      if (t < 1 / 2.75) {
+        b = 7.5625 * t * t;
+      }
+      else if (t < 2 / 2.75) {
+        t -= 1.5 / 2.75;
+        b = 7.5625 * t * t + 0.75;
+      }
+      else if (t < 2.5 / 2.75) {
+        t -= 2.25 / 2.75;
+        b = 7.5625 * t * t + 0.9375;
+      }
+      else {
+        t -= 2.625 / 2.75;
+        b = 7.5625 * t * t + 0.984375;
+      }
+      return 1 - b;
+    },
+  };
+  jQuery.each(curves, function(name, easeIn) {
+    easing['easeIn' + name] = easeIn;
+    easing['easeOut' + name] = function(t) {
+      return 1 - easeIn(1 - t);
+    };
+    easing['easeInOut' + name] = function(t) {
+      return t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2;
+    };
+  });
+  return easing;
+})();
+
+// Tweens that are running. See Tween#start().
+Tween._active = [];
+
+App.onPhysicsStep(function(delta) {
+  // Copy the list since tweens can start and stop each other while updating.
+  var active = Tween._active.slice();
+  for (var i = 0, l = active.length; i < l; i++) {
+    active[i].update(delta);
+  }
+});
+// Tweens started before a reset usually refer to things that don't exist
+// anymore afterwards.
+jQuery(document).on('resetApp', function() {
+  for (var i = 0, l = Tween._active.length; i < l; i++) {
+    Tween._active[i].active = false;
+  }
+  Tween._active = [];
+});